@@ -0,0 +1,24 @@
+// api.js
+// Headless entry point for scripts, tests and Node (see cli.mjs): read a structure file, then list the reflections of a
+// zone axis or a powder pattern. None of the functions exported here uses the page or the CDN globals (math, Plotly,
+// CanvasJS); the browser app draws their results with performCrystallographicAnalysis.js and powderPattern.js.
+export { parseStructureFile, readStructureFile, formatDiagnostic, detectStructureFormat } from './structureImporters.js';
+export {
+    calculateZoneAxisPattern,
+    calculateStructureFactor,
+    getDirectLatticeVectors,
+    getReciprocalLatticeVectors,
+    DEFAULT_G_MAX,
+    DEFAULT_THICKNESS
+} from './crystallography.js';
+export {
+    calculatePowderReflections,
+    calculatePowderProfile,
+    getPowderSource,
+    DEFAULT_TWO_THETA_RANGE,
+    DEFAULT_CAGLIOTI,
+    DEFAULT_PSEUDO_VOIGT_ETA
+} from './powderPattern.js';
+export { describeRadiation, XRAY_SOURCES, DEFAULT_XRAY_WAVELENGTH, DEFAULT_ELECTRON_VOLTAGE } from './radiation.js';
+export { formatReflectionsCsv, formatReflectionsJson } from './exportData.js';
+export { parseIndices, isConsistentFourIndex, isHexagonalCell } from './millerIndices.js';
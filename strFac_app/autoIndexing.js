@@ -0,0 +1,200 @@
+// autoIndexing.js
+// Indexing of a measured spot pattern against the loaded structure: find the zone axes [uvw] and the reflections hkl
+// whose d-spacings and inter-spot angles match the measured spots.
+import { getDirectLatticeVectors, getReciprocalLatticeVectors } from './crystallography.js';
+import { getAbsenceReason } from './extinctions.js';
+import { reduceIndices } from './millerIndices.js';
+
+export const DEFAULT_D_TOLERANCE = 3; // percent
+export const DEFAULT_ANGLE_TOLERANCE = 2; // degrees
+const MAX_CANDIDATES = 10;
+const MIN_BASIS_ANGLE = 10; // degrees, smallest angle between the two spots that fix the zone
+
+function dotProduct(v1, v2) {
+    return v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
+}
+
+function crossProduct(v1, v2) {
+    return [
+        v1[1] * v2[2] - v1[2] * v2[1],
+        v1[2] * v2[0] - v1[0] * v2[2],
+        v1[0] * v2[1] - v1[1] * v2[0]
+    ];
+}
+
+// Signed angle in degrees from one 2D vector to another, counterclockwise positive, in (-180, 180]
+function signedAngle2D(from, to) {
+    return Math.atan2(from[0] * to[1] - from[1] * to[0], from[0] * to[0] + from[1] * to[1]) * 180 / Math.PI;
+}
+
+// Difference of two angles in degrees, wrapped to (-180, 180]
+function angleDifference(a, b) {
+    const difference = ((a - b) % 360 + 540) % 360 - 180;
+    return difference === -180 ? 180 : difference;
+}
+
+/**
+ * Read measured spots typed as "d@angle": the d-spacing in Angstrom and the direction of the spot in degrees,
+ * counterclockwise from the first spot (whose angle may be left out), e.g. "3.25, 2.49@67.8, 1.69@-112".
+ *
+ * @param {string} text - Entries separated by commas or semicolons.
+ * @returns {{spots: Array<number[]>, invalid: Array<string>}} - Spot vectors g in the pattern plane (Angstrom^-1),
+ *   and the entries that could not be read.
+ */
+export function parseMeasuredSpots(text) {
+    const spots = [];
+    const invalid = [];
+    String(text || '').split(/[,;\n]+/).map(entry => entry.trim()).filter(entry => entry !== '').forEach(entry => {
+        const match = entry.match(/^(\d*\.?\d+)\s*(?:@\s*(-?\d*\.?\d+))?$/);
+        const d = match ? parseFloat(match[1]) : NaN;
+        if (!(d > 0)) {
+            invalid.push(entry);
+            return;
+        }
+        const angle = (match[2] !== undefined ? parseFloat(match[2]) : 0) * Math.PI / 180;
+        spots.push([Math.cos(angle) / d, Math.sin(angle) / d]);
+    });
+    return { spots, invalid };
+}
+
+function indexSum(indices) {
+    return indices.reduce((sum, value) => sum + Math.abs(value), 0);
+}
+
+// Better match first; among equally good ones low-index zone axes, then those written with fewer minus signs
+// and low-index reflections
+function compareCandidates(c1, c2) {
+    if (Math.abs(c1.score - c2.score) > 1e-9) return c1.score - c2.score;
+    const negatives = (indices) => indices.filter(value => value < 0).length;
+    return indexSum(c1.uvw) - indexSum(c2.uvw) || negatives(c1.uvw) - negatives(c2.uvw)
+        || indexSum(c1.hkl.flat()) - indexSum(c2.hkl.flat());
+}
+
+// Zone axes related by a rotation of the point group give the same pattern; the largest of them (as text) stands for all
+function getZoneAxisKey(uvw, rotations) {
+    return rotations.map(rotation => rotation.map(row => row[0] * uvw[0] + row[1] * uvw[1] + row[2] * uvw[2]).join(','))
+        .sort().pop();
+}
+
+/**
+ * Search the reciprocal lattice for zone axes and reflections that match measured spots. The first spot and the next
+ * one not in line with it are matched to every pair of reflections with the right d-spacings and angle; the zone axis
+ * is their cross product, signed so that the pattern has the measured handedness. The other spots are then indexed as
+ * combinations of these two and must also match within the tolerances. Symmetry-equivalent zone axes are reported once.
+ *
+ * @param {object} parsedData - Structure as returned by parseStructureFile.
+ * @param {Array<number[]>} measuredSpots - At least two spot vectors g in the pattern plane (Angstrom^-1), with x to
+ *   the right and y upwards as in the simulated pattern; the direct beam is at the origin.
+ * @param {object} options - { dTolerance (percent), angleTolerance (degrees), includeForbidden (also match reflections
+ *   absent because of screw axes or glide planes, which double diffraction can excite) }
+ * @returns {Array<{uvw: number[], hkl: Array<number[]>, dError: number, angleError: number}>} - Best candidates first:
+ *   the zone axis, the reflection assigned to each spot, the mean d-spacing error in percent and the mean error of the
+ *   angles from the first spot in degrees.
+ */
+export function indexSpotPattern(parsedData, measuredSpots, options = {}) {
+    const dTolerance = (options.dTolerance > 0 ? options.dTolerance : DEFAULT_D_TOLERANCE) / 100;
+    const angleTolerance = options.angleTolerance > 0 ? options.angleTolerance : DEFAULT_ANGLE_TOLERANCE;
+
+    const measuredLengths = measuredSpots.map(g => Math.hypot(g[0], g[1]));
+    const measuredAngles = measuredSpots.map(g => signedAngle2D(measuredSpots[0], g));
+    // The second spot of the basis must be far enough out of line with the first to fix the zone
+    const second = measuredAngles.findIndex(angle => Math.abs(Math.sin(angle * Math.PI / 180)) >= Math.sin(MIN_BASIS_ANGLE * Math.PI / 180));
+    if (second < 0) {
+        console.warn("Indexing needs at least two measured spots that are not in line with the direct beam.");
+        return [];
+    }
+
+    const reciprocalLatticeVectors = getReciprocalLatticeVectors(getDirectLatticeVectors(parsedData.cellParameters));
+    if (!reciprocalLatticeVectors) return [];
+    const [aStar, bStar, cStar] = reciprocalLatticeVectors;
+    const toCartesian = ([h, k, l]) => [0, 1, 2].map(i => h * aStar[i] + k * bStar[i] + l * cStar[i]);
+    const symmetryMatrices = parsedData.symmetryMatrices || [];
+    const isAllowed = (hkl) => {
+        const reason = getAbsenceReason(hkl, symmetryMatrices);
+        return !reason || (options.includeForbidden && reason === 'screw/glide');
+    };
+    const dError = (g, index) => Math.abs(measuredLengths[index] / Math.sqrt(dotProduct(g, g)) - 1); // |d - d_measured| / d_measured
+
+    // Allowed reflections whose d-spacing matches one of the two basis spots
+    const basis = [0, second];
+    const gMax = Math.max(measuredLengths[0], measuredLengths[second]) * (1 + 2 * dTolerance);
+    const ranges = [aStar, bStar, cStar].map(v => Math.ceil(gMax / Math.sqrt(dotProduct(v, v))));
+    const matches = [[], []];
+    for (let h = -ranges[0]; h <= ranges[0]; h++) {
+        for (let k = -ranges[1]; k <= ranges[1]; k++) {
+            for (let l = -ranges[2]; l <= ranges[2]; l++) {
+                if (h === 0 && k === 0 && l === 0) continue;
+                const hkl = [h, k, l];
+                const g = toCartesian(hkl);
+                basis.forEach((spotIndex, i) => {
+                    if (dError(g, spotIndex) <= dTolerance && isAllowed(hkl)) matches[i].push({ hkl, g });
+                });
+            }
+        }
+    }
+
+    const [g1, g2] = basis.map(index => measuredSpots[index]);
+    const determinant = g1[0] * g2[1] - g1[1] * g2[0];
+    // In the pattern x × y points against the beam direction, so counterclockwise angles turn about -[uvw]
+    const sign = measuredAngles[second] > 0 ? -1 : 1;
+    const rotations = symmetryMatrices.length ? symmetryMatrices.map(op => op.rotation) : [[[1, 0, 0], [0, 1, 0], [0, 0, 1]]];
+    const bestByZone = new Map();
+    matches[0].forEach(first => {
+        matches[1].forEach(other => {
+            const normal = crossProduct(first.g, other.g);
+            const normalLength = Math.sqrt(dotProduct(normal, normal));
+            if (normalLength < 1e-9) return; // parallel reflections do not define a zone
+            const angle = Math.atan2(normalLength, dotProduct(first.g, other.g)) * 180 / Math.PI;
+            const basisAngleError = Math.abs(angle - Math.abs(measuredAngles[second]));
+            if (basisAngleError > angleTolerance) return;
+            const uvw = reduceIndices(crossProduct(first.hkl, other.hkl).map(value => sign * value)).map(value => value || 0);
+
+            const hklList = [];
+            const dErrors = [];
+            const angleErrors = [basisAngleError];
+            for (let index = 0; index < measuredSpots.length; index++) {
+                if (index === 0 || index === second) {
+                    const match = index === 0 ? first : other;
+                    hklList.push(match.hkl);
+                    dErrors.push(dError(match.g, index));
+                    continue;
+                }
+                // g = alpha g1 + beta g2 in the pattern, rounded to the nearest reflection
+                const g = measuredSpots[index];
+                const alpha = (g[0] * g2[1] - g[1] * g2[0]) / determinant;
+                const beta = (g1[0] * g[1] - g1[1] * g[0]) / determinant;
+                const hkl = [0, 1, 2].map(i => Math.round(alpha * first.hkl[i] + beta * other.hkl[i]) || 0);
+                if (hkl.every(value => value === 0) || !isAllowed(hkl)) return;
+                if (hkl[0] * uvw[0] + hkl[1] * uvw[1] + hkl[2] * uvw[2] !== 0) return; // not in the zone
+                const gCalculated = toCartesian(hkl);
+                const error = dError(gCalculated, index);
+                // Angle from the first reflection within the zone, with the same handedness as the measurement
+                const cross = crossProduct(first.g, gCalculated);
+                const turn = -sign * Math.sign(dotProduct(cross, normal)) || 1;
+                const calculatedAngle = turn * Math.atan2(Math.sqrt(dotProduct(cross, cross)), dotProduct(first.g, gCalculated)) * 180 / Math.PI;
+                const angleError = Math.abs(angleDifference(calculatedAngle, measuredAngles[index]));
+                if (error > dTolerance || angleError > angleTolerance) return;
+                hklList.push(hkl);
+                dErrors.push(error);
+                angleErrors.push(angleError);
+            }
+
+            const candidate = {
+                uvw,
+                hkl: hklList,
+                dError: 100 * dErrors.reduce((sum, e) => sum + e, 0) / dErrors.length,
+                angleError: angleErrors.reduce((sum, e) => sum + e, 0) / angleErrors.length
+            };
+            // Errors relative to the tolerances
+            candidate.score = candidate.dError / (100 * dTolerance) + candidate.angleError / angleTolerance;
+            const key = getZoneAxisKey(uvw, rotations);
+            const previous = bestByZone.get(key);
+            if (!previous || compareCandidates(candidate, previous) < 0) bestByZone.set(key, candidate);
+        });
+    });
+
+    return [...bestByZone.values()]
+        .sort(compareCandidates)
+        .slice(0, MAX_CANDIDATES)
+        .map(({ uvw, hkl, dError, angleError }) => ({ uvw, hkl, dError, angleError }));
+}
@@ -0,0 +1,300 @@
+// blochWave.js
+// Dynamical electron diffraction for a zone axis by the Bloch-wave method (high-energy approximation, no absorption).
+// The N beams g obey the eigenvalue problem  2K s_g C_g + sum_h U_(g-h) C_h = 2K gamma C_g,  with U_g = F_g / (pi V)
+// the Fourier coefficients of the reduced crystal potential. The exit wave of a slab of thickness t is
+// psi_g(t) = sum_j C_0^(j)* C_g^(j) exp(2 pi i gamma_j t), and I_g = |psi_g|^2 sums to 1 over the beams.
+
+export const DEFAULT_BEAM_COUNT = 50;
+export const MAX_BEAM_COUNT = 200;
+export const DEFAULT_SERIES_STEPS = 200;
+const DEFAULT_SERIES_BEAMS = 4; // diffracted beams followed when none are chosen
+
+// Householder reduction of a real symmetric matrix to tridiagonal form (after the public-domain JAMA library).
+// On return V holds the accumulated transformation, d the diagonal and e the subdiagonal (in e[1..n-1]).
+function tridiagonalize(V, d, e) {
+    const n = d.length;
+    for (let j = 0; j < n; j++) d[j] = V[n - 1][j];
+
+    for (let i = n - 1; i > 0; i--) {
+        let scale = 0;
+        let h = 0;
+        for (let k = 0; k < i; k++) scale += Math.abs(d[k]);
+        if (scale === 0) {
+            e[i] = d[i - 1];
+            for (let j = 0; j < i; j++) {
+                d[j] = V[i - 1][j];
+                V[i][j] = 0;
+                V[j][i] = 0;
+            }
+        } else {
+            for (let k = 0; k < i; k++) {
+                d[k] /= scale;
+                h += d[k] * d[k];
+            }
+            let f = d[i - 1];
+            let g = Math.sqrt(h);
+            if (f > 0) g = -g;
+            e[i] = scale * g;
+            h -= f * g;
+            d[i - 1] = f - g;
+            for (let j = 0; j < i; j++) e[j] = 0;
+
+            for (let j = 0; j < i; j++) {
+                f = d[j];
+                V[j][i] = f;
+                g = e[j] + V[j][j] * f;
+                for (let k = j + 1; k <= i - 1; k++) {
+                    g += V[k][j] * d[k];
+                    e[k] += V[k][j] * f;
+                }
+                e[j] = g;
+            }
+            f = 0;
+            for (let j = 0; j < i; j++) {
+                e[j] /= h;
+                f += e[j] * d[j];
+            }
+            const hh = f / (h + h);
+            for (let j = 0; j < i; j++) e[j] -= hh * d[j];
+            for (let j = 0; j < i; j++) {
+                f = d[j];
+                g = e[j];
+                for (let k = j; k <= i - 1; k++) V[k][j] -= (f * e[k] + g * d[k]);
+                d[j] = V[i - 1][j];
+                V[i][j] = 0;
+            }
+        }
+        d[i] = h;
+    }
+
+    // Accumulate the transformations
+    for (let i = 0; i < n - 1; i++) {
+        V[n - 1][i] = V[i][i];
+        V[i][i] = 1;
+        const h = d[i + 1];
+        if (h !== 0) {
+            for (let k = 0; k <= i; k++) d[k] = V[k][i + 1] / h;
+            for (let j = 0; j <= i; j++) {
+                let g = 0;
+                for (let k = 0; k <= i; k++) g += V[k][i + 1] * V[k][j];
+                for (let k = 0; k <= i; k++) V[k][j] -= g * d[k];
+            }
+        }
+        for (let k = 0; k <= i; k++) V[k][i + 1] = 0;
+    }
+    for (let j = 0; j < n; j++) {
+        d[j] = V[n - 1][j];
+        V[n - 1][j] = 0;
+    }
+    V[n - 1][n - 1] = 1;
+    e[0] = 0;
+}
+
+// Implicit QL iterations on the tridiagonal matrix; d becomes the eigenvalues and the columns of V the eigenvectors
+function diagonalizeTridiagonal(V, d, e) {
+    const n = d.length;
+    for (let i = 1; i < n; i++) e[i - 1] = e[i];
+    e[n - 1] = 0;
+
+    let f = 0;
+    let tst1 = 0;
+    const eps = 2 ** -52;
+    for (let l = 0; l < n; l++) {
+        // Find a small subdiagonal element
+        tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+        let m = l;
+        while (m < n - 1 && Math.abs(e[m]) > eps * tst1) m++;
+
+        // If m === l, d[l] is already an eigenvalue; otherwise iterate
+        if (m > l) {
+            let iterations = 0;
+            do {
+                if (++iterations > 60) throw new Error("Eigenvalue iteration did not converge.");
+                let g = d[l];
+                let p = (d[l + 1] - g) / (2 * e[l]);
+                let r = Math.hypot(p, 1);
+                if (p < 0) r = -r;
+                d[l] = e[l] / (p + r);
+                d[l + 1] = e[l] * (p + r);
+                const dl1 = d[l + 1];
+                let h = g - d[l];
+                for (let i = l + 2; i < n; i++) d[i] -= h;
+                f += h;
+
+                p = d[m];
+                let c = 1;
+                let c2 = c;
+                let c3 = c;
+                const el1 = e[l + 1];
+                let s = 0;
+                let s2 = 0;
+                for (let i = m - 1; i >= l; i--) {
+                    c3 = c2;
+                    c2 = c;
+                    s2 = s;
+                    g = c * e[i];
+                    h = c * p;
+                    r = Math.hypot(p, e[i]);
+                    e[i + 1] = s * r;
+                    s = e[i] / r;
+                    c = p / r;
+                    p = c * d[i] - s * g;
+                    d[i + 1] = h + s * (c * g + s * d[i]);
+                    for (let k = 0; k < n; k++) {
+                        h = V[k][i + 1];
+                        V[k][i + 1] = s * V[k][i] + c * h;
+                        V[k][i] = c * V[k][i] - s * h;
+                    }
+                }
+                p = -s * s2 * c3 * el1 * e[l] / dl1;
+                e[l] = s * p;
+                d[l] = c * p;
+            } while (Math.abs(e[l]) > eps * tst1);
+        }
+        d[l] += f;
+        e[l] = 0;
+    }
+}
+
+/**
+ * Bloch waves of a zone-axis orientation. The complex Hermitian structure matrix is solved as the real symmetric
+ * matrix [[Re A, -Im A], [Im A, Re A]] of twice the size, whose eigenvalues are those of A, each twice.
+ *
+ * @param {Array<{excitationError: number}>} beams - The beams, the direct beam first; excitation errors in Angstrom^-1.
+ * @param {function} getPotential - (i, j) => {real, imaginary}: U of g_i - g_j in Angstrom^-2, for i !== j.
+ * @param {number} ewaldRadius - K = 1/lambda in Angstrom^-1.
+ * @returns {{eigenvalues: Float64Array, eigenvectors: Array<Float64Array>, ewaldRadius: number, beamCount: number}}
+ *   - Eigenvalues 2K gamma (Angstrom^-2) and the eigenvectors (real and imaginary parts stacked) of the real form.
+ */
+export function solveBlochWave(beams, getPotential, ewaldRadius) {
+    const n = beams.length;
+    const size = 2 * n;
+    const V = Array.from({ length: size }, () => new Float64Array(size));
+    for (let i = 0; i < n; i++) {
+        V[i][i] = V[n + i][n + i] = 2 * ewaldRadius * beams[i].excitationError;
+        for (let j = 0; j < i; j++) {
+            // U of g_j - g_i is the complex conjugate, as the potential is real
+            const { real, imaginary } = getPotential(i, j);
+            V[i][j] = V[j][i] = V[n + i][n + j] = V[n + j][n + i] = real;
+            V[n + i][j] = V[j][n + i] = imaginary;
+            V[i][n + j] = V[n + j][i] = -imaginary;
+        }
+    }
+
+    const d = new Float64Array(size);
+    const e = new Float64Array(size);
+    tridiagonalize(V, d, e);
+    diagonalizeTridiagonal(V, d, e);
+    const eigenvectors = Array.from({ length: size }, (_, k) => Float64Array.from(V, row => row[k]));
+    return { eigenvalues: d, eigenvectors, ewaldRadius, beamCount: n };
+}
+
+/**
+ * Beam intensities |psi_g|^2 at the exit face of a slab, for an incident plane wave in the direct beam.
+ * With J the multiplication by i in the real form, psi = sum_k c_k (cos(theta_k) q_k + sin(theta_k) J q_k), where
+ * c_k is the direct-beam component of eigenvector q_k and theta_k = 2 pi gamma_k t; this holds for degenerate
+ * eigenvalues too, since J maps each eigenspace onto itself.
+ *
+ * @param {object} solution - As returned by solveBlochWave.
+ * @param {number} thickness - Specimen thickness in Angstrom.
+ * @returns {Float64Array} - Intensity of each beam, in the order of the beams.
+ */
+export function getBeamIntensities(solution, thickness) {
+    const { eigenvalues, eigenvectors, ewaldRadius, beamCount: n } = solution;
+    const real = new Float64Array(n);
+    const imaginary = new Float64Array(n);
+    eigenvectors.forEach((q, k) => {
+        const weight = q[0];
+        if (weight === 0) return;
+        const theta = Math.PI * eigenvalues[k] * thickness / ewaldRadius;
+        const cos = weight * Math.cos(theta);
+        const sin = weight * Math.sin(theta);
+        // J (x, y) = (-y, x)
+        for (let g = 0; g < n; g++) {
+            real[g] += cos * q[g] - sin * q[n + g];
+            imaginary[g] += cos * q[n + g] + sin * q[g];
+        }
+    });
+    return real.map((x, g) => x * x + imaginary[g] * imaginary[g]);
+}
+
+/**
+ * Intensities of some beams over a range of thicknesses, to show the pendellösung oscillations.
+ *
+ * @param {object} solution - As returned by solveBlochWave.
+ * @param {Array<number>} beamIndices - Beams to follow.
+ * @param {number} maxThickness - Largest thickness in Angstrom.
+ * @param {number} steps - Number of intervals between 0 and maxThickness.
+ * @returns {{thicknesses: Array<number>, intensities: Array<Array<number>>}} - Thicknesses in Angstrom, and for each
+ *   beam followed its intensity at each thickness.
+ */
+export function getThicknessSeries(solution, beamIndices, maxThickness, steps = DEFAULT_SERIES_STEPS) {
+    const thicknesses = Array.from({ length: steps + 1 }, (_, step) => maxThickness * step / steps);
+    const intensities = beamIndices.map(() => []);
+    thicknesses.forEach(thickness => {
+        const beamIntensities = getBeamIntensities(solution, thickness);
+        beamIndices.forEach((beam, i) => intensities[i].push(beamIntensities[beam]));
+    });
+    return { thicknesses, intensities };
+}
+
+/**
+ * Plot the thickness series of some beams of a dynamical zone-axis calculation. Without reflections the strongest
+ * diffracted beams at the calculated thickness are shown.
+ *
+ * @param {string} elementId - Id of the element to draw the CanvasJS chart in.
+ * @param {object} dynamical - { beams, solution, thickness } from performCrystallographicAnalysis.
+ * @param {Array<number[]>} reflections - hkl of the beams to follow.
+ * @param {number} maxThickness - Largest thickness in Angstrom.
+ * @returns {{chart: object, missing: Array<number[]>}} - The rendered chart, and the reflections that are not among
+ *   the beams of the calculation.
+ */
+export function plotThicknessSeries(elementId, dynamical, reflections, maxThickness) {
+    const beamIndexByHkl = new Map(dynamical.beams.map((hkl, index) => [hkl.join(','), index]));
+    let beamIndices = reflections.map(hkl => beamIndexByHkl.get(hkl.join(','))).filter(index => index !== undefined);
+    const missing = reflections.filter(hkl => !beamIndexByHkl.has(hkl.join(',')));
+    if (reflections.length === 0) {
+        const intensities = getBeamIntensities(dynamical.solution, dynamical.thickness);
+        beamIndices = dynamical.beams.map((_, index) => index).filter(index => index > 0)
+            .sort((i, j) => intensities[j] - intensities[i])
+            .slice(0, DEFAULT_SERIES_BEAMS);
+        beamIndices.unshift(0);
+    }
+
+    const { thicknesses, intensities } = getThicknessSeries(dynamical.solution, beamIndices, maxThickness);
+    const chart = new CanvasJS.Chart(elementId, {
+        zoomEnabled: true,
+        title: {
+            text: "Thickness series",
+            fontFamily: 'tahoma',
+            fontSize: 16
+        },
+        axisX: {
+            title: "Thickness (nm)",
+            minimum: 0,
+            maximum: maxThickness / 10
+        },
+        axisY: {
+            title: "Intensity",
+            minimum: 0,
+            gridThickness: 0
+        },
+        legend: {
+            fontSize: 12
+        },
+        toolTip: {
+            shared: true
+        },
+        data: beamIndices.map((beam, i) => ({
+            type: "line",
+            name: `(${dynamical.beams[beam].join(' ')})`,
+            showInLegend: true,
+            markerSize: 0,
+            lineThickness: 1.5,
+            toolTipContent: "{name}: {y}",
+            dataPoints: thicknesses.map((thickness, step) => ({ x: thickness / 10, y: parseFloat(intensities[i][step].toFixed(4)) }))
+        }))
+    });
+    chart.render();
+    return { chart, missing };
+}
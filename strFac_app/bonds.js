@@ -0,0 +1,202 @@
+// bonds.js
+// Bonds and coordination environments. Two atoms are bonded when their distance, over all periodic images, is at most
+// the sum of their covalent radii plus BOND_TOLERANCE, or the cutoff the user gives for that pair of elements.
+import { COVALENT_RADII, DEFAULT_COVALENT_RADIUS, NON_METALS } from './elementData.js';
+
+export const BOND_TOLERANCE = 0.45; // Angstrom added to the sum of the covalent radii (as in Jmol)
+const MIN_BOND_LENGTH = 0.4; // Angstrom; closer pairs are overlapping (e.g. disordered) sites, not bonds
+const TRANS_ANGLE = 150; // degrees; neighbours at least this far apart count as trans when naming a polyhedron
+
+function dotProduct(v1, v2) {
+    return v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
+}
+
+function crossProduct(v1, v2) {
+    return [
+        v1[1] * v2[2] - v1[2] * v2[1],
+        v1[2] * v2[0] - v1[0] * v2[2],
+        v1[0] * v2[1] - v1[1] * v2[0]
+    ];
+}
+
+function toCartesian(fractional, latticeVectors) {
+    return [0, 1, 2].map(k => fractional[0] * latticeVectors[0][k] + fractional[1] * latticeVectors[1][k] + fractional[2] * latticeVectors[2][k]);
+}
+
+// Key of an unordered element pair, e.g. ('Ti', 'O') -> 'O-Ti'
+export function getPairKey(element1, element2) {
+    return [element1, element2].sort().join('-');
+}
+
+/**
+ * Read user bond cutoffs such as "Ti-O 2.3, Ti-Ti 0" (a cutoff of 0 removes the bond).
+ *
+ * @param {string} text - Entries "A-B length" separated by commas or semicolons; ':' or '=' may precede the length.
+ * @returns {{cutoffs: object, invalid: Array<string>}} - Cutoffs in Angstrom keyed by getPairKey, and unreadable entries.
+ */
+export function parseBondCutoffs(text) {
+    const cutoffs = {};
+    const invalid = [];
+    String(text || '').split(/[,;\n]+/).map(entry => entry.trim()).filter(entry => entry !== '').forEach(entry => {
+        const match = entry.match(/^([A-Z][a-z]?)\s*-\s*([A-Z][a-z]?)\s*[:=]?\s*(\d*\.?\d+)$/);
+        if (!match) {
+            invalid.push(entry);
+            return;
+        }
+        cutoffs[getPairKey(match[1], match[2])] = parseFloat(match[3]);
+    });
+    return { cutoffs, invalid };
+}
+
+// Default cutoff of a pair of elements; metal-metal pairs are only bonded in structures without non-metals
+// (so the cations of an oxide are not joined to each other)
+function getDefaultCutoff(element1, element2, hasNonMetals) {
+    if (hasNonMetals && !NON_METALS.has(element1) && !NON_METALS.has(element2)) return 0;
+    const radius = (element) => COVALENT_RADII[element] ?? DEFAULT_COVALENT_RADIUS;
+    return radius(element1) + radius(element2) + BOND_TOLERANCE;
+}
+
+/**
+ * Bond cutoff for every pair of elements in the structure: the user's value where given, otherwise from the covalent radii.
+ *
+ * @param {Array<string>} elements - Element symbols present.
+ * @param {object} overrides - Cutoffs keyed by getPairKey, e.g. from parseBondCutoffs.
+ * @returns {object} - Cutoff in Angstrom keyed by getPairKey (0 means not bonded).
+ */
+export function getBondCutoffs(elements, overrides = {}) {
+    const hasNonMetals = elements.some(element => NON_METALS.has(element));
+    const cutoffs = {};
+    elements.forEach(element1 => elements.forEach(element2 => {
+        const key = getPairKey(element1, element2);
+        cutoffs[key] = overrides[key] ?? getDefaultCutoff(element1, element2, hasNonMetals);
+    }));
+    return cutoffs;
+}
+
+/**
+ * Neighbours of every atom in the unit cell, across periodic boundaries.
+ *
+ * @param {Array<object>} atomPositions - Atoms of the unit cell (fractional x, y, z and element label).
+ * @param {Array<number[]>} latticeVectors - Cartesian a, b, c (getDirectLatticeVectors).
+ * @param {object} overrides - User cutoffs keyed by getPairKey.
+ * @returns {Array<Array<{index: number, translation: number[], distance: number, vector: number[]}>>} - For each atom,
+ *   its neighbours sorted by distance: atom index, lattice translation of the neighbour's image, distance in Angstrom
+ *   and the Cartesian vector from the atom to the neighbour.
+ */
+export function findNeighbors(atomPositions, latticeVectors, overrides = {}) {
+    const elements = [...new Set(atomPositions.map(atom => atom.label))];
+    const cutoffs = getBondCutoffs(elements, overrides);
+    const maxCutoff = Math.max(0, ...Object.values(cutoffs));
+    const neighbors = atomPositions.map(() => []);
+    if (maxCutoff <= 0) return neighbors;
+
+    // Translations needed along each axis: the cutoff divided by the spacing of the lattice planes normal to it
+    const volume = Math.abs(dotProduct(latticeVectors[0], crossProduct(latticeVectors[1], latticeVectors[2])));
+    const ranges = [0, 1, 2].map(i => {
+        const normal = crossProduct(latticeVectors[(i + 1) % 3], latticeVectors[(i + 2) % 3]);
+        const planeSpacing = volume / Math.sqrt(dotProduct(normal, normal));
+        return Math.ceil(maxCutoff / planeSpacing) + 1;
+    });
+
+    const cartesian = atomPositions.map(atom => toCartesian([atom.x, atom.y, atom.z], latticeVectors));
+    atomPositions.forEach((atom, i) => {
+        atomPositions.forEach((other, j) => {
+            const cutoff = cutoffs[getPairKey(atom.label, other.label)];
+            if (!(cutoff > 0)) return;
+            for (let n1 = -ranges[0]; n1 <= ranges[0]; n1++) {
+                for (let n2 = -ranges[1]; n2 <= ranges[1]; n2++) {
+                    for (let n3 = -ranges[2]; n3 <= ranges[2]; n3++) {
+                        const shift = toCartesian([n1, n2, n3], latticeVectors);
+                        const vector = [0, 1, 2].map(k => cartesian[j][k] + shift[k] - cartesian[i][k]);
+                        const distance = Math.sqrt(dotProduct(vector, vector));
+                        if (distance >= MIN_BOND_LENGTH && distance <= cutoff) {
+                            neighbors[i].push({ index: j, translation: [n1, n2, n3], distance, vector });
+                        }
+                    }
+                }
+            }
+        });
+        neighbors[i].sort((first, second) => first.distance - second.distance);
+    });
+    return neighbors;
+}
+
+// Name of the coordination polyhedron from the number of neighbours and how many pairs of them are trans
+function getGeometryName(vectors) {
+    const count = vectors.length;
+    let transPairs = 0;
+    let angleSum = 0;
+    for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) {
+            const cosine = dotProduct(vectors[i], vectors[j]) / Math.sqrt(dotProduct(vectors[i], vectors[i]) * dotProduct(vectors[j], vectors[j]));
+            const angle = Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+            angleSum += angle;
+            if (angle >= TRANS_ANGLE) transPairs++;
+        }
+    }
+    switch (count) {
+        case 1: return 'terminal';
+        case 2: return transPairs === 1 ? 'linear' : 'bent';
+        case 3: return angleSum > 350 ? 'trigonal planar' : 'trigonal pyramidal';
+        case 4: return ['tetrahedral', 'see-saw', 'square planar'][transPairs] || '4-coordinate';
+        case 5: return ['5-coordinate', 'trigonal bipyramidal', 'square pyramidal'][transPairs] || '5-coordinate';
+        case 6: return transPairs === 3 ? 'octahedral' : transPairs === 0 ? 'trigonal prismatic' : '6-coordinate';
+        case 8: return transPairs === 4 ? 'cubic' : transPairs === 0 ? 'square antiprismatic' : '8-coordinate';
+        case 12: return transPairs === 6 ? 'cuboctahedral' : transPairs === 3 ? 'anticuboctahedral' : '12-coordinate';
+        default: return `${count}-coordinate`;
+    }
+}
+
+/**
+ * Coordination of one atom: its number of neighbours, the neighbouring elements with their range of bond lengths,
+ * and the name of the polyhedron, e.g. '6 × O (1.946–1.984 Å), octahedral'.
+ *
+ * @param {Array<object>} atomNeighbors - The atom's entry from findNeighbors.
+ * @param {Array<object>} atomPositions - Atoms of the unit cell.
+ * @returns {{coordinationNumber: number, geometry: string, neighbors: Array<object>, text: string}}
+ */
+export function describeCoordination(atomNeighbors, atomPositions) {
+    const byElement = new Map();
+    atomNeighbors.forEach(({ index, distance }) => {
+        const element = atomPositions[index].label;
+        const entry = byElement.get(element) || { element, count: 0, minDistance: Infinity, maxDistance: 0 };
+        entry.count++;
+        entry.minDistance = Math.min(entry.minDistance, distance);
+        entry.maxDistance = Math.max(entry.maxDistance, distance);
+        byElement.set(element, entry);
+    });
+    const neighbors = [...byElement.values()];
+    const coordinationNumber = atomNeighbors.length;
+    if (coordinationNumber === 0) {
+        return { coordinationNumber, geometry: 'isolated', neighbors, text: 'no neighbours within the bond cutoffs' };
+    }
+    const geometry = getGeometryName(atomNeighbors.map(neighbor => neighbor.vector));
+    const parts = neighbors.map(({ element, count, minDistance, maxDistance }) => {
+        const range = maxDistance - minDistance < 0.0005
+            ? minDistance.toFixed(3)
+            : `${minDistance.toFixed(3)}–${maxDistance.toFixed(3)}`;
+        return `${count} × ${element} (${range} Å)`;
+    });
+    return { coordinationNumber, geometry, neighbors, text: `${parts.join(', ')}, ${geometry}` };
+}
+
+/**
+ * Coordination environment of each site (the first atom with each site label), for the structure summary.
+ *
+ * @param {Array<object>} atomPositions - Atoms of the unit cell.
+ * @param {Array<number[]>} latticeVectors - Cartesian a, b, c (getDirectLatticeVectors).
+ * @param {object} overrides - User cutoffs keyed by getPairKey.
+ * @returns {Array<{siteLabel: string, element: string, coordinationNumber: number, geometry: string, text: string}>}
+ */
+export function getCoordinationEnvironments(atomPositions, latticeVectors, overrides = {}) {
+    const neighbors = findNeighbors(atomPositions, latticeVectors, overrides);
+    const seen = new Set();
+    const environments = [];
+    atomPositions.forEach((atom, index) => {
+        const siteLabel = atom.siteLabel || atom.label;
+        if (seen.has(siteLabel)) return;
+        seen.add(siteLabel);
+        environments.push({ siteLabel, element: atom.label, ...describeCoordination(neighbors[index], atomPositions) });
+    });
+    return environments;
+}
@@ -0,0 +1,323 @@
+// cifTokenizer.js
+// Tokenizer and reader for CIF 1.1 and CIF 2.0 files.
+// Produces data blocks with their tag/value pairs and loop tables; tag names are stored lower-case
+// because CIF tags are case-insensitive.
+
+const RESERVED_WORD = /^(data_|save_|loop_$|global_$|stop_$)/i;
+
+// CIF 2.0 files must start with this magic comment; it changes the quoting rules and enables lists/tables
+function isCif2(text) {
+    return /^\uFEFF?#\\#CIF_2\.0/.test(text);
+}
+
+// Syntax errors carry the line they were found on (for unterminated values, the line they start on)
+function syntaxError(message, line) {
+    const error = new Error(message);
+    error.line = line;
+    return error;
+}
+
+function isWhitespace(character) {
+    return character === ' ' || character === '\t' || character === '\n' || character === '\r';
+}
+
+/**
+ * Split CIF text into tokens.
+ * Each token is { type, value, line } where type is one of
+ * 'data', 'save', 'loop', 'global', 'stop', 'tag', 'value', 'listStart', 'listEnd', 'tableStart', 'tableEnd', 'tableKey'.
+ * Value tokens also carry `quoted` so that a quoted '?' can be told apart from the unknown marker ?.
+ *
+ * @param {string} text - Full CIF file contents.
+ * @returns {Array<object>} - Tokens in file order.
+ * @throws {Error} - On a syntax error, with the line number in its `line` property.
+ */
+export function tokenizeCif(text) {
+    const cif2 = isCif2(text);
+    const tokens = [];
+    const length = text.length;
+    let position = 0;
+    let line = 1;
+    let atLineStart = true;
+
+    while (position < length) {
+        const character = text[position];
+
+        if (character === '\n') {
+            line++;
+            position++;
+            atLineStart = true;
+            continue;
+        }
+        if (isWhitespace(character)) {
+            position++;
+            atLineStart = false;
+            continue;
+        }
+
+        // Comments run to the end of the line
+        if (character === '#') {
+            while (position < length && text[position] !== '\n') position++;
+            continue;
+        }
+
+        // Semicolon-delimited text field: a ';' in the first column up to the next line starting with ';'
+        if (character === ';' && atLineStart) {
+            const startLine = line;
+            let end = text.indexOf('\n;', position);
+            if (end === -1) {
+                throw syntaxError('Unterminated semicolon text field.', startLine);
+            }
+            const content = text.slice(position + 1, end);
+            line += (content.match(/\n/g) || []).length + 1;
+            // A leading newline after the opening ';' is not part of the value
+            tokens.push({ type: 'value', value: content.replace(/^\r?\n/, '').replace(/\r$/, ''), line: startLine, quoted: true });
+            position = end + 2;
+            atLineStart = false;
+            continue;
+        }
+        atLineStart = false;
+
+        // Triple-quoted strings (CIF 2.0)
+        if (cif2 && (text.startsWith("'''", position) || text.startsWith('"""', position))) {
+            const delimiter = text.slice(position, position + 3);
+            const end = text.indexOf(delimiter, position + 3);
+            if (end === -1) {
+                throw syntaxError('Unterminated triple-quoted string.', line);
+            }
+            const content = text.slice(position + 3, end);
+            tokens.push({ type: 'value', value: content, line, quoted: true });
+            line += (content.match(/\n/g) || []).length;
+            position = end + 3;
+            continue;
+        }
+
+        // Quoted strings. In CIF 1.1 a quote only closes the string when followed by whitespace,
+        // so values such as 'O'Brien' survive; CIF 2.0 closes on the first matching quote.
+        if (character === "'" || character === '"') {
+            let end = position + 1;
+            while (end < length) {
+                if (text[end] === '\n') {
+                    throw syntaxError('Unterminated quoted string.', line);
+                }
+                if (text[end] === character && (cif2 || end + 1 >= length || isWhitespace(text[end + 1]))) break;
+                end++;
+            }
+            if (end >= length) {
+                throw syntaxError('Unterminated quoted string.', line);
+            }
+            tokens.push({ type: 'value', value: text.slice(position + 1, end), line, quoted: true });
+            position = end + 1;
+            continue;
+        }
+
+        // List and table delimiters (CIF 2.0)
+        if (cif2 && '[]{}'.includes(character)) {
+            const types = { '[': 'listStart', ']': 'listEnd', '{': 'tableStart', '}': 'tableEnd' };
+            tokens.push({ type: types[character], value: character, line });
+            position++;
+            continue;
+        }
+        // Table keys are followed by ':' (CIF 2.0); the quoted key token is already emitted
+        if (cif2 && character === ':' && tokens.length && tokens[tokens.length - 1].quoted && (text[position - 1] === "'" || text[position - 1] === '"')) {
+            tokens[tokens.length - 1].type = 'tableKey';
+            position++;
+            continue;
+        }
+
+        // Bare words: tags, reserved words or unquoted values
+        let end = position;
+        while (end < length && !isWhitespace(text[end]) && !(cif2 && '[]{}'.includes(text[end]))) end++;
+        const word = text.slice(position, end);
+        position = end;
+
+        if (word.startsWith('_')) {
+            tokens.push({ type: 'tag', value: word, line });
+        } else if (RESERVED_WORD.test(word)) {
+            const lower = word.toLowerCase();
+            if (lower.startsWith('data_')) tokens.push({ type: 'data', value: word.slice(5), line });
+            else if (lower.startsWith('save_')) tokens.push({ type: 'save', value: word.slice(5), line });
+            else tokens.push({ type: lower.slice(0, -1), value: word, line });
+        } else {
+            tokens.push({ type: 'value', value: word, line, quoted: false });
+        }
+    }
+
+    return tokens;
+}
+
+// Read one value starting at tokens[index]; lists and tables are read recursively.
+// Returns [value, nextIndex], or null if the token does not start a value.
+function readValue(tokens, index) {
+    const token = tokens[index];
+    if (!token) return null;
+
+    if (token.type === 'value') return [token.value, index + 1];
+
+    if (token.type === 'listStart') {
+        const list = [];
+        let i = index + 1;
+        while (i < tokens.length && tokens[i].type !== 'listEnd') {
+            const result = readValue(tokens, i);
+            if (!result) throw syntaxError(`Unexpected '${tokens[i].value}' inside list.`, tokens[i].line);
+            list.push(result[0]);
+            i = result[1];
+        }
+        if (i >= tokens.length) throw syntaxError('Unterminated list.', token.line);
+        return [list, i + 1];
+    }
+
+    if (token.type === 'tableStart') {
+        const table = {};
+        let i = index + 1;
+        while (i < tokens.length && tokens[i].type !== 'tableEnd') {
+            if (tokens[i].type !== 'tableKey') {
+                throw syntaxError('Expected a quoted table key.', tokens[i].line);
+            }
+            const result = readValue(tokens, i + 1);
+            if (!result) throw syntaxError(`Missing value for table key '${tokens[i].value}'.`, tokens[i].line);
+            table[tokens[i].value] = result[0];
+            i = result[1];
+        }
+        if (i >= tokens.length) throw syntaxError('Unterminated table.', token.line);
+        return [table, i + 1];
+    }
+
+    return null;
+}
+
+/**
+ * Parse CIF text into data blocks.
+ * Each block is { name, line, items, itemLines, loops }: `items` maps lower-case tag names to values,
+ * `itemLines` maps them to the line they appear on, and `loops` is a list of { tags, rows, rowLines, line }.
+ * Save frames are skipped; their contents are dictionary definitions, not data.
+ *
+ * @param {string} text - Full CIF file contents.
+ * @returns {{blocks: Array<object>, warnings: Array<{line: number, message: string}>}}
+ * @throws {Error} - On a syntax error, with the line number in its `line` property.
+ */
+export function parseCifDocument(text) {
+    const tokens = tokenizeCif(text);
+    const blocks = [];
+    const warnings = [];
+    let block = null;
+    let i = 0;
+
+    const ensureBlock = (token) => {
+        if (!block) {
+            warnings.push({ line: token.line, message: 'Data found before any data_ block header; starting an unnamed block.' });
+            block = { name: '', line: token.line, items: {}, itemLines: {}, loops: [] };
+            blocks.push(block);
+        }
+    };
+
+    while (i < tokens.length) {
+        const token = tokens[i];
+
+        switch (token.type) {
+            case 'data':
+                block = { name: token.value, line: token.line, items: {}, itemLines: {}, loops: [] };
+                blocks.push(block);
+                i++;
+                break;
+
+            case 'save': {
+                // Skip to the closing save_ (an empty save frame name)
+                i++;
+                while (i < tokens.length && !(tokens[i].type === 'save' && tokens[i].value === '')) i++;
+                i++;
+                break;
+            }
+
+            case 'tag': {
+                ensureBlock(token);
+                const result = readValue(tokens, i + 1);
+                if (!result) {
+                    warnings.push({ line: token.line, message: `Tag ${token.value} has no value.` });
+                    i++;
+                    break;
+                }
+                const tag = token.value.toLowerCase();
+                if (tag in block.items) {
+                    warnings.push({ line: token.line, message: `Duplicate tag ${token.value}; the later value is used.` });
+                }
+                block.items[tag] = result[0];
+                block.itemLines[tag] = token.line;
+                i = result[1];
+                break;
+            }
+
+            case 'loop': {
+                ensureBlock(token);
+                const loop = { tags: [], rows: [], rowLines: [], line: token.line };
+                i++;
+                while (i < tokens.length && tokens[i].type === 'tag') {
+                    loop.tags.push(tokens[i].value.toLowerCase());
+                    i++;
+                }
+                if (loop.tags.length === 0) {
+                    warnings.push({ line: token.line, message: 'loop_ without any tags.' });
+                    break;
+                }
+
+                // Values fill the rows in order, regardless of how they are laid out over lines
+                let row = [];
+                let rowLine = null;
+                let result;
+                while ((result = readValue(tokens, i))) {
+                    if (row.length === 0) rowLine = tokens[i].line;
+                    row.push(result[0]);
+                    i = result[1];
+                    if (row.length === loop.tags.length) {
+                        loop.rows.push(row);
+                        loop.rowLines.push(rowLine);
+                        row = [];
+                    }
+                }
+                if (row.length > 0) {
+                    warnings.push({
+                        line: rowLine,
+                        message: `Loop starting on line ${token.line} has ${row.length} trailing value(s) that do not fill a row of ${loop.tags.length}; they were ignored.`
+                    });
+                }
+                block.loops.push(loop);
+                break;
+            }
+
+            case 'global':
+            case 'stop':
+                i++;
+                break;
+
+            default: {
+                const result = readValue(tokens, i);
+                warnings.push({ line: token.line, message: `Value '${token.value}' is not attached to any tag; ignored.` });
+                i = result ? result[1] : i + 1;
+            }
+        }
+    }
+
+    return { blocks, warnings };
+}
+
+// Find the loop of a block that contains the given tag (case-insensitive)
+export function findLoop(block, tag) {
+    const lower = tag.toLowerCase();
+    return block.loops.find(loop => loop.tags.includes(lower)) || null;
+}
+
+/**
+ * Look up a single value by tag in a block. A tag given inside a one-row loop also counts.
+ *
+ * @param {object} block - Data block from parseCifDocument.
+ * @param {...string} tags - Candidate tags, tried in order (e.g. current and legacy names).
+ * @returns {*} - The value, or undefined if none of the tags is present.
+ */
+export function findValue(block, ...tags) {
+    for (const tag of tags) {
+        const lower = tag.toLowerCase();
+        if (lower in block.items) return block.items[lower];
+        const loop = findLoop(block, lower);
+        if (loop && loop.rows.length > 0) return loop.rows[0][loop.tags.indexOf(lower)];
+    }
+    return undefined;
+}
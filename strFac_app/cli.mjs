@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// cli.mjs
+// Command-line front end of api.js: the reflections of a zone axis, or the reflections and profile of a powder pattern,
+// for a structure file (CIF, POSCAR, XYZ, PDB or SHELX). Run `node cli.mjs --help` for the options.
+// The app's .js files are ES modules without a package.json, which Node loads as such from 20.19 and 22.7 on.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    readStructureFile,
+    formatDiagnostic,
+    calculateZoneAxisPattern,
+    calculatePowderReflections,
+    calculatePowderProfile,
+    getPowderSource,
+    formatReflectionsCsv,
+    formatReflectionsJson,
+    DEFAULT_TWO_THETA_RANGE,
+    XRAY_SOURCES,
+    parseIndices,
+    isConsistentFourIndex,
+    isHexagonalCell
+} from './api.js';
+
+const USAGE = `Usage: node cli.mjs <structure file> [options]
+
+Zone-axis pattern (the default):
+  --zone u,v,w          Zone axis [uvw], three or four indices (default 0,0,1)
+  --plane               Read --zone as a plane normal (hkl) instead
+  --radiation TYPE      xray (default) or electron
+  --wavelength Å        X-ray wavelength (default 1.5406)
+  --voltage kV          Electron accelerating voltage (default 200)
+  --thickness nm        Specimen thickness for electrons (default 50)
+  --gmax Å⁻¹            Resolution limit |g| of the zero-order zone (default 1)
+  --holz                Include the first- and second-order Laue zones (electrons)
+  --dynamical           Bloch-wave intensities of the zero-order zone (electrons)
+  --beams N             Beams in the Bloch-wave calculation (default 50)
+  --ionic               Ionic X-ray form factors for atoms with an oxidation state
+
+Powder pattern:
+  --powder              List the powder reflections instead
+  --source NAME         ${Object.keys(XRAY_SOURCES).join(', ')} (default CuKa12); --wavelength gives one line instead
+  --two-theta MIN,MAX   2θ range in degrees (default ${DEFAULT_TWO_THETA_RANGE.join(',')})
+  --caglioti U,V,W      Peak widths FWHM² = U tan²θ + V tanθ + W (default 0.02,-0.01,0.005)
+  --eta η               Lorentzian fraction of the pseudo-Voigt peaks (default 0.5)
+  --profile FILE        Also write the profile (2θ, intensity scaled to 100) to FILE as CSV
+
+Output:
+  --format FORMAT       csv (default) or json
+  --output FILE         Write the reflection list to FILE instead of standard output
+  --help                Show this message
+`;
+
+const OPTIONS = {
+    zone: { type: 'string', default: '0,0,1' },
+    plane: { type: 'boolean' },
+    radiation: { type: 'string', default: 'xray' },
+    wavelength: { type: 'string' },
+    voltage: { type: 'string' },
+    thickness: { type: 'string' },
+    gmax: { type: 'string' },
+    holz: { type: 'boolean' },
+    dynamical: { type: 'boolean' },
+    beams: { type: 'string' },
+    ionic: { type: 'boolean' },
+    powder: { type: 'boolean' },
+    source: { type: 'string', default: 'CuKa12' },
+    'two-theta': { type: 'string' },
+    caglioti: { type: 'string' },
+    eta: { type: 'string' },
+    profile: { type: 'string' },
+    format: { type: 'string', default: 'csv' },
+    output: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+// Numbers given as option values; undefined when the option is absent
+function readNumbers(values, name, count) {
+    if (values[name] === undefined) return undefined;
+    const numbers = values[name].split(',').map(Number);
+    if (numbers.length !== count || numbers.some(value => !Number.isFinite(value))) {
+        fail(`--${name} needs ${count === 1 ? 'a number' : `${count} numbers separated by commas`}, not '${values[name]}'.`);
+    }
+    return numbers;
+}
+
+function readNumber(values, name) {
+    const numbers = readNumbers(values, name, 1);
+    return numbers && numbers[0];
+}
+
+// The --zone indices, checked here since calculateZoneAxisPattern falls back to [100] for indices it cannot use
+function checkZone(parsedData, values) {
+    const indices = parseIndices(values.zone);
+    if (!indices) fail(`--zone needs three or four integers, not all zero, separated by commas; not '${values.zone}'.\n\n${USAGE}`);
+    if (indices.length === 4 && !isHexagonalCell(parsedData.cellParameters)) fail(`--zone ${values.zone}: four indices need a hexagonal cell.\n\n${USAGE}`);
+    if (indices.length === 4 && !isConsistentFourIndex(indices)) fail(`--zone ${values.zone}: the third index must be minus the sum of the first two.\n\n${USAGE}`);
+}
+
+// Reflections of the zone axis, with the conditions of the calculation
+function getZoneAxisReflections(parsedData, values) {
+    if (!['xray', 'electron'].includes(values.radiation)) fail(`Unknown radiation '${values.radiation}'; use xray or electron.`);
+    checkZone(parsedData, values);
+    let pattern;
+    try {
+        pattern = calculateZoneAxisPattern(parsedData, values.zone, {
+            radiation: values.radiation,
+            wavelength: readNumber(values, 'wavelength'),
+            voltage: readNumber(values, 'voltage'),
+            thickness: readNumber(values, 'thickness'),
+            gMax: readNumber(values, 'gmax'),
+            showHolz: values.holz,
+            dynamical: values.dynamical,
+            beamCount: readNumber(values, 'beams'),
+            ionicFormFactors: values.ionic,
+            indexType: values.plane ? 'plane' : 'direction'
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+    return {
+        reflections: pattern.reflections,
+        metadata: {
+            view: "zone axis",
+            radiation: pattern.radiation,
+            wavelength: pattern.wavelength,
+            zoneAxis: pattern.uvw,
+            planeNormal: pattern.hkl,
+            axisUnitLabel: 'Å⁻¹'
+        }
+    };
+}
+
+// Powder reflections in the 2-theta range, as in the powder view of the app; also writes the profile if asked to
+function getPowderReflections(parsedData, values) {
+    if (values.wavelength === undefined && !XRAY_SOURCES[values.source]) {
+        fail(`Unknown X-ray source '${values.source}'; use one of ${Object.keys(XRAY_SOURCES).join(', ')}.`);
+    }
+    const [twoThetaMin, twoThetaMax] = readNumbers(values, 'two-theta', 2) || DEFAULT_TWO_THETA_RANGE;
+    if (!(twoThetaMin >= 0 && twoThetaMax > twoThetaMin)) fail("--two-theta needs 0 <= MIN < MAX.");
+    const [U, V, W] = readNumbers(values, 'caglioti', 3) || [];
+    const options = {
+        source: values.wavelength !== undefined ? 'custom' : values.source,
+        wavelength: readNumber(values, 'wavelength'),
+        ionicFormFactors: values.ionic,
+        twoThetaMin,
+        twoThetaMax,
+        U,
+        V,
+        W,
+        eta: readNumber(values, 'eta')
+    };
+    const source = getPowderSource(options);
+    const reflections = calculatePowderReflections(parsedData, options)
+        .filter(reflection => reflection.peaks.some(peak => peak.twoTheta >= twoThetaMin));
+
+    if (values.profile) {
+        const profile = calculatePowderProfile(reflections, options);
+        const scale = 100 / (Math.max(...profile.map(point => point.y)) || 1);
+        const lines = ['2θ (°),intensity', ...profile.map(point => `${point.x.toFixed(2)},${(point.y * scale).toFixed(4)}`)];
+        writeFileSync(values.profile, lines.join('\n') + '\n');
+    }
+    return {
+        reflections,
+        metadata: { view: "powder", source: source.label, wavelengths: source.lines.map(line => line.wavelength) }
+    };
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`);
+    }
+    const { values, positionals } = args;
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (positionals.length !== 1) fail(USAGE);
+    if (!['csv', 'json'].includes(values.format)) fail(`Unknown format '${values.format}'; use csv or json.`);
+
+    const fileName = positionals[0];
+    let text;
+    try {
+        text = readFileSync(fileName, 'utf8');
+    } catch (error) {
+        fail(`Cannot read ${fileName}: ${error.message}`);
+    }
+    // Problems found in the file go to standard error, so that they stay out of the reflection list
+    const { data: parsedData, diagnostics } = readStructureFile(basename(fileName), text);
+    diagnostics.forEach(diagnostic => console.error(formatDiagnostic(diagnostic)));
+    if (!parsedData) fail(`No structure could be read from ${fileName}.`);
+
+    const { reflections, metadata } = values.powder ? getPowderReflections(parsedData, values) : getZoneAxisReflections(parsedData, values);
+    const structure = { file: basename(fileName), spaceGroup: parsedData.spaceGroupName || null, cellParameters: parsedData.cellParameters };
+    const output = values.format === 'json'
+        ? formatReflectionsJson(reflections, { ...structure, ...metadata }) + '\n'
+        : formatReflectionsCsv(reflections, metadata);
+    if (values.output) writeFileSync(values.output, output);
+    else process.stdout.write(output);
+}
+
+main();
@@ -0,0 +1,83 @@
+// composition.js
+// Cell contents, chemical formula and number of formula units Z of a structure.
+
+// Two cell contents that differ by less than this (in atoms) are taken as equal
+const COUNT_TOLERANCE = 1e-3;
+
+function greatestCommonDivisor(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+function isWholeNumber(value) {
+    return Math.abs(value - Math.round(value)) < COUNT_TOLERANCE;
+}
+
+/**
+ * Atoms of each element in the unit cell, weighted by occupancy, in order of first appearance, with the oxidation
+ * states found for that element.
+ *
+ * @param {Array<object>} atomPositions - Atoms of the unit cell.
+ * @returns {Array<{element: string, count: number, oxidationStates: Array<number>}>}
+ */
+export function getCellContents(atomPositions) {
+    const contents = new Map();
+    atomPositions.forEach(atom => {
+        if (!contents.has(atom.label)) contents.set(atom.label, { element: atom.label, count: 0, oxidationStates: [] });
+        const entry = contents.get(atom.label);
+        entry.count += atom.occupancy ?? 1;
+        if (atom.oxidationState && !entry.oxidationStates.includes(atom.oxidationState)) entry.oxidationStates.push(atom.oxidationState);
+    });
+    return [...contents.values()];
+}
+
+// Formula from the atoms in the cell: occupancy-weighted counts, divided by their common factor when they are integers
+export function getChemicalComponents(atomPositions) {
+    const contents = getCellContents(atomPositions);
+    const divisor = contents.every(({ count }) => isWholeNumber(count))
+        ? contents.reduce((d, { count }) => greatestCommonDivisor(d, Math.round(count)), 0) || 1
+        : 1;
+    const elements = contents.map(({ element, count }) => ({ element, number: parseFloat((count / divisor).toFixed(4)) }));
+
+    const chemicalComponents = { elements };
+    if (elements.length > 0) chemicalComponents.element1 = elements[0].element;
+    if (elements.length > 1) chemicalComponents.element2 = elements[1].element;
+    return chemicalComponents;
+}
+
+// Text of a formula, e.g. [{Ti, 1}, {O, 2}] -> 'TiO2'
+export function formatFormula(elements) {
+    return elements.map(({ element, number }) => {
+        const rounded = parseFloat(number.toFixed(3));
+        return rounded === 1 ? element : `${element}${rounded}`;
+    }).join('');
+}
+
+/**
+ * Number of formula units in the cell. The Z given in the file is used if there is one (CIF _cell_formula_units_Z,
+ * SHELX ZERR, PDB CRYST1); otherwise Z is the cell contents divided by the formula of the file, or by their common
+ * factor if the file has no formula.
+ *
+ * @param {object} data - Structure as returned by parseStructureFile.
+ * @returns {{z: number, formula: Array<{element: string, number: number}>}} - Z and the formula per formula unit.
+ */
+export function getFormulaUnits(data) {
+    const contents = getCellContents(data.atomPositions);
+    const perUnit = (z) => contents.map(({ element, count }) => ({ element, number: count / z }));
+
+    if (data.formulaUnitsZ > 0) return { z: data.formulaUnitsZ, formula: perUnit(data.formulaUnitsZ) };
+
+    // Z from the file's formula, if every element of the cell gives the same whole number
+    const formula = (data.chemicalComponents && data.chemicalComponents.elements) || [];
+    const ratios = contents.map(({ element, count }) => {
+        const entry = formula.find(item => item.element === element);
+        return entry && entry.number > 0 ? count / entry.number : NaN;
+    });
+    if (ratios.length > 0 && ratios.every(ratio => isWholeNumber(ratio) && Math.round(ratio) > 0 && Math.abs(ratio - ratios[0]) < COUNT_TOLERANCE)) {
+        return { z: Math.round(ratios[0]), formula: perUnit(Math.round(ratios[0])) };
+    }
+
+    const { elements } = getChemicalComponents(data.atomPositions);
+    const z = contents.length > 0 ? Math.round(contents[0].count / elements[0].number) : 1;
+    return { z, formula: elements };
+}
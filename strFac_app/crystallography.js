@@ -0,0 +1,613 @@
+// crystallography.js
+// Headless calculations: lattice vectors, structure factors, zone-axis and plane-normal conversions, and the reflections
+// of a zone-axis pattern. Nothing here uses the page or the CDN globals (math, Plotly, CanvasJS), so it runs in Node as
+// well; performCrystallographicAnalysis.js draws the results.
+import { getXrayScatteringFactor, getElectronScatteringFactor } from './scatteringFactors.js';
+import { describeRadiation } from './radiation.js';
+import { getAbsenceReason } from './extinctions.js';
+import { lookupStructureFactor, isTableFor } from './structureFactorTable.js';
+import { solveBlochWave, getBeamIntensities, DEFAULT_BEAM_COUNT, MAX_BEAM_COUNT } from './blochWave.js';
+import { parseIndices, reduceIndices, greatestCommonDivisor, getEquivalentReflections, isConsistentFourIndex, directionFromFourIndex, planeFromFourIndex, isHexagonalCell } from './millerIndices.js';
+
+export const DEFAULT_THICKNESS = 50; // nm, specimen thickness for the excitation-error shape factor
+const MAX_LAUE_ZONE = 2; // highest Laue zone included when HOLZ reflections are enabled (FOLZ, SOLZ)
+// Spots are kept while the shape factor envelope 1 / (pi t s)^2 is above ~1e-3
+const EXCITATION_CUTOFF = 30;
+export const DEFAULT_G_MAX = 1; // Angstrom^-1, resolution limit of the zero-order zone
+
+//Helper Functions (local to this js file)
+function crossProduct(v1, v2) {
+    return [
+        v1[1] * v2[2] - v1[2] * v2[1],
+        v1[2] * v2[0] - v1[0] * v2[2],
+        v1[0] * v2[1] - v1[1] * v2[0]
+    ];
+}
+
+function dotProduct(v1, v2) {
+    return v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
+}
+
+function multiplyMatrices(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || !a.length || !b.length || !a[0].length || !b[0].length) {
+       // console.error('Need non-empty 2-dimensional arrays for matrix multiplication.');
+       return [];
+    }
+    const x = a.length;
+    const z = a[0].length;
+    const y = b[0].length;
+    if (b.length !== z) {
+       // console.error('Number of columns in the first matrix must match number of rows in the second.');
+       return [];
+    }
+
+    const product = Array(x).fill(0).map(() => Array(y).fill(0));
+
+    for (let i = 0; i < x; i++) {
+       for (let j = 0; j < y; j++) {
+          for (let k = 0; k < z; k++) {
+             product[i][j] += a[i][k] * b[k][j];
+          }
+       }
+    }
+    return product;
+}
+
+function normalizeVector(v) {
+    const magnitude = Math.sqrt(v.reduce((sum, val) => sum + val * val, 0));
+    if (magnitude === 0) return [0, 0, 0];
+    return v.map(val => val / magnitude);
+}
+
+// Function to calculate inverse of a 3x3 matrix
+function matrixInverse3x3(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    if (det === 0) {
+        // console.error("Matrix is singular, cannot invert.");
+        return null;
+    }
+
+    const invDet = 1 / det;
+
+    return [
+        [(e * i - f * h) * invDet, (c * h - b * i) * invDet, (b * f - c * e) * invDet],
+        [(f * g - d * i) * invDet, (a * i - c * g) * invDet, (c * d - a * f) * invDet],
+        [(d * h - e * g) * invDet, (b * g - a * h) * invDet, (a * e - b * d) * invDet]
+    ];
+}
+
+
+// Debye-Waller damping of an atom's scattering for reflection hkl at s = sin(theta)/lambda.
+// Anisotropic: exp(-2 pi^2 sum_ij h_i h_j U^ij a*_i a*_j); isotropic: exp(-8 pi^2 U s^2).
+function getDebyeWallerFactor(atom, hkl, s, reciprocalLengths) {
+    if (atom.uAniso) {
+        let exponent = 0;
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                exponent += hkl[i] * hkl[j] * atom.uAniso[i][j] * reciprocalLengths[i] * reciprocalLengths[j];
+            }
+        }
+        return Math.exp(-2 * Math.PI * Math.PI * exponent);
+    }
+    return Math.exp(-8 * Math.PI * Math.PI * (atom.uIso || 0) * s * s);
+}
+
+// Largest zone-axis index tried when looking for the lattice direction along a plane normal
+const MAX_ZONE_AXIS_INDEX = 12;
+
+// Integer indices n (up to MAX_ZONE_AXIS_INDEX) whose vector sum_i n_i e_i is closest in angle to sum_i c_i e_i,
+// for real components c in the basis e. Returns { indices, angle } with the angle in degrees.
+function getBestIntegerIndices(components, basisVectors) {
+    const combine = (coefficients) => coefficients.reduce((sum, c, i) => sum.map((v, k) => v + c * basisVectors[i][k]), [0, 0, 0]);
+    const largest = Math.max(...components.map(Math.abs));
+    const target = normalizeVector(combine(components));
+
+    let best = null;
+    for (let multiplier = 1; multiplier <= MAX_ZONE_AXIS_INDEX; multiplier++) {
+        const candidate = components.map(c => Math.round(c / largest * multiplier));
+        const direction = normalizeVector(combine(candidate));
+        const angle = Math.acos(Math.min(1, Math.abs(dotProduct(direction, target)))) * 180 / Math.PI;
+        if (!best || angle < best.angle - 1e-9) best = { indices: candidate, angle };
+        if (angle < 1e-3) break;
+    }
+    return { indices: reduceIndices(best.indices), angle: best.angle };
+}
+
+// Find the direct-lattice direction [uvw] parallel to the normal of the (hkl) plane.
+// Its components are u_i = sum_j (a*_i . a*_j) h_j; these are only rational for special metrics,
+// so the integer direction closest in angle is used (up to MAX_ZONE_AXIS_INDEX).
+function getZoneAxisForPlane(hkl, directLatticeVectorsCartesian, reciprocalLatticeVectorsCartesian) {
+    const components = [0, 1, 2].map(i => [0, 1, 2].reduce((sum, j) =>
+        sum + dotProduct(reciprocalLatticeVectorsCartesian[i], reciprocalLatticeVectorsCartesian[j]) * hkl[j], 0));
+    const { indices, angle } = getBestIntegerIndices(components, directLatticeVectorsCartesian);
+    return { uvw: indices, angle };
+}
+
+// The converse: the (hkl) plane normal to the direction [uvw], with h_i = sum_j (a_i . a_j) u_j
+function getPlaneForZoneAxis(uvw, directLatticeVectorsCartesian, reciprocalLatticeVectorsCartesian) {
+    const components = [0, 1, 2].map(i => [0, 1, 2].reduce((sum, j) =>
+        sum + dotProduct(directLatticeVectorsCartesian[i], directLatticeVectorsCartesian[j]) * uvw[j], 0));
+    const { indices, angle } = getBestIntegerIndices(components, reciprocalLatticeVectorsCartesian);
+    return { hkl: indices, angle };
+}
+
+// Kinematic shape factor of a slab of thickness t for excitation error s: sin(pi t s) / (pi t s), 1 at s = 0
+function getShapeFactor(excitationError, thickness) {
+    const x = Math.PI * thickness * excitationError;
+    return Math.abs(x) < 1e-12 ? 1 : Math.sin(x) / x;
+}
+
+
+
+/**
+ * Kinematic structure factor F(hkl) = sum_j f_j(s) occ_j T_j(hkl) exp(2 pi i h.r_j).
+ *
+ * @param {Array<object>} atomPositions - Atoms in the cell as returned by parseStructureFile.
+ * @param {Array<number>} hkl - Miller indices [h, k, l].
+ * @param {number} s - sin(theta)/lambda = |g|/2, in Angstrom^-1.
+ * @param {function} getScatteringFactor - (element, s, oxidationState) => atomic scattering factor.
+ * @param {Array<number>} reciprocalLengths - |a*|, |b*|, |c*|, for anisotropic displacement parameters.
+ * @returns {{real: number, imaginary: number, magnitude: number}}
+ */
+export function calculateStructureFactor(atomPositions, hkl, s, getScatteringFactor, reciprocalLengths) {
+    const [h, k, l] = hkl;
+    // Each species' form factor is evaluated once per reflection
+    const formFactors = {};
+    let F_re = 0;
+    let F_im = 0;
+
+    atomPositions.forEach(atom => {
+        const species = `${atom.label}${atom.oxidationState || ''}`;
+        if (!(species in formFactors)) formFactors[species] = getScatteringFactor(atom.label, s, atom.oxidationState);
+        const f = formFactors[species] * (atom.occupancy ?? 1) * getDebyeWallerFactor(atom, hkl, s, reciprocalLengths);
+        const angle = 2 * Math.PI * (h * atom.x + k * atom.y + l * atom.z);
+        F_re += f * Math.cos(angle);
+        F_im += f * Math.sin(angle);
+    });
+
+    return { real: F_re, imaginary: F_im, magnitude: Math.sqrt(F_re ** 2 + F_im ** 2) };
+}
+
+
+// Get real-space lattice vectors for any crystal family
+export function getDirectLatticeVectors(cellParameters) {
+    const { a, b, c, alpha, beta, gamma } = cellParameters;
+
+    const alphaRad = alpha * Math.PI / 180;
+    const betaRad = beta * Math.PI / 180;
+    const gammaRad = gamma * Math.PI / 180;
+
+    // Using triclinic for generality: See https://www.aflowlib.org/prototype-encyclopedia/triclinic_lattice.html
+    const a_vec = [a, 0, 0];
+    const b_vec = [b*Math.cos(gammaRad), b*Math.sin(gammaRad), 0];
+
+    let c_x, c_y, c_z;
+    c_x = c*Math.cos(betaRad);
+    c_y = (c*(Math.cos(alphaRad)-Math.cos(betaRad)*Math.cos(gammaRad)))/Math.sin(gammaRad)
+    c_z = Math.sqrt(Math.max(0, c*c - c_x*c_x - c_y*c_y)); // round-off can leave a tiny negative value
+    const c_vec = [c_x, c_y, c_z];
+
+    return [a_vec, b_vec, c_vec];
+}
+
+
+// Get reciprocal lattice vectors from direct lattice vectors
+export function getReciprocalLatticeVectors(directLatticeVectorsCartesian) {
+    const [a_vec, b_vec, c_vec] = directLatticeVectorsCartesian;
+
+    const bCrossC = crossProduct(b_vec, c_vec);
+    const cCrossA = crossProduct(c_vec, a_vec);
+    const aCrossB = crossProduct(a_vec, b_vec);
+
+    const vol = dotProduct(a_vec, bCrossC); // Unit cell volume
+
+    if (vol === 0) {
+        // This should be handled before calling this function in main.js
+        console.error("Unit cell volume is zero, cannot calculate reciprocal lattice vectors.");
+        return null;
+    }
+
+    const aStar = bCrossC.map(x => x / vol);
+    const bStar = cCrossA.map(x => x / vol);
+    const cStar = aCrossB.map(x => x / vol);
+
+    return [aStar, bStar, cStar];
+}
+
+// getMillerIndicesFromCamera() is AI generated
+/**
+ * Converts a Cartesian vector (e.g., camera eye position) into Miller indices (hkl).
+ * This finds the (hkl) plane whose normal is parallel to the Cartesian vector.
+ *
+ * @param {object} cameraEye - Plotly camera eye object {x, y, z}.
+ * @param {Array<Array<number>>} directLatticeVectorsCartesian - [a_vec_cart, b_vec_cart, c_vec_cart]
+ * @param {Array<Array<number>>} reciprocalLatticeVectorsCartesian - [aStar, bStar, cStar]
+ * @returns {Array<number>} - [h, k, l] Miller indices as integers, or null if calculation fails.
+ */
+export function getMillerIndicesFromCamera(cameraEye, directLatticeVectorsCartesian, reciprocalLatticeVectorsCartesian) {
+    const V_cart = [cameraEye.x, cameraEye.y, cameraEye.z]; // The view direction (normal to screen)
+
+    // The reciprocal lattice vectors a*, b*, c* (in Cartesian coordinates) form a matrix M_reciprocal:
+    // [ aStar[0] bStar[0] cStar[0] ]
+    // [ aStar[1] bStar[1] cStar[1] ]
+    // [ aStar[2] bStar[2] cStar[2] ]
+    // A reciprocal lattice vector G_hkl_cart = M_reciprocal * [h, k, l]^T
+    // To find [h, k, l]^T from G_hkl_cart, we need [h, k, l]^T = M_reciprocal_inv * G_hkl_cart^T
+
+    // The vector V_cart is proportional to the reciprocal lattice vector G_hkl for the plane (hkl).
+    // So, we need to convert V_cart (Cartesian) to its components in the reciprocal basis.
+
+    // Method: The transpose of the matrix of direct lattice vectors maps reciprocal components to Cartesian space.
+    // The inverse of the reciprocal lattice matrix (M_reciprocal_cartesian) maps Cartesian space to reciprocal components.
+
+    // Let M_reciprocal_cartesian be:
+    // [[aStar[0], bStar[0], cStar[0]],
+    //  [aStar[1], bStar[1], cStar[1]],
+    //  [aStar[2], bStar[2], cStar[2]]]
+    const M_reciprocal_cartesian = [
+        [reciprocalLatticeVectorsCartesian[0][0], reciprocalLatticeVectorsCartesian[1][0], reciprocalLatticeVectorsCartesian[2][0]],
+        [reciprocalLatticeVectorsCartesian[0][1], reciprocalLatticeVectorsCartesian[1][1], reciprocalLatticeVectorsCartesian[2][1]],
+        [reciprocalLatticeVectorsCartesian[0][2], reciprocalLatticeVectorsCartesian[1][2], reciprocalLatticeVectorsCartesian[2][2]]
+    ];
+
+    const M_reciprocal_cartesian_inv = matrixInverse3x3(M_reciprocal_cartesian);
+
+    if (!M_reciprocal_cartesian_inv) {
+        console.error("Could not invert reciprocal lattice matrix to determine hkl.");
+        return null;
+    }
+
+    // Now, multiply the inverse matrix by the Cartesian vector V_cart to get h, k, l
+    // [h, k, l]^T = M_reciprocal_cartesian_inv * V_cart^T
+    const hkl_float = multiplyMatrices(M_reciprocal_cartesian_inv, [[V_cart[0]], [V_cart[1]], [V_cart[2]]]);
+
+    if (!hkl_float || hkl_float.length !== 3 || hkl_float[0].length !== 1) {
+        console.error("Matrix multiplication failed for hkl derivation.");
+        return null;
+    }
+
+    // Extract h, k, l and normalize to smallest integers
+    let h = hkl_float[0][0];
+    let k = hkl_float[1][0];
+    let l = hkl_float[2][0];
+
+    // Normalize to smallest integers
+    const tolerance = 1e-6; // Tolerance for considering a number close to zero
+    h = Math.abs(h) < tolerance ? 0 : h;
+    k = Math.abs(k) < tolerance ? 0 : k;
+    l = Math.abs(l) < tolerance ? 0 : l;
+
+    if (h === 0 && k === 0 && l === 0) {
+        return [0, 0, 0]; // Special case: no defined plane
+    }
+
+    // Find the greatest common divisor to normalize to integers
+    const values = [Math.round(h * 1000), Math.round(k * 1000), Math.round(l * 1000)]; // Multiply by a factor to convert to integers for GCD
+    const commonDivisor = greatestCommonDivisor(greatestCommonDivisor(values[0], values[1]), values[2]);
+
+    if (commonDivisor === 0) { // Avoid division by zero if all values are effectively zero
+        return [0, 0, 0];
+    }
+
+    const h_int = Math.round(h / (commonDivisor / 1000));
+    const k_int = Math.round(k / (commonDivisor / 1000));
+    const l_int = Math.round(l / (commonDivisor / 1000));
+
+    // Ensure the first non-zero index is positive if not all are zero
+    if (!(h_int === 0 && k_int === 0 && l_int === 0)) {
+        if (h_int < 0 || (h_int === 0 && k_int < 0) || (h_int === 0 && k_int === 0 && l_int < 0)) {
+            return [-h_int, -k_int, -l_int]; // Flip sign to ensure positive first non-zero index
+        }
+    }
+
+    return [h_int, k_int, l_int];
+}
+
+/**
+ * Converts a Cartesian vector (e.g., camera eye position) into the lattice direction [uvw] closest to it.
+ * A vector r has direct-lattice components u_i = r . a*_i.
+ *
+ * @param {object} cameraEye - Plotly camera eye object {x, y, z}.
+ * @param {Array<Array<number>>} directLatticeVectorsCartesian - [a_vec_cart, b_vec_cart, c_vec_cart]
+ * @param {Array<Array<number>>} reciprocalLatticeVectorsCartesian - [aStar, bStar, cStar]
+ * @returns {Array<number>} - [u, v, w] as small integers with the first non-zero index positive, or null.
+ */
+export function getZoneAxisFromCamera(cameraEye, directLatticeVectorsCartesian, reciprocalLatticeVectorsCartesian) {
+    const view = [cameraEye.x, cameraEye.y, cameraEye.z];
+    const components = reciprocalLatticeVectorsCartesian.map(star => dotProduct(view, star));
+    if (components.every(c => Math.abs(c) < 1e-9)) return null;
+    const { indices } = getBestIntegerIndices(components, directLatticeVectorsCartesian);
+    const firstNonZero = indices.find(value => value !== 0);
+    return firstNonZero < 0 ? indices.map(value => -value) : indices;
+}
+
+
+
+/**
+ * Beam direction of a zone-axis view and the Cartesian frame of its pattern, without any structure factors.
+ *
+ * @param {object} cellParameters - { a, b, c, alpha, beta, gamma }
+ * @param {string} zoneAxisStr - Zone axis [uvw] or plane normal (hkl), three or four indices, e.g. "1,1,0".
+ * @param {string} indexType - 'direction' or 'plane' (the default).
+ * @returns {object} - { uvw, hkl, zoneAxisTilt, hexagonal, laueZoneSpacing, basis }, as in calculateZoneAxisPattern.
+ * @throws {Error} - If the cell is degenerate.
+ */
+export function getZoneAxisGeometry(cellParameters, zoneAxisStr, indexType) {
+    const directLatticeVectorsCartesian = getDirectLatticeVectors(cellParameters);
+    const reciprocalLatticeVectorsCartesian = getReciprocalLatticeVectors(directLatticeVectorsCartesian);
+    if (!reciprocalLatticeVectorsCartesian) {
+        throw new Error("Failed to calculate reciprocal lattice vectors: the unit cell volume is zero.");
+    }
+
+    // The input is a zone axis [uvw] or a plane normal (hkl); hexagonal cells also take four-index [uvtw] / (hkil)
+    indexType = indexType === 'direction' ? 'direction' : 'plane';
+    const hexagonal = isHexagonalCell(cellParameters);
+    let zoneAxis = parseIndices(zoneAxisStr);
+    if (zoneAxis && zoneAxis.length === 4) {
+        if (!hexagonal) {
+            console.warn("Four-index (Miller–Bravais) input needs a hexagonal cell.");
+            zoneAxis = null;
+        } else if (!isConsistentFourIndex(zoneAxis)) {
+            console.warn(`In ${zoneAxisStr} the third index must be minus the sum of the first two.`);
+            zoneAxis = null;
+        } else {
+            zoneAxis = indexType === 'direction' ? directionFromFourIndex(zoneAxis) : planeFromFourIndex(zoneAxis);
+        }
+    }
+    if (!zoneAxis) {
+        console.warn("Invalid or zero index input, defaulting to 1,0,0.");
+        zoneAxis = [1, 0, 0];
+    }
+
+    // The beam runs along the lattice direction [uvw]. Reflections obey the Weiss zone law h*u + k*v + l*w = N,
+    // where N = 0 is the zero-order Laue zone (ZOLZ) and N > 0 the HOLZ layers. [uvw] and the normal of the (hkl)
+    // plane with the same indices are only parallel for special metrics, so each is converted to the other.
+    let uvw, hkl, zoneAxisTilt;
+    if (indexType === 'direction') {
+        uvw = reduceIndices(zoneAxis);
+        ({ hkl, angle: zoneAxisTilt } = getPlaneForZoneAxis(uvw, directLatticeVectorsCartesian, reciprocalLatticeVectorsCartesian));
+    } else {
+        hkl = zoneAxis;
+        ({ uvw, angle: zoneAxisTilt } = getZoneAxisForPlane(hkl, directLatticeVectorsCartesian, reciprocalLatticeVectorsCartesian));
+        if (zoneAxisTilt > 0.01) {
+            console.warn(`No low-index lattice direction is exactly normal to (${hkl.join(',')}); using [${uvw.join(',')}], ${zoneAxisTilt.toFixed(2)}° away.`);
+        }
+    }
+    const zoneAxisVector = uvw.reduce((sum, c, i) => sum.map((v, k) => v + c * directLatticeVectorsCartesian[i][k]), [0, 0, 0]);
+    const normalPlaneVector = normalizeVector(zoneAxisVector);
+    const laueZoneSpacing = 1 / Math.sqrt(dotProduct(zoneAxisVector, zoneAxisVector)); // Angstrom^-1 between Laue layers
+
+    // Orthogonal basis of the pattern: xVector, yVector and normalPlaneVector
+    const dummyVector = Math.abs(normalPlaneVector[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const yVector = normalizeVector(crossProduct(dummyVector, normalPlaneVector));
+    const xVector = normalizeVector(crossProduct(normalPlaneVector, yVector));
+
+    return { uvw, hkl, zoneAxisTilt, hexagonal, laueZoneSpacing, basis: { x: xVector, y: yVector, normal: normalPlaneVector } };
+}
+
+
+// Electron patterns: excitation error from the Ewald sphere curvature, damped by the specimen thickness.
+// X-ray mode keeps the undistorted reciprocal-lattice section of the zero layer (as in a precession photograph).
+// Dynamical intensities are calculated for the zero-order zone only.
+function getPatternConditions(options, radiation) {
+    const isElectron = radiation === 'electron';
+    const isDynamical = isElectron && Boolean(options.dynamical);
+    const thickness = (options.thickness > 0 ? options.thickness : DEFAULT_THICKNESS) * 10; // nm -> Angstrom
+    return {
+        isElectron,
+        isDynamical,
+        thickness,
+        maxLaueZone: isElectron && options.showHolz && !isDynamical ? MAX_LAUE_ZONE : 0,
+        // Reflections with |s| beyond this have a shape factor envelope below ~1e-3 in intensity
+        maxExcitationError: EXCITATION_CUTOFF / (Math.PI * thickness),
+        resolutionLimit: options.gMax > 0 ? options.gMax : DEFAULT_G_MAX // |g| limit for the zero-order zone
+    };
+}
+
+/**
+ * Largest |g| whose structure factor calculateZoneAxisPattern needs with these options: the resolution limit of the
+ * zero-order zone, twice that in dynamical mode, where every pair of beams g and h is coupled by F(g - h), and with
+ * HOLZ reflections shown the largest |g| = sqrt(2 K (N H + s)) of a reflection kept in Laue zone N.
+ *
+ * @param {object} cellParameters - { a, b, c, alpha, beta, gamma } in Angstrom and degrees.
+ * @param {string} zoneAxisStr - Zone axis or plane, as for calculateZoneAxisPattern.
+ * @param {object} options - As for calculateZoneAxisPattern.
+ * @returns {number} - |g| in Angstrom^-1.
+ * @throws {Error} - If HOLZ reflections are shown and the zone axis is invalid.
+ */
+export function getStructureFactorLimit(cellParameters, zoneAxisStr, options = {}) {
+    const { radiation, ewaldRadius } = describeRadiation(options);
+    const { isDynamical, maxLaueZone, maxExcitationError, resolutionLimit } = getPatternConditions(options, radiation);
+    const limit = Math.min(resolutionLimit, 2 * ewaldRadius);
+    if (isDynamical) return 2 * limit;
+    if (maxLaueZone === 0) return limit;
+    const { laueZoneSpacing } = getZoneAxisGeometry(cellParameters, zoneAxisStr, options.indexType);
+    return Math.min(Math.max(limit, Math.sqrt(2 * ewaldRadius * (maxLaueZone * laueZoneSpacing + maxExcitationError))), 2 * ewaldRadius);
+}
+
+/**
+ * Reflections of a zone-axis pattern, kinematic or (for electrons) from Bloch waves, without drawing anything.
+ *
+ * @param {object} parsedData - Structure as returned by parseStructureFile.
+ * @param {string} zoneAxisStr - Zone axis [uvw] or plane normal (hkl), three or four indices, e.g. "1,1,0".
+ * @param {object} options - { radiation: 'xray' | 'electron', voltage (kV, electron mode), wavelength (Angstrom, X-ray
+ *   mode), ionicFormFactors (X-ray mode: use ionic form factors for atoms with an oxidation state), thickness (nm,
+ *   electron mode), showHolz (electron mode: also include first- and second-order Laue zones), gMax (Angstrom^-1,
+ *   resolution limit), indexType: 'direction' | 'plane' (the default), dynamical (electron mode: Bloch-wave
+ *   intensities of the zero-order zone), beamCount (beams in that calculation), structureFactorTable (structure
+ *   factors computed beforehand, see structureFactorTable.js) }
+ * @returns {object} - { uvw, hkl, zoneAxisTilt, hexagonal, radiation, voltage, wavelength, ewaldRadius, thickness,
+ *   maxLaueZone, laueZoneSpacing, resolutionLimit, basis, points, reflections, dynamical }: the beam direction, the
+ *   plane normal to it and the angle between them in degrees (non-zero when no low-index direction is exactly normal
+ *   to the given plane), the radiation, the thickness in Angstrom, the Laue zones included and their spacing, the
+ *   Cartesian unit vectors { x, y, normal } of the pattern, every reciprocal lattice point of the pattern including the
+ *   direct beam ({ hkl, g, x, y, z (components of g along the basis), laueZone, excitationError, structureFactor,
+ *   phase, amplitude (square root of the spot intensity), dynamicalIntensity, absence }), the reflection table (the
+ *   direct beam excluded, sorted by Laue zone and |g|; { hkl, d, g, twoTheta, structureFactor, phase, multiplicity, x,
+ *   y, laueZone, excitationError, dynamicalIntensity, absence }, with x and y as for the points) and the Bloch-wave
+ *   beams { beams, solution, thickness } in dynamical mode (null otherwise).
+ * @throws {Error} - If the structure has no atoms or a degenerate cell.
+ */
+export function calculateZoneAxisPattern(parsedData, zoneAxisStr, options = {}) {
+    const { cellParameters, atomPositions } = parsedData;
+    if (atomPositions.length === 0 || !cellParameters.a || !cellParameters.b || !cellParameters.c) {
+        throw new Error("Missing essential data for crystallographic analysis (atoms or cell parameters).");
+    }
+    const directLatticeVectorsCartesian = getDirectLatticeVectors(cellParameters);
+    const reciprocalLatticeVectorsCartesian = getReciprocalLatticeVectors(directLatticeVectorsCartesian);
+    if (!reciprocalLatticeVectorsCartesian) {
+        throw new Error("Failed to calculate reciprocal lattice vectors: the unit cell volume is zero.");
+    }
+    const [aStar, bStar, cStar] = reciprocalLatticeVectorsCartesian;
+
+    // Radiation determines the scattering factors and the Ewald sphere radius K = 1/lambda
+    const radiationInfo = describeRadiation(options);
+    const { wavelength, ewaldRadius, relativisticFactor } = radiationInfo;
+    // X-rays use the form factors of the ions in the structure only if asked to; electrons always see neutral atoms
+    const getXrayFactor = options.ionicFormFactors ? getXrayScatteringFactor : (element, s) => getXrayScatteringFactor(element, s);
+    const getScatteringFactor = radiationInfo.radiation === 'electron'
+        ? (element, s) => relativisticFactor * getElectronScatteringFactor(element, s)
+        : getXrayFactor;
+
+    const { uvw, hkl, zoneAxisTilt, hexagonal, laueZoneSpacing, basis } = getZoneAxisGeometry(cellParameters, zoneAxisStr, options.indexType);
+    const { x: xVector, y: yVector, normal: normalPlaneVector } = basis;
+
+    const { isElectron, isDynamical, thickness, maxLaueZone, maxExcitationError, resolutionLimit } = getPatternConditions(options, radiationInfo.radiation);
+    if (isDynamical && options.showHolz) console.warn("HOLZ reflections are not included in the Bloch-wave calculation; showing the zero-order zone only.");
+
+    // Calculate the kinematic structure factor
+    // Reflections beyond the limiting sphere (|g| > 2K) can never satisfy the Bragg condition.
+    // HOLZ reflections of order N meet the Ewald sphere at |g| = sqrt(2 K N H), so the search extends to include them.
+    const holzRadius = Math.sqrt(2 * ewaldRadius * maxLaueZone * laueZoneSpacing);
+    const k_max = Math.min(Math.max(resolutionLimit, holzRadius + maxExcitationError), 2 * ewaldRadius); // Angstrom^-1, maximum reciprocal space vector length
+    const h_range = Math.ceil(k_max/dotProduct(aStar, aStar) ** 0.5);
+    const k_range = Math.ceil(k_max/dotProduct(bStar, bStar) ** 0.5);
+    const l_range = Math.ceil(k_max/dotProduct(cStar, cStar) ** 0.5);
+
+    const reciprocalLengths = [aStar, bStar, cStar].map(v => Math.sqrt(dotProduct(v, v)));
+    // Structure factors come from the table computed once per structure where it has them, and are summed here otherwise
+    const table = options.structureFactorTable && isTableFor(options.structureFactorTable, { radiation: radiationInfo.radiation, ionicFormFactors: options.ionicFormFactors })
+        ? options.structureFactorTable
+        : null;
+    const tableScale = isElectron ? relativisticFactor : 1;
+    const getStructureFactor = (indices, gLength) => (table && lookupStructureFactor(table, indices, tableScale))
+        || calculateStructureFactor(atomPositions, indices, gLength / 2, getScatteringFactor, reciprocalLengths);
+
+    const points = [];
+    for (let h = -h_range; h <= h_range; h++) {
+        for (let k = -k_range; k <= k_range; k++) {
+            for (let l = -l_range; l <= l_range; l++) {
+                const laueZone = h * uvw[0] + k * uvw[1] + l * uvw[2];
+                if (laueZone < 0 || laueZone > maxLaueZone) continue; // not in a displayed Laue zone
+
+                const gVec = [
+                    h * aStar[0] + k * bStar[0] + l * cStar[0],
+                    h * aStar[1] + k * bStar[1] + l * cStar[1],
+                    h * aStar[2] + k * bStar[2] + l * cStar[2]
+                ];
+                const gLength = Math.sqrt(dotProduct(gVec, gVec));
+                if (gLength > 2 * ewaldRadius) continue; // outside the limiting sphere
+
+                // Excitation error s_g = (2 K g_z - g^2) / 2K for a beam along -normalPlaneVector
+                const excitationError = (2 * ewaldRadius * dotProduct(gVec, normalPlaneVector) - gLength * gLength) / (2 * ewaldRadius);
+                if (isElectron && !isDynamical && Math.abs(excitationError) > maxExcitationError) continue; // too far from the Ewald sphere
+                if (laueZone === 0 && gLength > resolutionLimit) continue; // beyond the chosen resolution
+
+                // Form factors are evaluated at s = sin(theta)/lambda = |g|/2
+                const { real, imaginary, magnitude } = getStructureFactor([h, k, l], gLength);
+                points.push({
+                    hkl: [h, k, l],
+                    g: gLength,
+                    x: dotProduct(gVec, xVector),
+                    y: dotProduct(gVec, yVector),
+                    z: dotProduct(gVec, normalPlaneVector),
+                    laueZone,
+                    excitationError,
+                    structureFactor: magnitude,
+                    phase: magnitude > 1e-6 ? Math.atan2(imaginary, real) * 180 / Math.PI : 0, // undefined for absent reflections
+                    // |F| times the shape factor, i.e. the square root of the kinematic intensity
+                    amplitude: isElectron ? magnitude * Math.abs(getShapeFactor(excitationError, thickness)) : magnitude,
+                    dynamicalIntensity: null,
+                    absence: getAbsenceReason([h, k, l], parsedData.symmetryMatrices) // null, 'centring' or 'screw/glide'
+                });
+            }
+        }
+    }
+
+    // Bloch-wave intensities replace the kinematic ones: the beams closest to the Ewald sphere, the kinematically
+    // forbidden ones included since double diffraction can excite them, with U_g = F_g* / (pi V) coupling each pair
+    let dynamical = null;
+    if (isDynamical) {
+        const beamCount = Math.min(MAX_BEAM_COUNT, Math.max(2, Math.round(options.beamCount) || DEFAULT_BEAM_COUNT));
+        const candidates = points.filter(point => point.absence !== 'centring')
+            .sort((p1, p2) => Math.abs(p1.excitationError) - Math.abs(p2.excitationError) || p1.g - p2.g);
+        // Whole shells of equal |s_g| are taken, so that the beam set keeps the symmetry of the zone
+        let beamsTaken = Math.min(beamCount, candidates.length);
+        const lastExcitationError = Math.abs(candidates[beamsTaken - 1].excitationError);
+        while (beamsTaken < candidates.length && Math.abs(candidates[beamsTaken].excitationError) - lastExcitationError < 1e-9) beamsTaken++;
+        const beamPoints = candidates.slice(0, beamsTaken);
+        const cellVolume = dotProduct(directLatticeVectorsCartesian[0], crossProduct(directLatticeVectorsCartesian[1], directLatticeVectorsCartesian[2]));
+        const potentials = new Map();
+        const getPotential = (i, j) => {
+            const difference = [0, 1, 2].map(k => beamPoints[i].hkl[k] - beamPoints[j].hkl[k]);
+            const key = difference.join(',');
+            if (!potentials.has(key)) {
+                const g = difference.reduce((sum, c, k) => sum.map((v, m) => v + c * reciprocalLatticeVectorsCartesian[k][m]), [0, 0, 0]);
+                const { real, imaginary } = getStructureFactor(difference, Math.sqrt(dotProduct(g, g)));
+                potentials.set(key, { real: real / (Math.PI * cellVolume), imaginary: -imaginary / (Math.PI * cellVolume) });
+            }
+            return potentials.get(key);
+        };
+        const solution = solveBlochWave(beamPoints.map(point => ({ excitationError: point.excitationError })), getPotential, ewaldRadius);
+        const intensities = getBeamIntensities(solution, thickness);
+        points.forEach(point => { point.dynamicalIntensity = 0; });
+        beamPoints.forEach((point, beam) => { point.dynamicalIntensity = intensities[beam]; });
+        points.forEach(point => { point.amplitude = Math.sqrt(point.dynamicalIntensity); });
+        dynamical = { beams: beamPoints.map(point => point.hkl), solution, thickness };
+    }
+
+    // Reflection table for export, one row per reflection in the displayed zones (the direct beam excluded)
+    const rotations = (parsedData.symmetryMatrices && parsedData.symmetryMatrices.length)
+        ? parsedData.symmetryMatrices.map(op => op.rotation)
+        : [[[1, 0, 0], [0, 1, 0], [0, 0, 1]]];
+    const reflections = points.filter(point => point.g > 0).map(point => {
+        const sinTheta = wavelength * point.g / 2;
+        return {
+            hkl: point.hkl,
+            d: 1 / point.g,
+            g: point.g,
+            twoTheta: sinTheta <= 1 ? 2 * Math.asin(sinTheta) * 180 / Math.PI : null,
+            structureFactor: point.structureFactor,
+            phase: point.phase,
+            multiplicity: getEquivalentReflections(point.hkl, rotations).length,
+            x: point.x,
+            y: point.y,
+            laueZone: point.laueZone,
+            excitationError: isElectron ? point.excitationError : null,
+            dynamicalIntensity: point.dynamicalIntensity,
+            absence: point.absence
+        };
+    });
+    reflections.sort((r1, r2) => r1.laueZone - r2.laueZone || r1.g - r2.g);
+
+    return {
+        uvw,
+        hkl,
+        zoneAxisTilt,
+        hexagonal,
+        radiation: radiationInfo.radiation,
+        voltage: radiationInfo.voltage,
+        wavelength,
+        ewaldRadius,
+        thickness,
+        maxLaueZone,
+        laueZoneSpacing,
+        resolutionLimit,
+        basis: { x: xVector, y: yVector, normal: normalPlaneVector },
+        points,
+        reflections,
+        dynamical
+    };
+}
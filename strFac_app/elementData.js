@@ -0,0 +1,153 @@
+// elementData.js
+
+// Covalent radii in Angstrom, B. Cordero et al., Dalton Trans. (2008) 2832-2838.
+// C is the sp3 value; Mn, Fe and Co are the low-spin values.
+export const COVALENT_RADII = {
+    H: 0.31, He: 0.28,
+    Li: 1.28, Be: 0.96, B: 0.84, C: 0.76, N: 0.71, O: 0.66, F: 0.57, Ne: 0.58,
+    Na: 1.66, Mg: 1.41, Al: 1.21, Si: 1.11, P: 1.07, S: 1.05, Cl: 1.02, Ar: 1.06,
+    K: 2.03, Ca: 1.76, Sc: 1.70, Ti: 1.60, V: 1.53, Cr: 1.39, Mn: 1.39, Fe: 1.32, Co: 1.26, Ni: 1.24, Cu: 1.32, Zn: 1.22,
+    Ga: 1.22, Ge: 1.20, As: 1.19, Se: 1.20, Br: 1.20, Kr: 1.16,
+    Rb: 2.20, Sr: 1.95, Y: 1.90, Zr: 1.75, Nb: 1.64, Mo: 1.54, Tc: 1.47, Ru: 1.46, Rh: 1.42, Pd: 1.39, Ag: 1.45, Cd: 1.44,
+    In: 1.42, Sn: 1.39, Sb: 1.39, Te: 1.38, I: 1.39, Xe: 1.40,
+    Cs: 2.44, Ba: 2.15, La: 2.07, Ce: 2.04, Pr: 2.03, Nd: 2.01, Pm: 1.99, Sm: 1.98, Eu: 1.98, Gd: 1.96, Tb: 1.94,
+    Dy: 1.92, Ho: 1.92, Er: 1.89, Tm: 1.90, Yb: 1.87, Lu: 1.87, Hf: 1.75, Ta: 1.70, W: 1.62, Re: 1.51, Os: 1.44,
+    Ir: 1.41, Pt: 1.36, Au: 1.36, Hg: 1.32, Tl: 1.45, Pb: 1.46, Bi: 1.48, Po: 1.40, At: 1.50, Rn: 1.50,
+    Fr: 2.60, Ra: 2.21, Ac: 2.15, Th: 2.06, Pa: 2.00, U: 1.96, Np: 1.90, Pu: 1.87, Am: 1.80, Cm: 1.69
+};
+export const DEFAULT_COVALENT_RADIUS = 1.5; // Angstrom, for elements missing from the table
+
+// Non-metals and metalloids; every other element counts as a metal when deciding which pairs are bonded
+export const NON_METALS = new Set([
+    'H', 'He', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Si', 'P', 'S', 'Cl', 'Ar',
+    'Ge', 'As', 'Se', 'Br', 'Kr', 'Sb', 'Te', 'I', 'Xe', 'At', 'Rn'
+]);
+
+// Jmol (CPK-style) element colours
+export const JMOL_COLORS = {
+    H: '#FFFFFF', He: '#D9FFFF',
+    Li: '#CC80FF', Be: '#C2FF00', B: '#FFB5B5', C: '#909090', N: '#3050F8', O: '#FF0D0D', F: '#90E050', Ne: '#B3E3F5',
+    Na: '#AB5CF2', Mg: '#8AFF00', Al: '#BFA6A6', Si: '#F0C8A0', P: '#FF8000', S: '#FFFF30', Cl: '#1FF01F', Ar: '#80D1E3',
+    K: '#8F40D4', Ca: '#3DFF00', Sc: '#E6E6E6', Ti: '#BFC2C7', V: '#A6A6AB', Cr: '#8A99C7', Mn: '#9C7AC7', Fe: '#E06633',
+    Co: '#F090A0', Ni: '#50D050', Cu: '#C88033', Zn: '#7D80B0', Ga: '#C28F8F', Ge: '#668F8F', As: '#BD80E3', Se: '#FFA100',
+    Br: '#A62929', Kr: '#5CB8D1',
+    Rb: '#702EB0', Sr: '#00FF00', Y: '#94FFFF', Zr: '#94E0E0', Nb: '#73C2C9', Mo: '#54B5B5', Tc: '#3B9E9E', Ru: '#248F8F',
+    Rh: '#0A7D8C', Pd: '#006985', Ag: '#C0C0C0', Cd: '#FFD98F', In: '#A67573', Sn: '#668080', Sb: '#9E63B5', Te: '#D47A00',
+    I: '#940094', Xe: '#429EB0',
+    Cs: '#57178F', Ba: '#00C900', La: '#70D4FF', Ce: '#FFFFC7', Pr: '#D9FFC7', Nd: '#C7FFC7', Pm: '#A3FFC7', Sm: '#8FFFC7',
+    Eu: '#61FFC7', Gd: '#45FFC7', Tb: '#30FFC7', Dy: '#1FFFC7', Ho: '#00FF9C', Er: '#00E675', Tm: '#00D452', Yb: '#00BF38',
+    Lu: '#00AB24', Hf: '#4DC2FF', Ta: '#4DA6FF', W: '#2194D6', Re: '#267DAB', Os: '#266696', Ir: '#175487', Pt: '#D0D0E0',
+    Au: '#FFD123', Hg: '#B8B8D0', Tl: '#A6544D', Pb: '#575961', Bi: '#9E4FB5', Po: '#AB5C00', At: '#754F45', Rn: '#428296',
+    Fr: '#420066', Ra: '#007D00', Ac: '#70ABFA', Th: '#00BAFF', Pa: '#00A1FF', U: '#008FFF', Np: '#0080FF', Pu: '#006BFF',
+    Am: '#545CF2', Cm: '#785CE3', Bk: '#8A4FE3', Cf: '#A136D4', Es: '#B31FD4', Fm: '#B31FBA', Md: '#B30DA6', No: '#BD0D87',
+    Lr: '#C70066'
+};
+export const DEFAULT_ELEMENT_COLOR = '#FF1493'; // Jmol's colour for unknown elements
+
+// Empirical atomic radii in Angstrom, J. C. Slater, J. Chem. Phys. 41 (1964) 3199. The table has no noble gases;
+// getDisplayRadius uses the covalent radius for those.
+export const ATOMIC_RADII = {
+    H: 0.25,
+    Li: 1.45, Be: 1.05, B: 0.85, C: 0.70, N: 0.65, O: 0.60, F: 0.50,
+    Na: 1.80, Mg: 1.50, Al: 1.25, Si: 1.10, P: 1.00, S: 1.00, Cl: 1.00,
+    K: 2.20, Ca: 1.80, Sc: 1.60, Ti: 1.40, V: 1.35, Cr: 1.40, Mn: 1.40, Fe: 1.40, Co: 1.35, Ni: 1.35, Cu: 1.35, Zn: 1.35,
+    Ga: 1.30, Ge: 1.25, As: 1.15, Se: 1.15, Br: 1.15,
+    Rb: 2.35, Sr: 2.00, Y: 1.80, Zr: 1.55, Nb: 1.45, Mo: 1.45, Tc: 1.35, Ru: 1.30, Rh: 1.35, Pd: 1.40, Ag: 1.60, Cd: 1.55,
+    In: 1.55, Sn: 1.45, Sb: 1.45, Te: 1.40, I: 1.40,
+    Cs: 2.60, Ba: 2.15, La: 1.95, Ce: 1.85, Pr: 1.85, Nd: 1.85, Pm: 1.85, Sm: 1.85, Eu: 1.85, Gd: 1.80, Tb: 1.75,
+    Dy: 1.75, Ho: 1.75, Er: 1.75, Tm: 1.75, Yb: 1.75, Lu: 1.75, Hf: 1.55, Ta: 1.45, W: 1.35, Re: 1.35, Os: 1.30,
+    Ir: 1.35, Pt: 1.35, Au: 1.35, Hg: 1.50, Tl: 1.90, Pb: 1.80, Bi: 1.60, Po: 1.90,
+    Ra: 2.15, Ac: 1.95, Th: 1.80, Pa: 1.80, U: 1.75, Np: 1.75, Pu: 1.75, Am: 1.75
+};
+
+// Ionic radii in Angstrom of each element's most common ion, six-coordinate where tabulated
+// (R. D. Shannon, Acta Cryst. A32 (1976) 751; high-spin values for Mn, Fe and Co, four-coordinate for N3-)
+export const IONIC_RADII = {
+    Li: { charge: 1, radius: 0.76 }, Be: { charge: 2, radius: 0.45 }, B: { charge: 3, radius: 0.27 }, C: { charge: 4, radius: 0.16 },
+    N: { charge: -3, radius: 1.46 }, O: { charge: -2, radius: 1.40 }, F: { charge: -1, radius: 1.33 },
+    Na: { charge: 1, radius: 1.02 }, Mg: { charge: 2, radius: 0.72 }, Al: { charge: 3, radius: 0.535 }, Si: { charge: 4, radius: 0.40 },
+    P: { charge: 5, radius: 0.38 }, S: { charge: -2, radius: 1.84 }, Cl: { charge: -1, radius: 1.81 },
+    K: { charge: 1, radius: 1.38 }, Ca: { charge: 2, radius: 1.00 }, Sc: { charge: 3, radius: 0.745 }, Ti: { charge: 4, radius: 0.605 },
+    V: { charge: 5, radius: 0.54 }, Cr: { charge: 3, radius: 0.615 }, Mn: { charge: 2, radius: 0.83 }, Fe: { charge: 3, radius: 0.645 },
+    Co: { charge: 2, radius: 0.745 }, Ni: { charge: 2, radius: 0.69 }, Cu: { charge: 2, radius: 0.73 }, Zn: { charge: 2, radius: 0.74 },
+    Ga: { charge: 3, radius: 0.62 }, Ge: { charge: 4, radius: 0.53 }, As: { charge: 5, radius: 0.46 }, Se: { charge: -2, radius: 1.98 },
+    Br: { charge: -1, radius: 1.96 },
+    Rb: { charge: 1, radius: 1.52 }, Sr: { charge: 2, radius: 1.18 }, Y: { charge: 3, radius: 0.90 }, Zr: { charge: 4, radius: 0.72 },
+    Nb: { charge: 5, radius: 0.64 }, Mo: { charge: 6, radius: 0.59 }, Tc: { charge: 4, radius: 0.645 }, Ru: { charge: 4, radius: 0.62 },
+    Rh: { charge: 3, radius: 0.665 }, Pd: { charge: 2, radius: 0.86 }, Ag: { charge: 1, radius: 1.15 }, Cd: { charge: 2, radius: 0.95 },
+    In: { charge: 3, radius: 0.80 }, Sn: { charge: 4, radius: 0.69 }, Sb: { charge: 5, radius: 0.60 }, Te: { charge: -2, radius: 2.21 },
+    I: { charge: -1, radius: 2.20 },
+    Cs: { charge: 1, radius: 1.67 }, Ba: { charge: 2, radius: 1.35 }, La: { charge: 3, radius: 1.032 }, Ce: { charge: 3, radius: 1.01 },
+    Pr: { charge: 3, radius: 0.99 }, Nd: { charge: 3, radius: 0.983 }, Pm: { charge: 3, radius: 0.97 }, Sm: { charge: 3, radius: 0.958 },
+    Eu: { charge: 3, radius: 0.947 }, Gd: { charge: 3, radius: 0.938 }, Tb: { charge: 3, radius: 0.923 }, Dy: { charge: 3, radius: 0.912 },
+    Ho: { charge: 3, radius: 0.901 }, Er: { charge: 3, radius: 0.89 }, Tm: { charge: 3, radius: 0.88 }, Yb: { charge: 3, radius: 0.868 },
+    Lu: { charge: 3, radius: 0.861 }, Hf: { charge: 4, radius: 0.71 }, Ta: { charge: 5, radius: 0.64 }, W: { charge: 6, radius: 0.60 },
+    Re: { charge: 4, radius: 0.63 }, Os: { charge: 4, radius: 0.63 }, Ir: { charge: 4, radius: 0.625 }, Pt: { charge: 4, radius: 0.625 },
+    Au: { charge: 3, radius: 0.85 }, Hg: { charge: 2, radius: 1.02 }, Tl: { charge: 1, radius: 1.50 }, Pb: { charge: 2, radius: 1.19 },
+    Bi: { charge: 3, radius: 1.03 },
+    Th: { charge: 4, radius: 0.94 }, U: { charge: 4, radius: 0.89 }, Np: { charge: 4, radius: 0.87 }, Pu: { charge: 4, radius: 0.86 }
+};
+
+export function getElementColor(element) {
+    return JMOL_COLORS[element] || DEFAULT_ELEMENT_COLOR;
+}
+
+/**
+ * Radius used to draw an atom, falling back to the covalent radius where the chosen table has no entry.
+ *
+ * @param {string} element - Element symbol.
+ * @param {string} mode - 'atomic', 'ionic' or 'covalent'.
+ * @returns {number} - Radius in Angstrom.
+ */
+export function getDisplayRadius(element, mode = 'atomic') {
+    const covalent = COVALENT_RADII[element] ?? DEFAULT_COVALENT_RADIUS;
+    if (mode === 'ionic') return IONIC_RADII[element] ? IONIC_RADII[element].radius : covalent;
+    if (mode === 'atomic') return ATOMIC_RADII[element] ?? covalent;
+    return covalent;
+}
+
+// Symbols of the elements H to Lr
+const ELEMENT_SYMBOLS = new Set(Object.keys(JMOL_COLORS));
+
+/**
+ * Element and charge of a species symbol such as 'Fe3+', 'O2-', 'Na+' or 'fe', or of a site label such as 'O1a' or
+ * 'Cl2'. The element must be followed by a digit, a charge sign, '_' (as in 'Fe_pv') or nothing, so 'Wat' is not
+ * tungsten. A two-letter element is preferred over a one-letter one ('Co1' is cobalt), but one written with a capital
+ * second letter ('CO1', 'CL2') is only read when nothing but a charge follows ('CL', 'FE3+'), since labels such as
+ * 'CA' or 'CO1' usually name a carbon. A charge is only read when it is all that follows the element.
+ *
+ * @param {string} text - Species symbol or site label.
+ * @returns {{element: string, oxidationState: number|null}|null} - null if the text does not start with an element symbol.
+ */
+export function parseSpecies(text) {
+    const match = String(text).trim().match(/^([A-Za-z])([A-Za-z]?)(.*)$/);
+    if (!match) return null;
+    const [, first, second, rest] = match;
+    const endsSymbol = (remainder) => /^([\d+_-]|$)/.test(remainder);
+    const isCharge = (remainder) => /^(\d*\.?\d*[+-]\d*\.?\d*)?$/.test(remainder);
+    const twoLetter = first.toUpperCase() + second.toLowerCase();
+    let element;
+    let remainder;
+    if (second && ELEMENT_SYMBOLS.has(twoLetter) && endsSymbol(rest) && (second === second.toLowerCase() || isCharge(rest))) {
+        element = twoLetter;
+        remainder = rest;
+    } else if (ELEMENT_SYMBOLS.has(first.toUpperCase()) && endsSymbol(second + rest)) {
+        element = first.toUpperCase();
+        remainder = second + rest;
+    } else {
+        return null;
+    }
+
+    // '3+', '+3', '2-', '-' or '2.5+'; the magnitude may stand on either side of the sign but not both
+    const charge = remainder.match(/^(\d*\.?\d*)([+-])(\d*\.?\d*)$/);
+    const oxidationState = charge && !(charge[1] && charge[3])
+        ? (charge[2] === '-' ? -1 : 1) * Number(charge[1] || charge[3] || 1)
+        : null;
+    return { element, oxidationState };
+}
+
+// CIF type symbol of an element with an optional oxidation state, e.g. ('Fe', 3) -> 'Fe3+', ('O', -2) -> 'O2-'
+export function formatSpecies(element, oxidationState) {
+    if (!oxidationState) return element;
+    return `${element}${Math.abs(oxidationState)}${oxidationState > 0 ? '+' : '-'}`;
+}
@@ -0,0 +1,382 @@
+// experimentalImage.js
+// A measured diffraction image (PNG, JPEG or TIFF) drawn beneath the simulated zone-axis pattern, with the calibration
+// that places the simulation on it: image position = centre + scale * R(rotation) * (x, -y), where (x, y) are the
+// coordinates of the pattern's axes and image rows run downwards. With mirror set, y is not negated.
+
+const DISPLAY_PERCENTILE = 0.995; // brightest fraction clipped when stretching the contrast (the direct beam saturates)
+const SPOT_WINDOW = 3; // pixels either side of a spot position searched for its peak value
+const PICK_MARKER_SIZE = 6; // half-length of the cross drawn at a picked spot, in screen pixels
+const FIT_ITERATIONS = 10;
+const FIT_RMS_SLACK = 1.5; // candidate matches within this factor (plus a pixel) of the best RMS count as equally good
+
+// TIFF tags used by the decoder
+const TIFF_TAGS = {
+    width: 256, height: 257, bitsPerSample: 258, compression: 259, photometric: 262, stripOffsets: 273,
+    samplesPerPixel: 277, rowsPerStrip: 278, planarConfiguration: 284, sampleFormat: 339
+};
+// Byte size of each TIFF field type (BYTE, ASCII, SHORT, LONG, RATIONAL, ...)
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Decode the first image of an uncompressed TIFF: 8-, 16- or 32-bit greyscale (integer or float) or 8-bit RGB,
+ * as written by most detector software.
+ *
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {{width: number, height: number, values: Float32Array}} - Grey values row by row (RGB is averaged).
+ */
+export function decodeTiff(buffer) {
+    const view = new DataView(buffer);
+    const byteOrder = String.fromCharCode(view.getUint8(0), view.getUint8(1));
+    if (byteOrder !== 'II' && byteOrder !== 'MM') throw new Error('not a TIFF file');
+    const littleEndian = byteOrder === 'II';
+    if (view.getUint16(2, littleEndian) !== 42) throw new Error('not a TIFF file (BigTIFF is not supported)');
+
+    // Read every entry of the first image file directory as an array of numbers
+    const ifdOffset = view.getUint32(4, littleEndian);
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    const tags = {};
+    for (let i = 0; i < entryCount; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const count = view.getUint32(entry + 4, littleEndian);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * count;
+        const offset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+        const values = [];
+        for (let j = 0; j < count && (type === 3 || type === 4); j++) {
+            values.push(type === 3 ? view.getUint16(offset + 2 * j, littleEndian) : view.getUint32(offset + 4 * j, littleEndian));
+        }
+        tags[tag] = values;
+    }
+
+    const value = (tag, fallback) => (tags[tag] && tags[tag].length ? tags[tag][0] : fallback);
+    const width = value(TIFF_TAGS.width);
+    const height = value(TIFF_TAGS.height);
+    const samplesPerPixel = value(TIFF_TAGS.samplesPerPixel, 1);
+    const bitsPerSample = value(TIFF_TAGS.bitsPerSample, 1);
+    const sampleFormat = value(TIFF_TAGS.sampleFormat, 1); // 1 unsigned, 2 signed, 3 float
+    if (!(width > 0 && height > 0)) throw new Error('missing image size');
+    if (value(TIFF_TAGS.compression, 1) !== 1) throw new Error('compressed TIFF files are not supported; save the image uncompressed');
+    if (![8, 16, 32].includes(bitsPerSample)) throw new Error(`${bitsPerSample}-bit samples are not supported`);
+    if (samplesPerPixel > 1 && value(TIFF_TAGS.planarConfiguration, 1) !== 1) throw new Error('planar colour TIFF files are not supported');
+
+    const bytesPerSample = bitsPerSample / 8;
+    const readSample = (offset) => {
+        if (bitsPerSample === 8) return sampleFormat === 2 ? view.getInt8(offset) : view.getUint8(offset);
+        if (bitsPerSample === 16) return sampleFormat === 2 ? view.getInt16(offset, littleEndian) : view.getUint16(offset, littleEndian);
+        if (sampleFormat === 3) return view.getFloat32(offset, littleEndian);
+        return sampleFormat === 2 ? view.getInt32(offset, littleEndian) : view.getUint32(offset, littleEndian);
+    };
+
+    // Strips hold consecutive rows; the pixels are read in order across them
+    const stripOffsets = tags[TIFF_TAGS.stripOffsets] || [];
+    const rowsPerStrip = Math.min(value(TIFF_TAGS.rowsPerStrip, height), height);
+    const rowBytes = width * samplesPerPixel * bytesPerSample;
+    const invert = value(TIFF_TAGS.photometric, 1) === 0; // WhiteIsZero
+    const values = new Float32Array(width * height);
+    for (let row = 0; row < height; row++) {
+        const strip = Math.floor(row / rowsPerStrip);
+        const rowStart = stripOffsets[strip] + (row - strip * rowsPerStrip) * rowBytes;
+        if (!(rowStart + rowBytes <= buffer.byteLength)) throw new Error('image data runs past the end of the file');
+        for (let column = 0; column < width; column++) {
+            const pixelStart = rowStart + column * samplesPerPixel * bytesPerSample;
+            const channels = Math.min(samplesPerPixel, 3);
+            let sum = 0;
+            for (let channel = 0; channel < channels; channel++) sum += readSample(pixelStart + channel * bytesPerSample);
+            values[row * width + column] = sum / channels;
+        }
+    }
+    if (invert) {
+        const max = values.reduce((m, v) => Math.max(m, v), -Infinity);
+        values.forEach((v, i) => { values[i] = max - v; });
+    }
+    return { width, height, values };
+}
+
+// Grey values of an image the browser can decode, from the luminance of its pixels
+function getGreyValues(imageData) {
+    const values = new Float32Array(imageData.width * imageData.height);
+    for (let i = 0; i < values.length; i++) {
+        const [r, g, b] = [imageData.data[4 * i], imageData.data[4 * i + 1], imageData.data[4 * i + 2]];
+        values[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+    return values;
+}
+
+// Greyscale canvas of the values, stretched linearly between the minimum and the DISPLAY_PERCENTILE value
+function renderGreyValues(width, height, values, sorted) {
+    const low = sorted[0];
+    const high = sorted[Math.min(sorted.length - 1, Math.floor(DISPLAY_PERCENTILE * sorted.length))];
+    const range = high > low ? high - low : 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(width, height);
+    values.forEach((v, i) => {
+        const grey = Math.round(255 * Math.min(1, Math.max(0, (v - low) / range)));
+        imageData.data.set([grey, grey, grey, 255], 4 * i);
+    });
+    context.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Read a diffraction image file. TIFF is decoded here (browsers cannot display it); other formats by the browser.
+ *
+ * @param {File} file - PNG, JPEG or uncompressed TIFF image.
+ * @returns {Promise<{name: string, width: number, height: number, values: Float32Array, median: number,
+ *   canvas: HTMLCanvasElement}>} - Grey values and their median for the fit, and a canvas to draw.
+ */
+export async function loadExperimentalImage(file) {
+    if (/\.tiff?$/i.test(file.name) || file.type === 'image/tiff') {
+        const { width, height, values } = decodeTiff(await file.arrayBuffer());
+        const sorted = Float32Array.from(values).sort();
+        const median = sorted[Math.floor(sorted.length / 2)];
+        return { name: file.name, width, height, values, median, canvas: renderGreyValues(width, height, values, sorted) };
+    }
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    const values = getGreyValues(context.getImageData(0, 0, bitmap.width, bitmap.height));
+    const median = Float32Array.from(values).sort()[Math.floor(values.length / 2)];
+    return { name: file.name, width: bitmap.width, height: bitmap.height, values, median, canvas };
+}
+
+/**
+ * Starting calibration: the image centred on the pattern and just filling the plotted range.
+ *
+ * @param {object} image - From loadExperimentalImage.
+ * @param {number} plotRange - Half-width of the pattern's axes.
+ * @returns {{centerX: number, centerY: number, scale: number, rotation: number, mirror: boolean}} - Centre in image
+ *   pixels, scale in image pixels per axis unit and rotation in degrees.
+ */
+export function getDefaultCalibration(image, plotRange) {
+    return {
+        centerX: image.width / 2,
+        centerY: image.height / 2,
+        scale: Math.min(image.width, image.height) / (2 * plotRange),
+        rotation: 0,
+        mirror: false
+    };
+}
+
+// Image position (pixels) of the point (x, y) of the pattern
+export function simulationToImage([x, y], calibration) {
+    const angle = calibration.rotation * Math.PI / 180;
+    const q = [x, calibration.mirror ? y : -y];
+    return [
+        calibration.centerX + calibration.scale * (Math.cos(angle) * q[0] - Math.sin(angle) * q[1]),
+        calibration.centerY + calibration.scale * (Math.sin(angle) * q[0] + Math.cos(angle) * q[1])
+    ];
+}
+
+// Point of the pattern at the image position (u, v), the inverse of simulationToImage
+export function imageToSimulation([u, v], calibration) {
+    const angle = calibration.rotation * Math.PI / 180;
+    const [du, dv] = [(u - calibration.centerX) / calibration.scale, (v - calibration.centerY) / calibration.scale];
+    const q = [Math.cos(angle) * du + Math.sin(angle) * dv, -Math.sin(angle) * du + Math.cos(angle) * dv];
+    return [q[0], calibration.mirror ? q[1] : -q[1]];
+}
+
+// Point of the pattern under a position on the chart, in pixels from the chart's top left corner
+export function chartPixelToSimulation(chart, [px, py]) {
+    return [chart.axisX[0].convertPixelToValue(px), chart.axisY[0].convertPixelToValue(py)];
+}
+
+/**
+ * Draw the image on a canvas lying beneath the chart (which needs a transparent background), placed by the
+ * calibration and clipped to the plot area, with a cross at every picked spot.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas the size of the chart.
+ * @param {object} chart - The rendered CanvasJS zone-axis chart, or null to clear the canvas.
+ * @param {object} image - From loadExperimentalImage, or null.
+ * @param {object} calibration - See getDefaultCalibration.
+ * @param {{opacity: number, picks: Array<number[]>}} options - Opacity (0-1) and picked spots in image pixels.
+ */
+export function drawImageUnderlay(canvas, chart, image, calibration, { opacity = 1, picks = [] } = {}) {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * ratio);
+    canvas.height = Math.round(canvas.clientHeight * ratio);
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!chart || !image || !calibration) return;
+
+    // Chart pixels are linear in the axis values, so image pixels map to chart pixels by one affine transform
+    const toPixel = ([x, y]) => [chart.axisX[0].convertValueToPixel(x), chart.axisY[0].convertValueToPixel(y)];
+    const toChart = (point) => toPixel(imageToSimulation(point, calibration));
+    const [origin, unitU, unitV] = [[0, 0], [1, 0], [0, 1]].map(toChart);
+
+    const { minimum, maximum } = chart.options.axisX;
+    const [left, top] = toPixel([minimum, chart.options.axisY.maximum]);
+    const [right, bottom] = toPixel([maximum, chart.options.axisY.minimum]);
+
+    context.save();
+    context.scale(ratio, ratio);
+    context.beginPath();
+    context.rect(left, top, right - left, bottom - top);
+    context.clip();
+    context.globalAlpha = opacity;
+    context.transform(unitU[0] - origin[0], unitU[1] - origin[1], unitV[0] - origin[0], unitV[1] - origin[1], origin[0], origin[1]);
+    context.drawImage(image.canvas, 0, 0);
+    context.restore();
+
+    context.save();
+    context.scale(ratio, ratio);
+    context.strokeStyle = '#e67e22';
+    context.lineWidth = 2;
+    picks.forEach(pick => {
+        const [px, py] = toChart(pick);
+        context.beginPath();
+        context.moveTo(px - PICK_MARKER_SIZE, py);
+        context.lineTo(px + PICK_MARKER_SIZE, py);
+        context.moveTo(px, py - PICK_MARKER_SIZE);
+        context.lineTo(px, py + PICK_MARKER_SIZE);
+        context.stroke();
+    });
+    context.restore();
+}
+
+// Simulated spot nearest to an image position, and its distance in image pixels
+function findNearestSpot(point, spots, calibration) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    spots.forEach(spot => {
+        const [u, v] = simulationToImage([spot.x, spot.y], calibration);
+        const distance = Math.hypot(u - point[0], v - point[1]);
+        if (distance < nearestDistance) {
+            nearest = spot;
+            nearestDistance = distance;
+        }
+    });
+    return { spot: nearest, distance: nearestDistance };
+}
+
+// Least-squares similarity transform (centre, scale, rotation) taking the pattern points q to the image points p,
+// solved in closed form with complex numbers: p = t + z q, z = scale * exp(i rotation)
+function solveSimilarity(pairs, mirror) {
+    const n = pairs.length;
+    const q = pairs.map(({ spot }) => [spot.x, mirror ? spot.y : -spot.y]);
+    const p = pairs.map(({ point }) => point);
+    const qMean = [0, 1].map(k => q.reduce((sum, value) => sum + value[k], 0) / n);
+    const pMean = [0, 1].map(k => p.reduce((sum, value) => sum + value[k], 0) / n);
+    let re = 0;
+    let im = 0;
+    let norm = 0;
+    for (let i = 0; i < n; i++) {
+        const [qx, qy] = [q[i][0] - qMean[0], q[i][1] - qMean[1]];
+        const [px, py] = [p[i][0] - pMean[0], p[i][1] - pMean[1]];
+        re += px * qx + py * qy;
+        im += py * qx - px * qy;
+        norm += qx * qx + qy * qy;
+    }
+    if (!(norm > 0)) return null;
+    const [zr, zi] = [re / norm, im / norm];
+    return {
+        centerX: pMean[0] - (zr * qMean[0] - zi * qMean[1]),
+        centerY: pMean[1] - (zi * qMean[0] + zr * qMean[1]),
+        scale: Math.hypot(zr, zi),
+        rotation: Math.atan2(zi, zr) * 180 / Math.PI,
+        mirror
+    };
+}
+
+/**
+ * Fit the calibration to spots picked on the image. Each pick is matched to the nearest simulated spot; the starting
+ * match is found by trying every simulated spot (and both handednesses) for the pick farthest from the centre, and
+ * the centre, scale and rotation are then refined by least squares, with the current centre counting as one more
+ * pick matched to the direct beam.
+ *
+ * @param {Array<number[]>} picks - Picked spot positions in image pixels.
+ * @param {Array<{x: number, y: number}>} spots - Simulated spots in axis units (the direct beam at 0, 0).
+ * @param {object} calibration - Current calibration; its centre is taken as the direct beam.
+ * @returns {object|null} - The fitted calibration, or null if no spot could be matched.
+ */
+export function fitCalibration(picks, spots, calibration) {
+    const diffracted = spots.filter(spot => spot.x !== 0 || spot.y !== 0);
+    if (picks.length === 0 || diffracted.length === 0) return null;
+    const center = [calibration.centerX, calibration.centerY];
+    const directBeam = { point: center, spot: { x: 0, y: 0 } };
+    const anchor = picks.reduce((best, pick) => (Math.hypot(pick[0] - center[0], pick[1] - center[1]) > Math.hypot(best[0] - center[0], best[1] - center[1]) ? pick : best));
+    const anchorRadius = Math.hypot(anchor[0] - center[0], anchor[1] - center[1]);
+    if (!(anchorRadius > 0)) return null;
+
+    // Sum of squared pick residuals, each capped so that one unmatched pick does not dominate
+    const cap = (0.1 * anchorRadius) ** 2;
+    const cost = (candidate) => picks.reduce((sum, pick) => sum + Math.min(cap, findNearestSpot(pick, spots, candidate).distance ** 2), 0);
+
+    const candidates = [];
+    [false, true].forEach(mirror => {
+        diffracted.forEach(spot => {
+            const candidate = solveSimilarity([directBeam, { point: anchor, spot }], mirror);
+            if (candidate) candidates.push({ candidate, rms: Math.sqrt(cost(candidate) / picks.length) });
+        });
+    });
+    if (candidates.length === 0) return null;
+
+    // A pattern scaled down by an integer also puts a spot under every pick (at multiples of the right indices), so of
+    // the candidates that fit about as well as the best one, take the largest scale, i.e. the lowest indices
+    const bestRms = Math.min(...candidates.map(({ rms }) => rms));
+    let best = null;
+    candidates.filter(({ rms }) => rms <= FIT_RMS_SLACK * bestRms + 1).forEach(({ candidate }) => {
+        if (!best || candidate.scale > best.scale * (1 + 1e-6)) best = candidate;
+    });
+
+    for (let iteration = 0; iteration < FIT_ITERATIONS; iteration++) {
+        const pairs = picks.map(point => ({ point, ...findNearestSpot(point, spots, best) }))
+            .filter(({ spot, distance }) => spot && distance * distance < cap);
+        const refined = solveSimilarity([directBeam, ...pairs], best.mirror);
+        if (!refined) break;
+        const change = Math.hypot(refined.centerX - best.centerX, refined.centerY - best.centerY) + Math.abs(refined.scale / best.scale - 1) * anchorRadius;
+        best = refined;
+        if (change < 1e-3) break;
+    }
+    return best;
+}
+
+/**
+ * Goodness of fit: the RMS distance of the picked spots from the nearest simulated spots, and the correlation between
+ * the simulated intensities and the image's peak values (above its median) at the simulated spot positions.
+ *
+ * @param {object} image - From loadExperimentalImage.
+ * @param {Array<{x: number, y: number, intensity: number}>} spots - Simulated spots in axis units.
+ * @param {object} calibration - See getDefaultCalibration.
+ * @param {Array<number[]>} picks - Picked spots in image pixels.
+ * @returns {{rms: number|null, pickCount: number, correlation: number|null, spotCount: number}}
+ */
+export function getFitQuality(image, spots, calibration, picks = []) {
+    const distances = picks.map(pick => findNearestSpot(pick, spots, calibration).distance);
+    const rms = distances.length > 0 ? Math.sqrt(distances.reduce((sum, d) => sum + d * d, 0) / distances.length) : null;
+
+    const samples = [];
+    spots.forEach(spot => {
+        if (spot.x === 0 && spot.y === 0) return; // the direct beam is usually saturated or blocked
+        const [u, v] = simulationToImage([spot.x, spot.y], calibration).map(Math.round);
+        if (u < SPOT_WINDOW || v < SPOT_WINDOW || u >= image.width - SPOT_WINDOW || v >= image.height - SPOT_WINDOW) return;
+        let peak = -Infinity;
+        for (let dv = -SPOT_WINDOW; dv <= SPOT_WINDOW; dv++) {
+            for (let du = -SPOT_WINDOW; du <= SPOT_WINDOW; du++) {
+                peak = Math.max(peak, image.values[(v + dv) * image.width + u + du]);
+            }
+        }
+        samples.push([spot.intensity, peak - image.median]);
+    });
+
+    let correlation = null;
+    if (samples.length >= 3) {
+        const mean = [0, 1].map(k => samples.reduce((sum, s) => sum + s[k], 0) / samples.length);
+        let covariance = 0;
+        const variance = [0, 0];
+        samples.forEach(s => {
+            covariance += (s[0] - mean[0]) * (s[1] - mean[1]);
+            variance[0] += (s[0] - mean[0]) ** 2;
+            variance[1] += (s[1] - mean[1]) ** 2;
+        });
+        correlation = variance[0] > 0 && variance[1] > 0 ? covariance / Math.sqrt(variance[0] * variance[1]) : null;
+    }
+    return { rms, pickCount: picks.length, correlation, spotCount: samples.length };
+}
@@ -0,0 +1,261 @@
+// exportData.js
+// Downloads: reflection tables as CSV or JSON, and the diffraction and structure views as PNG or SVG.
+
+// Table columns: header and value for one reflection (missing values are left empty)
+const REFLECTION_COLUMNS = [
+    ['h', r => r.hkl[0]],
+    ['k', r => r.hkl[1]],
+    ['l', r => r.hkl[2]],
+    ['d (Å)', r => r.d.toFixed(5)],
+    ['|g| (Å⁻¹)', r => r.g.toFixed(5)],
+    ['2θ (°)', r => (r.twoTheta == null ? '' : r.twoTheta.toFixed(4))],
+    ['|F|', r => r.structureFactor.toFixed(4)],
+    ['|F|²', r => (r.structureFactor * r.structureFactor).toFixed(4)],
+    ['phase (°)', r => (Math.abs(r.phase) < 0.005 ? 0 : r.phase).toFixed(2)],
+    ['multiplicity', r => r.multiplicity]
+];
+
+// Further columns of each view: spot positions in the axis units of the pattern, or the powder peak intensities
+function getReflectionColumns(metadata) {
+    if (metadata.view === 'powder') {
+        return [
+            ...REFLECTION_COLUMNS,
+            ['Lp', r => r.lorentzPolarization.toFixed(4)],
+            ['I (m |F|² Lp)', r => r.intensity.toExponential(4)]
+        ];
+    }
+    const unit = metadata.axisUnitLabel || 'Å⁻¹';
+    return [
+        ...REFLECTION_COLUMNS,
+        [`x (${unit})`, r => (Math.abs(r.x) < 5e-5 ? 0 : r.x).toFixed(4)],
+        [`y (${unit})`, r => (Math.abs(r.y) < 5e-5 ? 0 : r.y).toFixed(4)],
+        ['Laue zone', r => (r.laueZone == null ? '' : r.laueZone)],
+        ['s_g (Å⁻¹)', r => (r.excitationError == null ? '' : r.excitationError.toExponential(4))],
+        ['I (Bloch wave)', r => (r.dynamicalIntensity == null ? '' : r.dynamicalIntensity.toExponential(4))],
+        ['absence', r => r.absence || '']
+    ];
+}
+
+// Quote a CSV field if it contains a separator, quote or line break
+function escapeCsv(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+/**
+ * Reflection table as CSV, one row per reflection.
+ *
+ * @param {Array<object>} reflections - Reflections as returned by performCrystallographicAnalysis or performPowderAnalysis:
+ *   { hkl, d, g, twoTheta, structureFactor, phase, multiplicity }, and { x, y, laueZone, excitationError,
+ *   dynamicalIntensity, absence } for a zone axis or { lorentzPolarization, intensity } for a powder pattern.
+ * @param {object} metadata - { view: 'zone axis' (the default) or 'powder', axisUnitLabel (unit of x and y, Å⁻¹ if absent) }
+ * @returns {string}
+ */
+export function formatReflectionsCsv(reflections, metadata = {}) {
+    const columns = getReflectionColumns(metadata);
+    const lines = [columns.map(([header]) => escapeCsv(header)).join(',')];
+    reflections.forEach(reflection => {
+        lines.push(columns.map(([, value]) => escapeCsv(value(reflection))).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Reflection table as JSON, with the conditions of the calculation (structure, radiation, zone axis) as metadata.
+ *
+ * @param {Array<object>} reflections - As for formatReflectionsCsv.
+ * @param {object} metadata - Any JSON-serializable description of the calculation; view and axisUnitLabel as for
+ *   formatReflectionsCsv.
+ * @returns {string}
+ */
+export function formatReflectionsJson(reflections, metadata = {}) {
+    const rows = reflections.map(reflection => ({
+        hkl: reflection.hkl,
+        d: reflection.d,
+        g: reflection.g,
+        twoTheta: reflection.twoTheta ?? null,
+        structureFactor: reflection.structureFactor,
+        structureFactorSquared: reflection.structureFactor * reflection.structureFactor,
+        phase: reflection.phase,
+        multiplicity: reflection.multiplicity,
+        ...(metadata.view === 'powder'
+            ? {
+                lorentzPolarization: reflection.lorentzPolarization,
+                intensity: reflection.intensity
+            }
+            : {
+                x: reflection.x,
+                y: reflection.y,
+                laueZone: reflection.laueZone ?? null,
+                excitationError: reflection.excitationError ?? null,
+                dynamicalIntensity: reflection.dynamicalIntensity ?? null,
+                absence: reflection.absence ?? null
+            })
+    }));
+    return JSON.stringify({ ...metadata, reflections: rows }, null, 2);
+}
+
+// Save text or a data URL through a temporary link
+export function downloadFile(fileName, content, mimeType) {
+    const isDataUrl = typeof content === 'string' && content.startsWith('data:');
+    const url = isDataUrl ? content : URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    if (!isDataUrl) setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Tick spacing of 1, 2 or 5 times a power of ten giving about five ticks over the range
+function getTickStep(range) {
+    const rough = range / 5;
+    const power = 10 ** Math.floor(Math.log10(rough));
+    const mantissa = rough / power;
+    return (mantissa >= 5 ? 5 : mantissa >= 2 ? 2 : 1) * power;
+}
+
+/**
+ * Redraw a CanvasJS chart as SVG from its options: titles, axes with ticks, line series, scatter markers and index labels.
+ * CanvasJS itself only exports raster images.
+ *
+ * @param {object} chart - A rendered CanvasJS chart.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @returns {string} - SVG document.
+ */
+export function chartToSvg(chart, width = 600, height = 600) {
+    const options = chart.options;
+    const series = (options.data || []).filter(s => s.visible !== false);
+    const points = series.flatMap(s => s.dataPoints || []);
+    const getExtent = (axis = {}, key) => {
+        const values = points.map(point => point[key]).filter(Number.isFinite);
+        const min = Number.isFinite(axis.minimum) ? axis.minimum : Math.min(...values);
+        const max = Number.isFinite(axis.maximum) ? axis.maximum : Math.max(...values);
+        if (!Number.isFinite(min) || !Number.isFinite(max)) return [0, 1];
+        return max > min ? [min, max] : [min - 1, min + 1];
+    };
+    const [xMin, xMax] = getExtent(options.axisX, 'x');
+    const [yMin, yMax] = getExtent(options.axisY, 'y');
+
+    const subtitles = options.subtitles || [];
+    const left = 70;
+    const right = width - 20;
+    const top = 45 + 18 * subtitles.length;
+    const bottom = height - 55;
+    const toX = x => left + (x - xMin) / (xMax - xMin) * (right - left);
+    const toY = y => bottom - (y - yMin) / (yMax - yMin) * (bottom - top);
+    const font = 'font-family="Tahoma, Arial, sans-serif"';
+
+    const svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="white"/>`,
+        `<clipPath id="plotArea"><rect x="${left}" y="${top}" width="${right - left}" height="${bottom - top}"/></clipPath>`
+    ];
+
+    // Titles
+    if (options.title && options.title.text) {
+        svg.push(`<text x="${width / 2}" y="28" text-anchor="middle" font-size="${options.title.fontSize || 20}" ${font}>${escapeXml(options.title.text)}</text>`);
+    }
+    subtitles.forEach((subtitle, index) => {
+        svg.push(`<text x="${width / 2}" y="${50 + 18 * index}" text-anchor="middle" font-size="${subtitle.fontSize || 14}" ${font}>${escapeXml(subtitle.text)}</text>`);
+    });
+
+    // Axes, ticks and axis titles
+    svg.push(`<rect x="${left}" y="${top}" width="${right - left}" height="${bottom - top}" fill="none" stroke="black" stroke-width="1"/>`);
+    const xStep = getTickStep(xMax - xMin);
+    for (let x = Math.ceil(xMin / xStep) * xStep; x <= xMax + 1e-9 * xStep; x += xStep) {
+        const label = parseFloat(x.toPrecision(6));
+        svg.push(`<line x1="${toX(x)}" y1="${bottom}" x2="${toX(x)}" y2="${bottom + 5}" stroke="black"/>`);
+        svg.push(`<text x="${toX(x)}" y="${bottom + 18}" text-anchor="middle" font-size="11" ${font}>${label}</text>`);
+    }
+    const yStep = getTickStep(yMax - yMin);
+    for (let y = Math.ceil(yMin / yStep) * yStep; y <= yMax + 1e-9 * yStep; y += yStep) {
+        const label = parseFloat(y.toPrecision(6));
+        svg.push(`<line x1="${left - 5}" y1="${toY(y)}" x2="${left}" y2="${toY(y)}" stroke="black"/>`);
+        svg.push(`<text x="${left - 8}" y="${toY(y) + 4}" text-anchor="end" font-size="11" ${font}>${label}</text>`);
+    }
+    if (options.axisX && options.axisX.title) {
+        svg.push(`<text x="${(left + right) / 2}" y="${height - 15}" text-anchor="middle" font-size="14" ${font}>${escapeXml(options.axisX.title)}</text>`);
+    }
+    if (options.axisY && options.axisY.title) {
+        const centre = (top + bottom) / 2;
+        svg.push(`<text x="18" y="${centre}" text-anchor="middle" font-size="14" transform="rotate(-90 18 ${centre})" ${font}>${escapeXml(options.axisY.title)}</text>`);
+    }
+
+    // Series, clipped to the plot area
+    svg.push('<g clip-path="url(#plotArea)">');
+    series.forEach(s => {
+        const dataPoints = (s.dataPoints || []).filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+        if (s.type === 'line' && dataPoints.length > 1) {
+            const path = dataPoints.map(point => `${toX(point.x).toFixed(2)},${toY(point.y).toFixed(2)}`).join(' ');
+            const dash = s.lineDashType === 'dash' ? ' stroke-dasharray="6,4"' : '';
+            svg.push(`<polyline points="${path}" fill="none" stroke="${s.color || 'black'}" stroke-width="${s.lineThickness || 2}"${dash}/>`);
+        }
+        dataPoints.forEach(point => {
+            const size = point.markerSize ?? s.markerSize ?? (s.type === 'line' ? 0 : 8);
+            const markerType = point.markerType || s.markerType || 'circle';
+            const x = toX(point.x);
+            const y = toY(point.y);
+            if (size > 0 && markerType !== 'none') {
+                const fill = point.markerColor || point.color || s.markerColor || s.color || 'black';
+                const borderColor = point.markerBorderColor || s.markerBorderColor;
+                const border = borderColor ? ` stroke="${borderColor}" stroke-width="${s.markerBorderThickness || 1}"` : '';
+                const r = size / 2;
+                if (markerType === 'triangle') {
+                    svg.push(`<polygon points="${x},${y - r} ${x - r},${y + r} ${x + r},${y + r}" fill="${fill}"${border}/>`);
+                } else if (markerType === 'square') {
+                    svg.push(`<rect x="${x - r}" y="${y - r}" width="${size}" height="${size}" fill="${fill}"${border}/>`);
+                } else {
+                    svg.push(`<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${r.toFixed(2)}" fill="${fill}"${border}/>`);
+                }
+            }
+            if (point.indexLabel) {
+                const fontSize = s.indexLabelFontSize || 12;
+                const transform = s.indexLabelOrientation === 'vertical' ? ` transform="rotate(-90 ${x} ${y - 6})"` : '';
+                const anchor = s.indexLabelOrientation === 'vertical' ? 'start' : 'middle';
+                svg.push(`<text x="${x}" y="${y - 6}" text-anchor="${anchor}" font-size="${fontSize}"${transform} ${font}>${escapeXml(point.indexLabel)}</text>`);
+            }
+        });
+    });
+    svg.push('</g>', '</svg>');
+    return svg.join('\n');
+}
+
+/**
+ * Download a CanvasJS chart as PNG (CanvasJS export) or SVG (see chartToSvg).
+ *
+ * @param {object} chart - A rendered CanvasJS chart.
+ * @param {string} format - 'png' or 'svg'.
+ * @param {string} baseName - File name without extension.
+ */
+export function exportChartImage(chart, format, baseName) {
+    if (format === 'svg') {
+        downloadFile(`${baseName}.svg`, chartToSvg(chart), 'image/svg+xml');
+    } else {
+        chart.exportChart({ format: 'png', fileName: baseName });
+    }
+}
+
+/**
+ * Download a Plotly plot as PNG or SVG. The 3D scene is rasterized by WebGL in either case; SVG keeps titles and legend as vector text.
+ *
+ * @param {HTMLElement} plotElement - The Plotly graph div.
+ * @param {string} format - 'png' or 'svg'.
+ * @param {string} baseName - File name without extension.
+ * @returns {Promise}
+ */
+export function exportPlotlyImage(plotElement, format, baseName) {
+    const { width, height } = plotElement.getBoundingClientRect();
+    return Plotly.downloadImage(plotElement, {
+        format: format === 'svg' ? 'svg' : 'png',
+        filename: baseName,
+        width: Math.round(width) || 800,
+        height: Math.round(height) || 800
+    });
+}
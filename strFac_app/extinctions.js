@@ -0,0 +1,200 @@
+// extinctions.js
+// Systematic absences from the symmetry operations: a reflection h is forbidden when some operation (R, t)
+// leaves it invariant (h R = h) while h . t is not an integer. Lattice centring, screw axes and glide planes
+// are all covered by this one rule.
+
+const INDEX_LETTERS = ['h', 'k', 'l'];
+const REDUNDANCY_CHECK_RANGE = 6; // conditions are compared on reflections with |h|, |k|, |l| up to this
+
+// Translation part in twelfths of a cell edge, reduced to [0, 12)
+function translationInTwelfths(translation) {
+    return translation.map(t => ((Math.round(t * 12) % 12) + 12) % 12);
+}
+
+// h R for a row vector h
+function transformIndices(hkl, rotation) {
+    return [0, 1, 2].map(j => hkl[0] * rotation[0][j] + hkl[1] * rotation[1][j] + hkl[2] * rotation[2][j]);
+}
+
+function greatestCommonDivisor(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+// Operations that can cause absences: those with a translation part
+function getTranslatedOperations(symmetryMatrices) {
+    return (symmetryMatrices || [])
+        .map(({ rotation, translation }) => ({ rotation, twelfths: translationInTwelfths(translation) }))
+        .filter(({ twelfths }) => twelfths.some(t => t !== 0));
+}
+
+function isAbsentUnder(hkl, operations) {
+    return operations.some(({ rotation, twelfths }) => {
+        const transformed = transformIndices(hkl, rotation);
+        if (transformed[0] !== hkl[0] || transformed[1] !== hkl[1] || transformed[2] !== hkl[2]) return false;
+        return (hkl[0] * twelfths[0] + hkl[1] * twelfths[1] + hkl[2] * twelfths[2]) % 12 !== 0;
+    });
+}
+
+/**
+ * True if the reflection hkl is systematically absent under the given symmetry operations.
+ *
+ * @param {Array<number>} hkl - Miller indices [h, k, l].
+ * @param {Array<{rotation: number[][], translation: number[]}>} symmetryMatrices - Parsed symmetry operations.
+ * @returns {boolean}
+ */
+export function isSystematicallyAbsent(hkl, symmetryMatrices) {
+    if (hkl[0] === 0 && hkl[1] === 0 && hkl[2] === 0) return false;
+    return isAbsentUnder(hkl, getTranslatedOperations(symmetryMatrices));
+}
+
+/**
+ * Why a reflection is systematically absent: 'centring' for lattice centring (never excited, even dynamically),
+ * 'screw/glide' for absences due to screw axes or glide planes (which double diffraction can still excite),
+ * or null if the reflection is allowed.
+ */
+export function getAbsenceReason(hkl, symmetryMatrices) {
+    if (hkl[0] === 0 && hkl[1] === 0 && hkl[2] === 0) return null;
+    const operations = getTranslatedOperations(symmetryMatrices);
+    const isCentring = ({ rotation }) => rotation.every((row, i) => row.every((v, j) => v === (i === j ? 1 : 0)));
+    if (isAbsentUnder(hkl, operations.filter(isCentring))) return 'centring';
+    if (isAbsentUnder(hkl, operations)) return 'screw/glide';
+    return null;
+}
+
+// Integer basis (in echelon form) of the reflections left invariant by a rotation: solutions of h (R - I) = 0
+function getInvariantBasis(rotation) {
+    const candidates = [];
+    for (let h = -2; h <= 2; h++) {
+        for (let k = -2; k <= 2; k++) {
+            for (let l = -2; l <= 2; l++) {
+                const hkl = [h, k, l];
+                if (hkl.every(v => v === 0)) continue;
+                const transformed = transformIndices(hkl, rotation);
+                if (transformed.every((v, i) => v === hkl[i])) candidates.push(hkl);
+            }
+        }
+    }
+
+    // Greedy echelon basis: prefer vectors with the leading non-zero index as early and as small as possible
+    const pivot = (v) => v.findIndex(c => c !== 0);
+    const weight = (v) => pivot(v) * 100 + v.reduce((sum, c) => sum + Math.abs(c), 0);
+    candidates.sort((v1, v2) => weight(v1) - weight(v2) || v2[pivot(v2)] - v1[pivot(v1)]);
+
+    const basis = [];
+    candidates.forEach(v => {
+        if (v[pivot(v)] < 0 || v.reduce((d, c) => greatestCommonDivisor(d, c), 0) !== 1) return;
+        if (basis.some(b => pivot(b) === pivot(v))) return;
+        // Keep v only if it is independent of the vectors already chosen
+        const matrix = [...basis, v];
+        const independent = matrix.length === 1
+            || (matrix.length === 2 && [0, 1, 2].some(i => [0, 1, 2].some(j => i < j && matrix[0][i] * matrix[1][j] - matrix[0][j] * matrix[1][i] !== 0)))
+            || (matrix.length === 3 && determinant(matrix) !== 0);
+        if (independent) basis.push(v);
+    });
+    return basis;
+}
+
+function determinant(m) {
+    return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+        - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+        + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+// Write c1 * letter1 + c2 * letter2 + ... compactly, e.g. [1, -1] with ['h', 'l'] -> 'h-l'
+function formatLinearCombination(coefficients, letters) {
+    let text = '';
+    coefficients.forEach((c, i) => {
+        if (c === 0) return;
+        const sign = c < 0 ? '-' : (text ? '+' : '');
+        text += `${sign}${Math.abs(c) === 1 ? '' : Math.abs(c)}${letters[i]}`;
+    });
+    return text || '0';
+}
+
+// Describe one operation's reflection class and condition, e.g. { zone: 'h0l', condition: 'l=2n' }
+function describeCondition(basis, twelfths) {
+    // Each basis vector gets the letter of its leading index, so (1,0,0),(0,0,1) reads 'h0l' and (1,1,0),(0,0,1) reads 'hhl'
+    const letters = basis.map(b => INDEX_LETTERS[b.findIndex(c => c !== 0)]);
+    const components = [0, 1, 2].map(i => formatLinearCombination(basis.map(b => b[i]), letters));
+    const zone = components.every(c => /^-?[0hkl]$/.test(c)) ? components.join('') : components.join(',');
+
+    // h . t = sum_i p_i (b_i . t) must be an integer: sum_i A_i p_i = 0 (mod D)
+    const products = basis.map(b => b[0] * twelfths[0] + b[1] * twelfths[1] + b[2] * twelfths[2]);
+    const divisor = products.reduce((d, p) => greatestCommonDivisor(d, p), 12);
+    const modulus = 12 / divisor;
+    let coefficients = products.map(p => {
+        const reduced = ((p / divisor) % modulus + modulus) % modulus;
+        return reduced > modulus / 2 ? reduced - modulus : reduced;
+    });
+    // The condition holds for -h as well, so write it with a positive leading term
+    if (coefficients.find(c => c !== 0) < 0) coefficients = coefficients.map(c => -c);
+
+    const activeLetters = coefficients.filter(c => c !== 0).length;
+    if (activeLetters === 1) {
+        // A single index: c p = 0 (mod D) means p is a multiple of D / gcd(c, D)
+        const index = coefficients.findIndex(c => c !== 0);
+        const step = modulus / greatestCommonDivisor(coefficients[index], modulus);
+        return { zone, condition: `${letters[index]}=${step}n` };
+    }
+    return { zone, condition: `${formatLinearCombination(coefficients, letters)}=${modulus}n` };
+}
+
+/**
+ * List the reflection conditions implied by the symmetry operations, most general first
+ * (integral hkl, then zonal, then serial reflections). Conditions already implied by an earlier line are omitted.
+ *
+ * @param {Array<{rotation: number[][], translation: number[]}>} symmetryMatrices - Parsed symmetry operations.
+ * @returns {Array<{zone: string, condition: string, text: string}>} - e.g. { zone: 'h0l', condition: 'l=2n', text: 'h0l: l=2n' }
+ */
+export function getExtinctionConditions(symmetryMatrices) {
+    const operations = getTranslatedOperations(symmetryMatrices);
+
+    // One candidate condition per operation whose translation is not cancelled on its invariant reflections
+    const candidates = [];
+    operations.forEach(operation => {
+        const basis = getInvariantBasis(operation.rotation);
+        if (basis.length === 0) return;
+        const products = basis.map(b => b[0] * operation.twelfths[0] + b[1] * operation.twelfths[1] + b[2] * operation.twelfths[2]);
+        if (products.every(p => p % 12 === 0)) return;
+        candidates.push({ ...describeCondition(basis, operation.twelfths), operation, dimension: basis.length });
+    });
+    candidates.sort((c1, c2) => c2.dimension - c1.dimension);
+
+    // Every distinct centring condition is listed. A zonal or serial condition is kept only if it forbids some
+    // reflection not already forbidden by the kept ones; absences are the same for symmetry-equivalent reflections,
+    // so equivalent classes (e.g. hhl and h,-2h,l in hexagonal groups) are reported once.
+    const rotations = [];
+    (symmetryMatrices || []).forEach(({ rotation }) => {
+        if (!rotations.some(r => r.every((row, i) => row.every((v, j) => v === rotation[i][j])))) rotations.push(rotation);
+    });
+    const accepted = [];
+    const seen = new Set();
+    const range = REDUNDANCY_CHECK_RANGE;
+    candidates.forEach(candidate => {
+        const text = `${candidate.zone}: ${candidate.condition}`;
+        if (seen.has(text)) return;
+        seen.add(text);
+        if (candidate.dimension === 3) {
+            accepted.push({ zone: candidate.zone, condition: candidate.condition, text, operation: candidate.operation });
+            return;
+        }
+        const acceptedOperations = accepted.map(condition => condition.operation);
+        const alreadyForbidden = (hkl) => rotations.some(rotation => isAbsentUnder(transformIndices(hkl, rotation), acceptedOperations));
+        for (let h = -range; h <= range; h++) {
+            for (let k = -range; k <= range; k++) {
+                for (let l = -range; l <= range; l++) {
+                    const hkl = [h, k, l];
+                    if (isAbsentUnder(hkl, [candidate.operation]) && !alreadyForbidden(hkl)) {
+                        accepted.push({ zone: candidate.zone, condition: candidate.condition, text, operation: candidate.operation });
+                        return;
+                    }
+                }
+            }
+        }
+    });
+
+    return accepted.map(({ zone, condition, text }) => ({ zone, condition, text }));
+}
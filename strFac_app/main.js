@@ -1,19 +1,57 @@
 // main.js
-import { parseCifInfo } from './parseCIF.js';
-import { performCrystallographicAnalysis, getDirectLatticeVectors, getReciprocalLatticeVectors, getMillerIndicesFromCamera } from './performCrystallographicAnalysis.js';
+import { readStructureFile } from './structureImporters.js';
+import { performCrystallographicAnalysis, plotStructureView } from './performCrystallographicAnalysis.js';
+import { DEFAULT_G_MAX, getDirectLatticeVectors, getReciprocalLatticeVectors, getMillerIndicesFromCamera, getZoneAxisFromCamera, getZoneAxisGeometry, getStructureFactorLimit } from './crystallography.js';
+import { formatReflectionsCsv, formatReflectionsJson, downloadFile, exportChartImage, exportPlotlyImage } from './exportData.js';
+import { formatStructureFile, getExportWarning, STRUCTURE_EXPORT_FORMATS } from './structureExporters.js';
+import { MAX_SUPERCELL } from './structureView.js';
+import { parseBondCutoffs, getCoordinationEnvironments } from './bonds.js';
+import { getElementColor, formatSpecies } from './elementData.js';
+import { getCellContents, getFormulaUnits, formatFormula } from './composition.js';
+import { isHexagonalCell, directionToFourIndex, planeToFourIndex, planeFromFourIndex, isConsistentFourIndex, parseIndices, formatIndices, describeIndices } from './millerIndices.js';
+import { performPowderAnalysis, getPowderGLimit } from './powderPattern.js';
+import { getExtinctionConditions } from './extinctions.js';
+import { loadExperimentalImage, getDefaultCalibration, simulationToImage, imageToSimulation, chartPixelToSimulation, drawImageUnderlay, fitCalibration, getFitQuality } from './experimentalImage.js';
+import { parseMeasuredSpots, indexSpotPattern } from './autoIndexing.js';
+import { plotStereographicProjection, MAX_POLE_INDEX } from './stereographicProjection.js';
+import { plotThicknessSeries, MAX_BEAM_COUNT } from './blochWave.js';
+import { getCachedStructureFactorTable, requestStructureFactorTable, cancelStructureFactorTable } from './structureFactorTable.js';
 
 // Global variables
 let currentParsedCifData = null;
 let debounceTimeoutForCamera = null;
+let currentZoneAxis = null; // { uvw, hkl, zoneAxisTilt, hexagonal, reflections, chart, ... } from the last analysis
+const STRUCTURE_FORMAT_NAMES = { cif: "CIF", poscar: "POSCAR", xyz: "XYZ", pdb: "PDB", shelx: "SHELX" };
+let elementColorOverrides = {}; // colours chosen by the user, by element symbol (kept when another file is loaded)
+let currentPowderPattern = null; // { reflections, chart, source } while the powder view is shown
+let experimentalImage = null; // measured pattern drawn beneath the zone-axis chart, from loadExperimentalImage
+let imageCalibration = null; // { centerX, centerY, scale, rotation, mirror, axisUnits } placing the simulation on the image
+let imagePicks = []; // spots clicked on the image, in image pixels
+let imagePickMode = null; // 'center' or 'spots' while clicks on the pattern pick points on the image
+let thicknessSeriesShown = false; // the thickness series is redrawn with the pattern once it has been plotted
+let stereogramClickListenerAdded = false; // Plotly only provides .on() once the element has been plotted
+let stereogramReferencePole = null; // { kind, indices } of the pole the stereogram measures angles from
+let structureCameraListenerAdded = false; // likewise for the structure view
+let fileLoadMessage = null; // outcome of reading the file, shown instead of "Diffraction view updated!" by the first view
 
 // get DOM elements
 const fileInput = document.getElementById("cifFile");
 const messageDisplay = document.getElementById("message");
+const parseDiagnostics = document.getElementById("parseDiagnostics");
+const parseDiagnosticsSummary = document.getElementById("parseDiagnosticsSummary");
+const parseDiagnosticsList = document.getElementById("parseDiagnosticsList");
 const statusDisplay = document.getElementById("status");
+const computationProgressGroup = document.getElementById("computationProgressGroup");
+const computationProgress = document.getElementById("computationProgress");
+const cancelComputationButton = document.getElementById("cancelComputationButton");
 
 // define elements for CIF summary display
 const displaySpaceGroup = document.getElementById("displaySpaceGroup");
-const displayElements = document.getElementById("displayElements");
+const displayExtinctions = document.getElementById("displayExtinctions");
+const displayComposition = document.getElementById("displayComposition");
+const displayFormulaUnits = document.getElementById("displayFormulaUnits");
+const displayAtomsPerCell = document.getElementById("displayAtomsPerCell");
+const displayCoordination = document.getElementById("displayCoordination");
 const displayA = document.getElementById("displayA");
 const displayB = document.getElementById("displayB");
 const displayC = document.getElementById("displayC");
@@ -22,7 +60,74 @@ const displayBeta = document.getElementById("displayBeta");
 const displayGamma = document.getElementById("displayGamma");
 const updatePlotButton = document.getElementById("updatePlotButton");
 const planeInput = document.getElementById("planeInput");
+const indexTypeSelect = document.getElementById("indexTypeSelect");
+const planeInputLabel = document.getElementById("planeInputLabel");
+const indexConversion = document.getElementById("indexConversion");
+const exportCsvButton = document.getElementById("exportCsvButton");
+const exportJsonButton = document.getElementById("exportJsonButton");
+const imageFormatSelect = document.getElementById("imageFormatSelect");
+const exportDiffractionButton = document.getElementById("exportDiffractionButton");
+const exportStructureButton = document.getElementById("exportStructureButton");
+const structureFormatSelect = document.getElementById("structureFormatSelect");
+const exportStructureFileButton = document.getElementById("exportStructureFileButton");
 const structureCanvas = document.getElementById("structureCanvas"); 
+const radiationSelect = document.getElementById("radiationSelect");
+const voltageInput = document.getElementById("voltageInput");
+const thicknessInput = document.getElementById("thicknessInput");
+const holzCheckbox = document.getElementById("holzCheckbox");
+const intensityModelSelect = document.getElementById("intensityModelSelect");
+const beamCountInput = document.getElementById("beamCountInput");
+const seriesReflectionsInput = document.getElementById("seriesReflectionsInput");
+const seriesMaxThicknessInput = document.getElementById("seriesMaxThicknessInput");
+const plotSeriesButton = document.getElementById("plotSeriesButton");
+const thicknessSeriesCanvas = document.getElementById("thicknessSeriesCanvas");
+const ionicFactorsCheckbox = document.getElementById("ionicFactorsCheckbox");
+const supercellInputs = ["supercellInputA", "supercellInputB", "supercellInputC"].map(id => document.getElementById(id));
+const boundaryAtomsCheckbox = document.getElementById("boundaryAtomsCheckbox");
+const bondsCheckbox = document.getElementById("bondsCheckbox");
+const polyhedraSelect = document.getElementById("polyhedraSelect");
+const bondCutoffsInput = document.getElementById("bondCutoffsInput");
+const atomSizeSelect = document.getElementById("atomSizeSelect");
+const elementColorsContainer = document.getElementById("elementColors");
+const resetColorsButton = document.getElementById("resetColorsButton");
+const viewSelect = document.getElementById("viewSelect");
+const sourceSelect = document.getElementById("sourceSelect");
+const wavelengthInput = document.getElementById("wavelengthInput");
+const twoThetaMinInput = document.getElementById("twoThetaMinInput");
+const twoThetaMaxInput = document.getElementById("twoThetaMaxInput");
+const cagliotiUInput = document.getElementById("cagliotiUInput");
+const cagliotiVInput = document.getElementById("cagliotiVInput");
+const cagliotiWInput = document.getElementById("cagliotiWInput");
+const etaInput = document.getElementById("etaInput");
+const limitTypeSelect = document.getElementById("limitTypeSelect");
+const limitInput = document.getElementById("limitInput");
+const cameraLengthInput = document.getElementById("cameraLengthInput");
+const pixelSizeInput = document.getElementById("pixelSizeInput");
+const axisUnitsSelect = document.getElementById("axisUnitsSelect");
+const diffractionCanvas = document.getElementById("diffractionCanvas");
+const experimentalImageCanvas = document.getElementById("experimentalImageCanvas");
+const experimentalImageInput = document.getElementById("experimentalImageInput");
+const imageOpacityInput = document.getElementById("imageOpacityInput");
+const removeImageButton = document.getElementById("removeImageButton");
+const pickCenterButton = document.getElementById("pickCenterButton");
+const pickSpotsButton = document.getElementById("pickSpotsButton");
+const clearPicksButton = document.getElementById("clearPicksButton");
+const fitImageButton = document.getElementById("fitImageButton");
+const imageRotationInput = document.getElementById("imageRotationInput");
+const imageScaleInput = document.getElementById("imageScaleInput");
+const imageMirrorCheckbox = document.getElementById("imageMirrorCheckbox");
+const imageFitReport = document.getElementById("imageFitReport");
+const measuredSpotsInput = document.getElementById("measuredSpotsInput");
+const indexDToleranceInput = document.getElementById("indexDToleranceInput");
+const indexAngleToleranceInput = document.getElementById("indexAngleToleranceInput");
+const indexTypedSpotsButton = document.getElementById("indexTypedSpotsButton");
+const indexPickedSpotsButton = document.getElementById("indexPickedSpotsButton");
+const indexingResults = document.getElementById("indexingResults");
+const stereogramCanvas = document.getElementById("stereogramCanvas");
+const stereogramPolesSelect = document.getElementById("stereogramPolesSelect");
+const stereogramMaxIndexInput = document.getElementById("stereogramMaxIndexInput");
+const stereogramAnglesCheckbox = document.getElementById("stereogramAnglesCheckbox");
+const stereogramReferenceInfo = document.getElementById("stereogramReferenceInfo");
 
 
 // Helper function to display messages
@@ -31,10 +136,39 @@ function showMessage(message, type) {
   messageDisplay.style.color = type === "error" ? "red" : "green";
 }
 
+// List the problems found while reading the file, e.g. "Line 42 · _atom_site_fract_x: Atom O3 skipped: ...";
+// the panel opens by itself when there are errors or warnings
+function showParseDiagnostics(diagnostics) {
+  const counts = ['error', 'warning', 'info'].map(severity => [severity, diagnostics.filter(diagnostic => diagnostic.severity === severity).length])
+    .filter(([, count]) => count > 0);
+  parseDiagnostics.hidden = diagnostics.length === 0;
+  parseDiagnostics.open = counts.some(([severity]) => severity !== 'info');
+  parseDiagnosticsSummary.textContent = `File diagnostics (${counts.map(([severity, count]) => `${count} ${severity}${count > 1 ? 's' : ''}`).join(', ')})`;
+  parseDiagnosticsList.replaceChildren(...diagnostics.map(({ severity, line, tag, message }) => {
+    const item = document.createElement("li");
+    item.className = severity;
+    const location = [line ? `Line ${line}` : null, tag].filter(Boolean).join(' · ');
+    item.textContent = location ? `${location}: ${message}` : message;
+    return item;
+  }));
+}
+
+// A value with its standard uncertainty in the CIF notation, e.g. 4.5937(2); just the value to `digits` decimals without one
+function formatMeasurement(value, uncertainty, digits) {
+  if (value === undefined) return "N/A";
+  if (!(uncertainty > 0)) return value.toFixed(digits);
+  const decimals = Math.max(0, Math.ceil(-Math.log10(uncertainty)));
+  return `${value.toFixed(decimals)}(${Math.round(uncertainty * 10 ** decimals)})`;
+}
+
 // Function to clear summary display
 function clearSummaryDisplay() {
   displaySpaceGroup.textContent = "N/A";
-  displayElements.textContent = "N/A";
+  displayExtinctions.textContent = "N/A";
+  displayComposition.textContent = "N/A";
+  displayFormulaUnits.textContent = "N/A";
+  displayAtomsPerCell.textContent = "N/A";
+  displayCoordination.innerHTML = "<li>N/A</li>";
   displayA.textContent = "N/A";
   displayB.textContent = "N/A";
   displayC.textContent = "N/A";
@@ -43,17 +177,430 @@ function clearSummaryDisplay() {
   displayGamma.textContent = "N/A";
 }
 
-// Function to update the plots and UI based on new plane
+// Collect the radiation and specimen settings for the analysis
+function getAnalysisOptions() {
+  return {
+    radiation: radiationSelect.value,
+    voltage: parseFloat(voltageInput.value),
+    thickness: parseFloat(thicknessInput.value),
+    showHolz: holzCheckbox.checked,
+    dynamical: intensityModelSelect.value === "dynamical",
+    beamCount: parseInt(beamCountInput.value, 10),
+    ionicFormFactors: ionicFactorsCheckbox.checked,
+    // The resolution limit can be entered as max |g| or as min d-spacing (|g| = 1/d)
+    gMax: limitTypeSelect.value === "dMin" ? 1 / parseFloat(limitInput.value) : parseFloat(limitInput.value),
+    cameraLength: parseFloat(cameraLengthInput.value),
+    pixelSize: parseFloat(pixelSizeInput.value),
+    axisUnits: axisUnitsSelect.value,
+    indexType: indexTypeSelect.value,
+    supercell: supercellInputs.map(input => parseInt(input.value, 10)),
+    showBoundaryAtoms: boundaryAtomsCheckbox.checked,
+    showBonds: bondsCheckbox.checked,
+    bondCutoffs: parseBondCutoffs(bondCutoffsInput.value).cutoffs,
+    polyhedraElement: polyhedraSelect.value,
+    atomSize: atomSizeSelect.value,
+    elementColors: elementColorOverrides,
+    transparentBackground: experimentalImage !== null
+  };
+}
+
+// One line per site, e.g. "Ti1: 6 × O (1.946–1.984 Å), octahedral"; sites with the same environment share a line
+function updateCoordinationDisplay() {
+  const environments = getCoordinationEnvironments(
+    currentParsedCifData.atomPositions,
+    getDirectLatticeVectors(currentParsedCifData.cellParameters),
+    parseBondCutoffs(bondCutoffsInput.value).cutoffs
+  );
+  const sitesByEnvironment = new Map();
+  environments.forEach(({ siteLabel, element, text }) => {
+    const key = `${element} ${text}`;
+    if (!sitesByEnvironment.has(key)) sitesByEnvironment.set(key, { text, siteLabels: [] });
+    sitesByEnvironment.get(key).siteLabels.push(siteLabel);
+  });
+  displayCoordination.replaceChildren(...[...sitesByEnvironment.values()].map(({ text, siteLabels }) => {
+    const item = document.createElement("li");
+    item.textContent = `${siteLabels.join(', ')}: ${text}`;
+    return item;
+  }));
+}
+
+// Offer a polyhedra choice and a colour picker for each element of the structure
+function updateElementControls() {
+  const elements = [...new Set(currentParsedCifData.atomPositions.map(atom => atom.label))];
+  polyhedraSelect.replaceChildren(new Option("None", ""), ...elements.map(element => new Option(element, element)));
+  elementColorsContainer.replaceChildren(...elements.flatMap(element => {
+    const label = document.createElement("label");
+    label.textContent = element;
+    const input = document.createElement("input");
+    input.type = "color";
+    input.value = elementColorOverrides[element] || getElementColor(element);
+    label.htmlFor = input.id = `elementColor${element}`;
+    input.addEventListener('change', () => {
+      elementColorOverrides[element] = input.value;
+      updatePlotsAndUI(planeInput.value);
+    });
+    return [label, input];
+  }));
+}
+
+// Collect the source and profile settings for the powder pattern
+function getPowderOptions() {
+  return {
+    source: sourceSelect.value,
+    wavelength: parseFloat(wavelengthInput.value),
+    twoThetaMin: parseFloat(twoThetaMinInput.value),
+    twoThetaMax: parseFloat(twoThetaMaxInput.value),
+    U: parseFloat(cagliotiUInput.value),
+    V: parseFloat(cagliotiVInput.value),
+    W: parseFloat(cagliotiWInput.value),
+    eta: parseFloat(etaInput.value),
+    ionicFormFactors: ionicFactorsCheckbox.checked
+  };
+}
+
+// Show only the controls that apply to the selected view, radiation and source
+function updateRadiationControls() {
+  const isPowder = viewSelect.value === "powder";
+  const isElectron = radiationSelect.value === "electron";
+  const setVisible = (selector, visible) => document.querySelectorAll(selector).forEach(element => {
+    element.style.display = visible ? "" : "none";
+  });
+  setVisible(".zone-only", !isPowder);
+  setVisible(".powder-only", isPowder);
+  setVisible(".electron-only", isElectron);
+  setVisible(".xray-only", isPowder || !isElectron);
+  setVisible(".dynamical-only", !isPowder && isElectron && intensityModelSelect.value === "dynamical");
+  setVisible(".custom-wavelength-only", sourceSelect.value === "custom");
+}
+
+// Hexagonal and trigonal cells (in hexagonal axes) also accept four-index Miller–Bravais input
+function isCurrentCellHexagonal() {
+  return Boolean(currentParsedCifData) && isHexagonalCell(currentParsedCifData.cellParameters);
+}
+
+function updateIndexLabel() {
+  const isDirection = indexTypeSelect.value === "direction";
+  const hexagonal = isCurrentCellHexagonal();
+  planeInputLabel.textContent = isDirection
+    ? (hexagonal ? "u,v,w or u,v,t,w (e.g., 2,-1,-1,0):" : "u,v,w (e.g., 0,0,1):")
+    : (hexagonal ? "h,k,l or h,k,i,l (e.g., 1,0,-1,0):" : "h,k,l (e.g., 0,0,1):");
+}
+
+// Indices for the input field, written in four-index form for hexagonal cells
+function formatIndexInput(indices, kind) {
+  if (!isCurrentCellHexagonal()) return indices.join(',');
+  return (kind === "direction" ? directionToFourIndex(indices) : planeToFourIndex(indices)).join(',');
+}
+
+// File names for downloads start with the name of the structure file
+function getExportBaseName(suffix) {
+  const file = fileInput.files[0];
+  const stem = file ? file.name.replace(/\.[^.]*$/, '') : "structure";
+  return `${stem}_${suffix}`;
+}
+
+// Reflections, chart and calculation conditions of the pattern shown in the diffraction panel
+function getDiffractionExport() {
+  const structure = {
+    spaceGroup: currentParsedCifData.spaceGroupName || null,
+    cellParameters: currentParsedCifData.cellParameters
+  };
+  if (currentPowderPattern) {
+    return {
+      name: "powder",
+      reflections: currentPowderPattern.reflections,
+      chart: currentPowderPattern.chart,
+      metadata: { ...structure, view: "powder", source: currentPowderPattern.source.label, wavelengths: currentPowderPattern.source.lines.map(line => line.wavelength) }
+    };
+  }
+  return {
+    name: `zone_${currentZoneAxis.uvw.join('')}`,
+    reflections: currentZoneAxis.reflections,
+    chart: currentZoneAxis.chart,
+    metadata: {
+      ...structure,
+      view: "zone axis",
+      radiation: currentZoneAxis.radiation,
+      wavelength: currentZoneAxis.wavelength,
+      zoneAxis: currentZoneAxis.uvw,
+      planeNormal: currentZoneAxis.hkl,
+      axisUnitLabel: currentZoneAxis.axisUnitLabel
+    }
+  };
+}
+
+// The zone-axis chart the experimental image is drawn beneath, or null in the powder view
+function getImageOverlayChart() {
+  return viewSelect.value !== "powder" && currentZoneAxis ? currentZoneAxis.chart : null;
+}
+
+// Redraw the experimental image under the zone-axis chart, and show its calibration and goodness of fit
+function updateImageOverlay() {
+  const chart = getImageOverlayChart();
+  if (experimentalImage && chart) {
+    // The scale is per axis unit, so it starts again when the units change
+    if (!imageCalibration) {
+      imageCalibration = { ...getDefaultCalibration(experimentalImage, currentZoneAxis.plotRange), axisUnits: currentZoneAxis.axisUnits };
+    } else if (imageCalibration.axisUnits !== currentZoneAxis.axisUnits) {
+      const { scale } = getDefaultCalibration(experimentalImage, currentZoneAxis.plotRange);
+      imageCalibration = { ...imageCalibration, scale, axisUnits: currentZoneAxis.axisUnits };
+    }
+    imageRotationInput.value = imageCalibration.rotation.toFixed(2);
+    imageScaleInput.value = imageCalibration.scale.toPrecision(5);
+    imageMirrorCheckbox.checked = imageCalibration.mirror;
+  }
+  drawImageUnderlay(experimentalImageCanvas, chart, experimentalImage, imageCalibration, {
+    opacity: parseFloat(imageOpacityInput.value),
+    picks: imagePicks
+  });
+
+  if (!experimentalImage || !chart) {
+    imageFitReport.textContent = "";
+    return;
+  }
+  const { rms, pickCount, correlation, spotCount } = getFitQuality(experimentalImage, currentZoneAxis.spots, imageCalibration, imagePicks);
+  const parts = [`${experimentalImage.name} (${experimentalImage.width} × ${experimentalImage.height})`];
+  if (rms !== null) parts.push(`RMS offset of ${pickCount} picked spot${pickCount === 1 ? "" : "s"} from the simulation: ${rms.toFixed(1)} px`);
+  parts.push(correlation !== null
+    ? `correlation of simulated and measured spot intensities: ${correlation.toFixed(3)} (${spotCount} spots)`
+    : "too few simulated spots on the image to compare intensities");
+  imageFitReport.textContent = parts.join("; ");
+}
+
+// Highlight the pick button of the current mode
+function setImagePickMode(mode) {
+  imagePickMode = mode;
+  pickCenterButton.classList.toggle("active", mode === "center");
+  pickSpotsButton.classList.toggle("active", mode === "spots");
+}
+
+// Stereographic projection centred on the current zone axis; clicking a pole switches to its zone
+function updateStereogram() {
+  if (!currentParsedCifData || !currentZoneAxis) return;
+  const maxIndex = parseInt(stereogramMaxIndexInput.value, 10);
+  if (!(maxIndex >= 1 && maxIndex <= MAX_POLE_INDEX)) {
+    showMessage(`Max index must be between 1 and ${MAX_POLE_INDEX}.`, "error");
+    return;
+  }
+  plotStereographicProjection("stereogramCanvas", currentParsedCifData, currentZoneAxis.uvw, {
+    maxIndex,
+    poles: stereogramPolesSelect.value,
+    showAngles: stereogramAnglesCheckbox.checked,
+    referencePole: stereogramReferencePole
+  });
+  stereogramReferenceInfo.textContent = stereogramReferencePole
+    ? `Hover over a pole for its angle from ${describeIndices(stereogramReferencePole.indices, stereogramReferencePole.kind, isCurrentCellHexagonal())}; shift-click it again to stop.`
+    : "Shift-click a pole to measure the angles of the others from it.";
+  if (!stereogramClickListenerAdded) {
+    stereogramCanvas.on('plotly_click', (eventdata) => {
+      const pole = eventdata.points[0] && eventdata.points[0].customdata;
+      if (!pole || !currentParsedCifData) return;
+      // Shift-click picks the pole the angles are measured from, or drops it when it is picked again
+      if (eventdata.event && eventdata.event.shiftKey) {
+        const isReference = stereogramReferencePole && stereogramReferencePole.kind === pole.kind
+          && stereogramReferencePole.indices.every((value, i) => value === pole.indices[i]);
+        stereogramReferencePole = isReference ? null : pole;
+        updateStereogram();
+        return;
+      }
+      indexTypeSelect.value = pole.kind;
+      updateIndexLabel();
+      updatePlotsAndUI(formatIndexInput(pole.indices, pole.kind));
+    });
+    stereogramClickListenerAdded = true;
+  }
+}
+
+// Intensity against thickness for the chosen reflections of the Bloch-wave calculation; false if it cannot be drawn
+function updateThicknessSeries() {
+  const dynamical = currentZoneAxis && viewSelect.value !== "powder" ? currentZoneAxis.dynamical : null;
+  if (!dynamical) {
+    thicknessSeriesCanvas.replaceChildren();
+    thicknessSeriesShown = false;
+    return false;
+  }
+  const entries = seriesReflectionsInput.value.split(';').map(entry => entry.trim()).filter(entry => entry !== '');
+  const hexagonal = isCurrentCellHexagonal();
+  const reflections = entries.map(parseIndices);
+  const invalid = entries.filter((entry, i) => !reflections[i] || (reflections[i].length === 4 && !(hexagonal && isConsistentFourIndex(reflections[i]))));
+  const maxThickness = parseFloat(seriesMaxThicknessInput.value);
+  if (invalid.length > 0 || !(maxThickness > 0)) {
+    showMessage(invalid.length > 0
+      ? `Could not read ${invalid.join('; ')}; separate reflections with semicolons, e.g. 1,1,0; 2,0,0.`
+      : "The largest thickness must be a positive number of nm.", "error");
+    return false;
+  }
+  const { missing } = plotThicknessSeries("thicknessSeriesCanvas", dynamical,
+    reflections.map(indices => (indices.length === 4 ? planeFromFourIndex(indices) : indices)), maxThickness * 10);
+  thicknessSeriesShown = true;
+  if (missing.length > 0) {
+    showMessage(`${missing.map(hkl => formatIndices(hkl, "plane")).join(', ')} not among the ${dynamical.beams.length} beams of the calculation.`, "error");
+  }
+  return true;
+}
+
+// Index measured spots (g vectors in Angstrom^-1) against the structure, list the candidates and show the best one
+function showIndexingResults(measuredSpots) {
+  const candidates = indexSpotPattern(currentParsedCifData, measuredSpots, {
+    dTolerance: parseFloat(indexDToleranceInput.value),
+    angleTolerance: parseFloat(indexAngleToleranceInput.value)
+  });
+  indexingResults.replaceChildren();
+  if (candidates.length === 0) {
+    showMessage("No zone axis matches the measured spots; try larger tolerances.", "error");
+    return;
+  }
+  const hexagonal = isCurrentCellHexagonal();
+  const showZoneAxis = (uvw) => {
+    indexTypeSelect.value = "direction";
+    updateIndexLabel();
+    updatePlotsAndUI(formatIndexInput(uvw, "direction"));
+  };
+  candidates.forEach(({ uvw, hkl, dError, angleError }) => {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.textContent = describeIndices(uvw, "direction", hexagonal);
+    button.addEventListener("click", () => showZoneAxis(uvw));
+    item.append(button, `${hkl.map(indices => formatIndices(indices, "plane")).join(", ")}; `
+      + `d error ${dError.toFixed(2)} %, angle error ${angleError.toFixed(2)}°`);
+    indexingResults.appendChild(item);
+  });
+  showZoneAxis(candidates[0].uvw);
+  showMessage(`Best match: zone axis ${describeIndices(candidates[0].uvw, "direction", hexagonal)}.`, "success");
+}
+
+// The structure factor table the view needs: X-ray reflections up to the largest 2θ for the powder pattern, and for
+// the zone-axis pattern every reflection it can include, Bloch-wave couplings and HOLZ reflections among them
+function getStructureFactorTableOptions(parsedData, planeStr) {
+  if (viewSelect.value === "powder") {
+    const powderOptions = getPowderOptions();
+    return { gLimit: getPowderGLimit(powderOptions), radiation: "xray", ionicFormFactors: powderOptions.ionicFormFactors };
+  }
+  const options = getAnalysisOptions();
+  let gLimit;
+  try {
+    gLimit = getStructureFactorLimit(parsedData.cellParameters, planeStr, options);
+  } catch (error) {
+    gLimit = options.gMax > 0 ? options.gMax : DEFAULT_G_MAX; // the analysis reports the invalid zone axis
+  }
+  return { gLimit, radiation: options.radiation, ionicFormFactors: options.ionicFormFactors };
+}
+
+function setComputationProgress(fraction) {
+  computationProgressGroup.hidden = fraction === null;
+  if (fraction !== null) computationProgress.value = fraction;
+}
+
+// Function to update the plots and UI based on new plane. Structure factors are computed once per structure in a
+// Web Worker; until they arrive the views wait, and then show the zone axis entered last.
 function updatePlotsAndUI(planeStr) {
-    if (currentParsedCifData) {
-        // Update the Miller Plane input field
-        planeInput.value = planeStr;
-        // Re-run analysis with the new plane input
-        performCrystallographicAnalysis(currentParsedCifData, planeStr, showMessage);
-        showMessage("Diffraction view updated!", "success");
-    } else {
-        showMessage("Please upload a CIF file first.", "error");
+    if (!currentParsedCifData) {
+        showMessage("Please upload a structure file first.", "error");
+        return;
+    }
+    // Update the Miller Plane input field
+    planeInput.value = planeStr;
+    const parsedData = currentParsedCifData;
+    // The structure view needs no structure factors, so it follows the zone axis at once
+    if (plotStructureView(parsedData, planeStr, showMessage, getAnalysisOptions())) addStructureCameraListener();
+    const tableOptions = getStructureFactorTableOptions(parsedData, planeStr);
+    const table = getCachedStructureFactorTable(parsedData, tableOptions);
+    const reciprocalLatticeVectors = getReciprocalLatticeVectors(getDirectLatticeVectors(parsedData.cellParameters));
+    if (table || !reciprocalLatticeVectors) {
+        showAnalysis(table); // without lattice vectors the analysis reports the problem
+        return;
     }
+    setComputationProgress(0);
+    requestStructureFactorTable(parsedData, reciprocalLatticeVectors, tableOptions, setComputationProgress)
+        .then(() => {
+            setComputationProgress(null);
+            // The settings may have changed meanwhile; this finds the table for them or asks for it
+            if (parsedData === currentParsedCifData) updatePlotsAndUI(planeInput.value);
+        })
+        .catch(error => {
+            // Cancelled jobs were either replaced by a newer one or stopped with the Cancel button
+            if (error.name === 'AbortError') return;
+            setComputationProgress(null);
+            showMessage(`Structure factor calculation failed: ${error.message}`, "error");
+        });
+}
+
+// Follow the structure view's camera: the direction it looks along becomes the zone axis (or plane normal) of the pattern
+function addStructureCameraListener() {
+  if (structureCameraListenerAdded) return;
+  // The following piece of code is AI generated. 
+  structureCanvas.on('plotly_relayout', (eventdata) => {
+    // Check if the event data contains camera information, which is typically under 'scene.camera.eye'
+    // or directly 'scene.camera' if the entire camera object is updated.
+    if (eventdata['scene.camera.eye'] || (eventdata['scene.camera'] && eventdata['scene.camera'].eye)) {
+        clearTimeout(debounceTimeoutForCamera);
+        debounceTimeoutForCamera = setTimeout(() => {
+            const newCameraEye = eventdata['scene.camera.eye'] || eventdata['scene.camera'].eye;
+
+            if (newCameraEye && currentParsedCifData) {
+                // Get direct and reciprocal lattice vectors from the parsed data
+                // These are needed for the Miller index conversion
+                const directLatticeVectors = getDirectLatticeVectors(currentParsedCifData.cellParameters);
+                const reciprocalLatticeVectors = getReciprocalLatticeVectors(directLatticeVectors);
+
+                if (!directLatticeVectors || !reciprocalLatticeVectors) {
+                    console.error("Lattice vectors not available for camera conversion.");
+                    return;
+                }
+
+                // The view direction as a zone axis [uvw] or as the normal of a plane (hkl), following the input mode
+                const indexType = indexTypeSelect.value;
+                const millerIndices = (indexType === "direction" ? getZoneAxisFromCamera : getMillerIndicesFromCamera)(
+                    newCameraEye,
+                    directLatticeVectors,
+                    reciprocalLatticeVectors
+                );
+
+                if (millerIndices && millerIndices.length === 3 && millerIndices.some(value => value !== 0)) {
+                    const hklString = formatIndexInput(millerIndices, indexType);
+                    // Update UI and re-plot
+                    updatePlotsAndUI(hklString);
+                } else {
+                    console.warn("Could not derive valid Miller indices from camera position.");
+                }
+            }
+        }, 200); // Debounce time for camera updates (200ms)
+    }
+  });
+  structureCameraListenerAdded = true;
+}
+
+// The zone axis and plane normal of the input field; plotStructureView has reported an invalid one
+function getPowderViewZoneAxis() {
+    try {
+        return getZoneAxisGeometry(currentParsedCifData.cellParameters, planeInput.value, indexTypeSelect.value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Run the analysis for the zone axis in the input field. In powder mode the 2-theta pattern replaces the zone-axis
+// pattern in the diffraction panel, so only the geometry of the zone axis is worked out, for the stereogram.
+function showAnalysis(structureFactorTable) {
+    const isPowder = viewSelect.value === "powder";
+    currentZoneAxis = (isPowder
+        ? getPowderViewZoneAxis()
+        : performCrystallographicAnalysis(currentParsedCifData, planeInput.value, showMessage, { ...getAnalysisOptions(), structureFactorTable })) || null;
+    // Show the zone axis and the plane normal to it, whichever of the two was entered
+    indexConversion.textContent = currentZoneAxis
+        ? `Beam ∥ ${describeIndices(currentZoneAxis.uvw, 'direction', currentZoneAxis.hexagonal)}, `
+          + (currentZoneAxis.zoneAxisTilt > 0.01 ? `${currentZoneAxis.zoneAxisTilt.toFixed(2)}° from normal` : "normal")
+          + ` to ${describeIndices(currentZoneAxis.hkl, 'plane', currentZoneAxis.hexagonal)}`
+        : "";
+    currentPowderPattern = isPowder
+        ? performPowderAnalysis(currentParsedCifData, showMessage, { ...getPowderOptions(), structureFactorTable })
+        : null;
+    updateImageOverlay();
+    updateStereogram();
+    if (thicknessSeriesShown) updateThicknessSeries();
+    // The first view of a new file keeps the file's message, e.g. that it was read with warnings
+    showMessage(fileLoadMessage ?? "Diffraction view updated!", "success");
+    fileLoadMessage = null;
 }
 
 
@@ -61,12 +608,16 @@ function updatePlotsAndUI(planeStr) {
 function handleFileSelection(event) {
   const file = event.target.files[0];
   messageDisplay.textContent = ""; // Clear previous messages
+  fileLoadMessage = null;
+  showParseDiagnostics([]);
   clearSummaryDisplay(); // Clear summary on new file selection
+  indexingResults.replaceChildren(); // Indexing results belong to the previous structure
+  stereogramReferencePole = null; // and so does the reference pole of the stereogram
   statusDisplay.textContent = "Processing file...";
 
   if (!file) {
     showMessage("No file selected. Please choose a file.", "error");
-    statusDisplay.textContent = "Upload a CIF file to begin.";
+    statusDisplay.textContent = "Upload a structure file to begin.";
     return;
   }
 
@@ -75,75 +626,64 @@ function handleFileSelection(event) {
     const cifInfo = reader.result.toString();
     // console.log("CIF Content (raw):\n", cifInfo); // for debugging
 
-    currentParsedCifData = parseCifInfo(cifInfo); // Call the parsing function
+    // CIF, POSCAR/CONTCAR, XYZ/extended XYZ, PDB or SHELX .res/.ins, recognized by extension and content
+    const { data, diagnostics } = readStructureFile(file.name, cifInfo); // Call the parsing function
+    currentParsedCifData = data;
+    showParseDiagnostics(diagnostics);
 
     if (!currentParsedCifData) {
-      showMessage("Failed to parse CIF file. Check console for details.", "error");
-      statusDisplay.textContent = "Error parsing CIF file.";
+      const firstError = diagnostics.find(diagnostic => diagnostic.severity === 'error');
+      showMessage(`Failed to parse the structure file: ${firstError.message}`, "error");
+      statusDisplay.textContent = "Error parsing structure file.";
       return;
     }
 
     // Display the the parsed information
     displaySpaceGroup.textContent = currentParsedCifData.spaceGroupName || "N/A";
-    let elementsDisplay = [];
-    if (currentParsedCifData.chemicalComponents.element1) elementsDisplay.push(currentParsedCifData.chemicalComponents.element1);
-    if (currentParsedCifData.chemicalComponents.element2) elementsDisplay.push(currentParsedCifData.chemicalComponents.element2);
-    displayElements.textContent = elementsDisplay.join(', ') || "N/A";
-
-    displayA.textContent = currentParsedCifData.cellParameters.a !== undefined ? currentParsedCifData.cellParameters.a.toFixed(4) : "N/A";
-    displayB.textContent = currentParsedCifData.cellParameters.b !== undefined ? currentParsedCifData.cellParameters.b.toFixed(4) : "N/A";
-    displayC.textContent = currentParsedCifData.cellParameters.c !== undefined ? currentParsedCifData.cellParameters.c.toFixed(4) : "N/A";
-    displayAlpha.textContent = currentParsedCifData.cellParameters.alpha !== undefined ? currentParsedCifData.cellParameters.alpha.toFixed(2) : "N/A";
-    displayBeta.textContent = currentParsedCifData.cellParameters.beta !== undefined ? currentParsedCifData.cellParameters.beta.toFixed(2) : "N/A";
-    displayGamma.textContent = currentParsedCifData.cellParameters.gamma !== undefined ? currentParsedCifData.cellParameters.gamma.toFixed(2) : "N/A";
-
-    // Initial plotting
+
+    // Reflection conditions from centring, screw axes and glide planes
+    const extinctionConditions = getExtinctionConditions(currentParsedCifData.symmetryMatrices);
+    displayExtinctions.textContent = extinctionConditions.length > 0
+        ? extinctionConditions.map(condition => condition.text).join('; ')
+        : "none (no centring, screw axes or glide planes)";
+    // Cell contents of every element, e.g. "Ti2O4 per cell (Ti4+, O2-)", and Z formula units of the file's formula
+    const cellContents = getCellContents(currentParsedCifData.atomPositions);
+    const species = cellContents.flatMap(({ element, oxidationStates }) => oxidationStates.map(state => formatSpecies(element, state)));
+    displayComposition.textContent = `${formatFormula(cellContents.map(({ element, count }) => ({ element, number: count })))} per cell`
+        + (species.length > 0 ? ` (${species.join(', ')})` : "");
+    const { z, formula } = getFormulaUnits(currentParsedCifData);
+    displayFormulaUnits.textContent = `${z} × ${formatFormula(formula)}`;
+
+    // Unique sites after symmetry expansion; partially occupied sites also show the occupancy-weighted count
+    const atomCount = currentParsedCifData.atomPositions.length;
+    const occupiedCount = currentParsedCifData.atomPositions.reduce((sum, atom) => sum + (atom.occupancy ?? 1), 0);
+    displayAtomsPerCell.textContent = Math.abs(occupiedCount - atomCount) > 1e-6
+        ? `${atomCount} sites (${occupiedCount.toFixed(2)} atoms by occupancy)`
+        : `${atomCount}`;
+
+    // Cell parameters, with their standard uncertainties where the file gives them
+    const { cellParameters, cellParameterUncertainties = {} } = currentParsedCifData;
+    displayA.textContent = formatMeasurement(cellParameters.a, cellParameterUncertainties.a, 4);
+    displayB.textContent = formatMeasurement(cellParameters.b, cellParameterUncertainties.b, 4);
+    displayC.textContent = formatMeasurement(cellParameters.c, cellParameterUncertainties.c, 4);
+    displayAlpha.textContent = formatMeasurement(cellParameters.alpha, cellParameterUncertainties.alpha, 2);
+    displayBeta.textContent = formatMeasurement(cellParameters.beta, cellParameterUncertainties.beta, 2);
+    displayGamma.textContent = formatMeasurement(cellParameters.gamma, cellParameterUncertainties.gamma, 2);
+
+    updateElementControls();
+    updateCoordinationDisplay();
+
+    fileLoadMessage = diagnostics.some(diagnostic => diagnostic.severity === 'warning')
+        ? `${STRUCTURE_FORMAT_NAMES[currentParsedCifData.format]} file processed with warnings; see the file diagnostics.`
+        : `${STRUCTURE_FORMAT_NAMES[currentParsedCifData.format]} file processed successfully!`;
+    showMessage(fileLoadMessage, "success");
+
+    // Initial plotting; the previous zone axis no longer applies while the structure factors are computed
+    currentZoneAxis = null;
+    updateIndexLabel();
     updatePlotsAndUI(planeInput.value);
 
-    showMessage("CIF file processed successfully!", "success");
-    statusDisplay.textContent = "CIF file loaded. View crystal structure and diffraction pattern.";
-
-    // The following piece of code is AI generated. 
-    // --- NEW: Add Plotly camera listener after the chart is initialized ---
-    // This listener should be added only once the Plotly div is ready and plot is created.
-    // Plotly.react ensures the div is ready.
-    structureCanvas.on('plotly_relayout', (eventdata) => {
-        // Check if the event data contains camera information, which is typically under 'scene.camera.eye'
-        // or directly 'scene.camera' if the entire camera object is updated.
-        if (eventdata['scene.camera.eye'] || (eventdata['scene.camera'] && eventdata['scene.camera'].eye)) {
-            clearTimeout(debounceTimeoutForCamera);
-            debounceTimeoutForCamera = setTimeout(() => {
-                const newCameraEye = eventdata['scene.camera.eye'] || eventdata['scene.camera'].eye;
-
-                if (newCameraEye && currentParsedCifData) {
-                    // Get direct and reciprocal lattice vectors from the parsed data
-                    // These are needed for the Miller index conversion
-                    const directLatticeVectors = getDirectLatticeVectors(currentParsedCifData.cellParameters);
-                    const reciprocalLatticeVectors = getReciprocalLatticeVectors(directLatticeVectors);
-
-                    if (!directLatticeVectors || !reciprocalLatticeVectors) {
-                        console.error("Lattice vectors not available for camera conversion.");
-                        return;
-                    }
-
-                    const millerIndices = getMillerIndicesFromCamera(
-                        newCameraEye,
-                        directLatticeVectors,
-                        reciprocalLatticeVectors
-                    );
-
-                    if (millerIndices && millerIndices.length === 3) {
-                        const hklString = `${millerIndices[0]},${millerIndices[1]},${millerIndices[2]}`;
-                        console.log("Derived HKL from camera:", hklString);
-                        // Update UI and re-plot
-                        updatePlotsAndUI(hklString);
-                    } else {
-                        console.warn("Could not derive valid Miller indices from camera position.");
-                    }
-                }
-            }, 200); // Debounce time for camera updates (200ms)
-        }
-    });
+    statusDisplay.textContent = "Structure loaded. View crystal structure and diffraction pattern.";
 
   };
 
@@ -163,12 +703,336 @@ updatePlotButton.addEventListener('click', () => {
     if (currentParsedCifData) {
         updatePlotsAndUI(planeInput.value);
     } else {
-        showMessage("Please upload a CIF file first.", "error");
+        showMessage("Please upload a structure file first.", "error");
+    }
+});
+
+// Switching between zone axis and plane normal keeps the same beam direction
+indexTypeSelect.addEventListener('change', () => {
+    updateIndexLabel();
+    if (currentParsedCifData && currentZoneAxis) {
+        const isDirection = indexTypeSelect.value === "direction";
+        const indices = isDirection ? currentZoneAxis.uvw : currentZoneAxis.hkl;
+        updatePlotsAndUI(formatIndexInput(indices, indexTypeSelect.value));
     }
 });
 
+// Radiation type and accelerating voltage
+radiationSelect.addEventListener('change', () => {
+    updateRadiationControls();
+    if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+});
+
+voltageInput.addEventListener('change', () => {
+    const voltage = parseFloat(voltageInput.value);
+    if (!(voltage > 0)) {
+        showMessage("Accelerating voltage must be a positive number of kV.", "error");
+        return;
+    }
+    if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+});
+
+thicknessInput.addEventListener('change', () => {
+    const thickness = parseFloat(thicknessInput.value);
+    if (!(thickness > 0)) {
+        showMessage("Specimen thickness must be a positive number of nm.", "error");
+        return;
+    }
+    if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+});
+
+intensityModelSelect.addEventListener('change', () => {
+    updateRadiationControls();
+    if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+});
+
+beamCountInput.addEventListener('change', () => {
+    const beamCount = parseInt(beamCountInput.value, 10);
+    if (!(beamCount >= 2 && beamCount <= MAX_BEAM_COUNT)) {
+        showMessage(`The number of beams must be between 2 and ${MAX_BEAM_COUNT}.`, "error");
+        return;
+    }
+    if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+});
+
+plotSeriesButton.addEventListener('click', () => {
+    if (!currentParsedCifData) {
+        showMessage("Please upload a structure file first.", "error");
+        return;
+    }
+    if (!updateThicknessSeries() && !(currentZoneAxis && currentZoneAxis.dynamical)) {
+        showMessage("Choose dynamical intensities for a zone-axis pattern first.", "error");
+    }
+});
+
+[holzCheckbox, ionicFactorsCheckbox].forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+        if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+    });
+});
+
+// Bonds, polyhedra and atom styling; new cutoffs also change the coordination in the summary
+[bondsCheckbox, polyhedraSelect, atomSizeSelect].forEach(input => {
+    input.addEventListener('change', () => {
+        if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+    });
+});
+
+resetColorsButton.addEventListener('click', () => {
+    elementColorOverrides = {};
+    if (currentParsedCifData) {
+        updateElementControls();
+        updatePlotsAndUI(planeInput.value);
+    }
+});
+
+bondCutoffsInput.addEventListener('change', () => {
+    const { invalid } = parseBondCutoffs(bondCutoffsInput.value);
+    if (invalid.length > 0) {
+        showMessage(`Could not read the bond cutoffs ${invalid.join(', ')}; use entries like "Ti-O 2.3".`, "error");
+        return;
+    }
+    if (currentParsedCifData) {
+        updateCoordinationDisplay();
+        updatePlotsAndUI(planeInput.value);
+    }
+});
+
+// Structure view: number of cells along a, b, c and atoms repeated on the cell boundaries
+[...supercellInputs, boundaryAtomsCheckbox].forEach(input => {
+    input.addEventListener('change', () => {
+        const counts = supercellInputs.map(cellInput => Number(cellInput.value));
+        if (counts.some(count => !(Number.isInteger(count) && count >= 1 && count <= MAX_SUPERCELL))) {
+            showMessage(`The number of cells along each axis must be a whole number from 1 to ${MAX_SUPERCELL}.`, "error");
+            return;
+        }
+        if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+    });
+});
+
+// Pattern settings: resolution limit and detector geometry
+limitTypeSelect.addEventListener('change', () => {
+    // Keep the same limit, expressed in the other quantity
+    const value = parseFloat(limitInput.value);
+    if (value > 0) limitInput.value = parseFloat((1 / value).toPrecision(4));
+    if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+});
+
+[limitInput, cameraLengthInput, pixelSizeInput, axisUnitsSelect].forEach(input => {
+    input.addEventListener('change', () => {
+        if (!(parseFloat(limitInput.value) > 0)) {
+            showMessage("The resolution limit must be a positive number.", "error");
+            return;
+        }
+        if (cameraLengthInput.value !== "" && !(parseFloat(cameraLengthInput.value) > 0)) {
+            showMessage("Camera length must be a positive number of mm, or left blank.", "error");
+            return;
+        }
+        if (!(parseFloat(pixelSizeInput.value) > 0)) {
+            showMessage("Pixel size must be a positive number of µm.", "error");
+            return;
+        }
+        if (axisUnitsSelect.value !== "reciprocal" && !(parseFloat(cameraLengthInput.value) > 0)) {
+            showMessage("Enter a camera length to label the axes in mm or pixels.", "error");
+            return;
+        }
+        if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+    });
+});
+
+// View mode and powder settings
+[viewSelect, sourceSelect].forEach(select => select.addEventListener('change', () => {
+    updateRadiationControls();
+    if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+}));
+
+[wavelengthInput, twoThetaMinInput, twoThetaMaxInput, cagliotiUInput, cagliotiVInput, cagliotiWInput, etaInput].forEach(input => {
+    input.addEventListener('change', () => {
+        const options = getPowderOptions();
+        if (!(options.twoThetaMax > options.twoThetaMin) || Object.values(options).some(value => Number.isNaN(value))) {
+            showMessage("Powder settings must be numbers, with the 2θ range running from low to high.", "error");
+            return;
+        }
+        if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+    });
+});
+
+// Downloads of the reflection list and the two views
+[exportCsvButton, exportJsonButton, exportDiffractionButton, exportStructureButton].forEach(button => {
+    button.addEventListener('click', () => {
+        if (!currentParsedCifData || !currentZoneAxis) {
+            showMessage("Please upload a structure file first.", "error");
+            return;
+        }
+        const { name, reflections, chart, metadata } = getDiffractionExport();
+        if (button === exportCsvButton) {
+            downloadFile(`${getExportBaseName(name)}_reflections.csv`, formatReflectionsCsv(reflections, metadata), "text/csv");
+        } else if (button === exportJsonButton) {
+            downloadFile(`${getExportBaseName(name)}_reflections.json`, formatReflectionsJson(reflections, metadata), "application/json");
+        } else if (button === exportDiffractionButton) {
+            exportChartImage(chart, imageFormatSelect.value, getExportBaseName(name));
+        } else {
+            exportPlotlyImage(structureCanvas, imageFormatSelect.value, getExportBaseName("structure"))
+                .catch(error => showMessage(`Could not export the structure view: ${error.message}`, "error"));
+        }
+    });
+});
+
+// The whole unit cell of the current structure, expanded to P1; POSCAR and XYZ files leave some of it out
+exportStructureFileButton.addEventListener('click', () => {
+    if (!currentParsedCifData) {
+        showMessage("Please upload a structure file first.", "error");
+        return;
+    }
+    const format = STRUCTURE_EXPORT_FORMATS[structureFormatSelect.value];
+    const baseName = getExportBaseName("P1");
+    downloadFile(`${baseName}.${format.extension}`, formatStructureFile(currentParsedCifData, structureFormatSelect.value, baseName), format.mimeType);
+    const warning = getExportWarning(currentParsedCifData, structureFormatSelect.value);
+    if (warning) showMessage(warning, "error");
+});
+
+// Experimental image beneath the zone-axis pattern: load, calibrate by picking spots, and fit
+experimentalImageInput.addEventListener('change', () => {
+    const file = experimentalImageInput.files[0];
+    if (!file) return;
+    loadExperimentalImage(file)
+        .then(image => {
+            experimentalImage = image;
+            imageCalibration = null;
+            imagePicks = [];
+            setImagePickMode(null);
+            if (currentParsedCifData) {
+                updatePlotsAndUI(planeInput.value);
+            } else {
+                showMessage("Image loaded; upload a structure file to compare it with.", "success");
+            }
+        })
+        .catch(error => showMessage(`Could not read the image: ${error.message}`, "error"));
+});
+
+removeImageButton.addEventListener('click', () => {
+    experimentalImage = null;
+    imageCalibration = null;
+    imagePicks = [];
+    experimentalImageInput.value = "";
+    setImagePickMode(null);
+    if (currentParsedCifData) updatePlotsAndUI(planeInput.value);
+});
+
+[pickCenterButton, pickSpotsButton].forEach(button => {
+    button.addEventListener('click', () => {
+        if (!experimentalImage || !getImageOverlayChart()) {
+            showMessage("Load an experimental image over a zone-axis pattern first.", "error");
+            return;
+        }
+        const mode = button === pickCenterButton ? "center" : "spots";
+        setImagePickMode(imagePickMode === mode ? null : mode);
+    });
+});
+
+clearPicksButton.addEventListener('click', () => {
+    imagePicks = [];
+    updateImageOverlay();
+});
+
+// Clicks on the pattern pick the direct beam or a diffraction spot on the image beneath
+diffractionCanvas.addEventListener('click', event => {
+    const chart = getImageOverlayChart();
+    if (!imagePickMode || !experimentalImage || !chart) return;
+    const bounds = diffractionCanvas.getBoundingClientRect();
+    const point = chartPixelToSimulation(chart, [event.clientX - bounds.left, event.clientY - bounds.top]);
+    if (point.some(value => Math.abs(value) > currentZoneAxis.plotRange)) return; // outside the plot area
+    const [u, v] = simulationToImage(point, imageCalibration);
+    if (imagePickMode === "center") {
+        imageCalibration = { ...imageCalibration, centerX: u, centerY: v };
+        setImagePickMode(null);
+    } else {
+        imagePicks.push([u, v]);
+    }
+    updateImageOverlay();
+});
+
+fitImageButton.addEventListener('click', () => {
+    if (!experimentalImage || !getImageOverlayChart()) {
+        showMessage("Load an experimental image over a zone-axis pattern first.", "error");
+        return;
+    }
+    const fitted = fitCalibration(imagePicks, currentZoneAxis.spots, imageCalibration);
+    if (!fitted) {
+        showMessage("Pick the centre and at least one diffraction spot on the image before fitting.", "error");
+        return;
+    }
+    imageCalibration = { ...fitted, axisUnits: imageCalibration.axisUnits };
+    setImagePickMode(null);
+    updateImageOverlay();
+    showMessage("Simulation fitted to the picked spots.", "success");
+});
+
+[imageRotationInput, imageScaleInput, imageMirrorCheckbox].forEach(input => {
+    input.addEventListener('change', () => {
+        if (!imageCalibration) return;
+        const rotation = parseFloat(imageRotationInput.value);
+        const scale = parseFloat(imageScaleInput.value);
+        if (!Number.isFinite(rotation) || !(scale > 0)) {
+            showMessage("Rotation must be a number and scale a positive number.", "error");
+            return;
+        }
+        imageCalibration = { ...imageCalibration, rotation, scale, mirror: imageMirrorCheckbox.checked };
+        updateImageOverlay();
+    });
+});
+
+imageOpacityInput.addEventListener('input', updateImageOverlay);
+
+cancelComputationButton.addEventListener('click', () => {
+    if (cancelStructureFactorTable()) {
+        setComputationProgress(null);
+        showMessage("Structure factor calculation cancelled.", "error");
+    }
+});
+
+[stereogramPolesSelect, stereogramMaxIndexInput, stereogramAnglesCheckbox].forEach(input => {
+    input.addEventListener('change', updateStereogram);
+});
+
+// Indexing of spots typed as d-spacings and angles, or picked on the experimental image
+indexTypedSpotsButton.addEventListener('click', () => {
+    if (!currentParsedCifData) {
+        showMessage("Please upload a structure file first.", "error");
+        return;
+    }
+    const { spots, invalid } = parseMeasuredSpots(measuredSpotsInput.value);
+    if (invalid.length > 0) {
+        showMessage(`Could not read ${invalid.join(', ')}; enter spots as d@angle, e.g. 3.25, 2.49@67.8.`, "error");
+        return;
+    }
+    if (spots.length < 2) {
+        showMessage("Enter at least two spots.", "error");
+        return;
+    }
+    showIndexingResults(spots);
+});
+
+// Picked spots are measured from the picked centre, with the current scale, rotation and mirror of the image
+indexPickedSpotsButton.addEventListener('click', () => {
+    if (!experimentalImage || !getImageOverlayChart()) {
+        showMessage("Load an experimental image over a zone-axis pattern first.", "error");
+        return;
+    }
+    if (imagePicks.length < 2) {
+        showMessage("Pick the centre and at least two diffraction spots on the image.", "error");
+        return;
+    }
+    const axisScale = currentZoneAxis.axisScale;
+    showIndexingResults(imagePicks.map(pick => imageToSimulation(pick, imageCalibration).map(value => value / axisScale)));
+});
+
+// The chart is redrawn at the new size, so the image beneath it has to follow
+window.addEventListener('resize', () => requestAnimationFrame(updateImageOverlay));
+
+updateRadiationControls();
 
 // Initial message
 window.addEventListener('load', () => {
-    statusDisplay.textContent = 'Upload a CIF file to begin.';
+    statusDisplay.textContent = 'Upload a structure file to begin.';
 });
\ No newline at end of file
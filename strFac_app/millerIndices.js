@@ -0,0 +1,92 @@
+// millerIndices.js
+// Index notation for lattice directions [uvw] and plane normals (hkl), including the four-index
+// Miller–Bravais form [uvtw] / (hkil) used for hexagonal and trigonal cells, where t = -(u+v) and i = -(h+k).
+
+export function greatestCommonDivisor(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+// Divide integer indices by their common factor, e.g. [2, 0, -4] -> [1, 0, -2]
+export function reduceIndices(indices) {
+    const divisor = indices.reduce((d, value) => greatestCommonDivisor(d, value), 0) || 1;
+    return indices.map(value => value / divisor);
+}
+
+// Symmetry-equivalent reflections: hkl transforms as h' = R^T h under each rotation, plus Friedel's law (-h).
+// The number of distinct results is the multiplicity of the reflection.
+export function getEquivalentReflections(hkl, rotations) {
+    const equivalents = new Map();
+    rotations.forEach(rotation => {
+        const transformed = [0, 1, 2].map(j => rotation[0][j] * hkl[0] + rotation[1][j] * hkl[1] + rotation[2][j] * hkl[2]);
+        [transformed, transformed.map(v => -v)].forEach(index => equivalents.set(index.join(','), index));
+    });
+    return [...equivalents.values()];
+}
+
+// Hexagonal axes: a = b, alpha = beta = 90, gamma = 120 (this includes trigonal groups in the H setting)
+export function isHexagonalCell(cellParameters) {
+    if (!cellParameters) return false;
+    const { a, b, alpha, beta, gamma } = cellParameters;
+    const close = (x, y) => Math.abs(x - y) < 1e-3 * Math.max(1, Math.abs(x));
+    return close(a, b) && close(alpha, 90) && close(beta, 90) && close(gamma, 120);
+}
+
+/**
+ * Parse three or four integer indices, e.g. "1,0,0", "1 1 -2 0", "[1,1,0]" or "(1 0 -1 2)".
+ *
+ * @param {string} text - Indices separated by commas or spaces, optionally in brackets.
+ * @returns {Array<number>|null} - The indices, or null if the text is not 3 or 4 integers (not all zero).
+ */
+export function parseIndices(text) {
+    const parts = String(text).replace(/[()[\]<>{}]/g, ' ').split(/[\s,]+/).filter(part => part !== '');
+    if (parts.length !== 3 && parts.length !== 4) return null;
+    const indices = parts.map(Number);
+    if (indices.some(value => !Number.isInteger(value)) || indices.every(value => value === 0)) return null;
+    return indices;
+}
+
+// The redundant third index of a four-index symbol must be minus the sum of the first two
+export function isConsistentFourIndex(indices) {
+    return indices.length === 4 && indices[2] === -(indices[0] + indices[1]);
+}
+
+// [uvtw] -> [uvw]: u = U - T, v = V - T, w = W
+export function directionFromFourIndex([u, v, t, w]) {
+    return reduceIndices([u - t, v - t, w]);
+}
+
+// [uvw] -> [uvtw]: U = (2u - v)/3, V = (2v - u)/3, T = -(u + v)/3, W = w, scaled to integers
+export function directionToFourIndex([u, v, w]) {
+    return reduceIndices([2 * u - v, 2 * v - u, -(u + v), 3 * w]);
+}
+
+// (hkil) -> (hkl): i is redundant
+export function planeFromFourIndex([h, k, , l]) {
+    return [h, k, l];
+}
+
+// (hkl) -> (hkil)
+export function planeToFourIndex([h, k, l]) {
+    return [h, k, -(h + k), l];
+}
+
+/**
+ * Write indices as [uvw] for a direction or (hkl) for a plane, e.g. formatIndices([1, 1, -2, 0], 'direction') -> '[1 1 -2 0]'.
+ *
+ * @param {Array<number>} indices - Three or four indices.
+ * @param {string} kind - 'direction' or 'plane'.
+ */
+export function formatIndices(indices, kind) {
+    const text = indices.join(' ');
+    return kind === 'direction' ? `[${text}]` : `(${text})`;
+}
+
+// Both notations for hexagonal cells, e.g. '[2 1 0] = [1 0 -1 0]'; only the three-index form otherwise
+export function describeIndices(indices, kind, hexagonal) {
+    if (!hexagonal) return formatIndices(indices, kind);
+    const fourIndex = kind === 'direction' ? directionToFourIndex(indices) : planeToFourIndex(indices);
+    return `${formatIndices(indices, kind)} = ${formatIndices(fourIndex, kind)}`;
+}
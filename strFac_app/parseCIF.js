@@ -1,4 +1,11 @@
 // parseCIF.js
+import { parseCifDocument, findLoop, findValue } from './cifTokenizer.js';
+import { getChemicalComponents } from './composition.js';
+import { parseSpecies } from './elementData.js';
+import { findSpaceGroupSetting, getSymmetryOperationsFromHall, sameSymmetryOperations, formatSymmetryOperation } from './spaceGroups.js';
+
+// Symmetry-generated positions closer than this (in Angstroms) are treated as the same atom
+const DUPLICATE_ATOM_TOLERANCE = 0.05;
 
 // Helper functions
 function isLetter(character) {
@@ -9,65 +16,285 @@ function isNumber(value) {
   return !Number.isNaN(Number(value)) && Number.isFinite(Number(value));
 }
 
-// Function to parse the main sections of the CIF file
+// Read a numeric CIF value, dropping the standard uncertainty in parentheses; '?' and '.' give the fallback
+function parseCifNumber(value, fallback) {
+  if (typeof value !== 'string') return fallback;
+  const number = Number(value.split('(')[0]);
+  return isNumber(number) ? number : fallback;
+}
+
+// Read a numeric CIF value with its standard uncertainty, e.g. '4.5937(2)' -> { value: 4.5937, uncertainty: 0.0002 };
+// the uncertainty counts units of the last digit given, and is null when there is none
+function parseCifMeasurement(value, fallback) {
+  const number = parseCifNumber(value, fallback);
+  const match = typeof value === 'string' && value.match(/^[+-]?\d*(?:\.(\d*))?(?:e([+-]?\d+))?\((\d+)\)$/i);
+  if (!match || !/\d/.test(value.split('(')[0])) return { value: number, uncertainty: null };
+  const exponent = Number(match[2] || 0) - (match[1] || '').length;
+  return { value: number, uncertainty: Number(`${match[3]}e${exponent}`) };
+}
+
+// Read a number such as '2', '0.5' or '1/2'
+function parseFraction(text) {
+  const [numerator, denominator = '1'] = text.split('/');
+  const value = Number(numerator) / Number(denominator);
+  if (!numerator || !Number.isFinite(value)) throw new Error(`cannot read the number '${text}'`);
+  return value;
+}
+
+// One component of a symmetry operation, e.g. '-y+1/2', 'x-y' or '1/2+2*z', as coefficients of x, y, z and a constant
+function parseSymmetryComponent(component) {
+  const coefficients = [0, 0, 0];
+  let constant = 0;
+  const expression = component.replace(/\s+/g, '');
+  const terms = expression.match(/[+-]?[^+-]+/g);
+  if (!terms || terms.join('') !== expression) throw new Error(`cannot read '${component}'`);
+  terms.forEach(term => {
+    const sign = term.startsWith('-') ? -1 : 1;
+    const [, number, variable] = term.replace(/^[+-]/, '').match(/^([^xyz*]*)\*?([xyz]?)$/) || [];
+    if (number === undefined || (!number && !variable)) throw new Error(`cannot read '${term}'`);
+    const value = sign * (number ? parseFraction(number) : 1);
+    if (variable) coefficients['xyz'.indexOf(variable)] += value;
+    else constant += value;
+  });
+  return { coefficients, constant };
+}
+
+// Turn a symmetry operation string such as '-y+1/2, x, z+1/2' into a rotation matrix and translation vector
+export function parseSymmetryOperation(opString) {
+  const ops = opString.toLowerCase().split(',').map(s => s.trim());
+  if (ops.length !== 3) throw new Error(`expected three components, found ${ops.length}`);
+
+  const components = ops.map(parseSymmetryComponent);
+  const rotation = components.map(({ coefficients }) => coefficients.map(Math.round));
+  const translation = components.map(({ constant }) => constant);
+  return { rotation, translation };
+}
+
+// Lengths of the reciprocal cell vectors a*, b*, c*, needed to rotate anisotropic displacement parameters
+function getReciprocalLengths(cellParameters) {
+  const { a, b, c, alpha, beta, gamma } = cellParameters;
+  const [cosA, cosB, cosG] = [alpha, beta, gamma].map(angle => Math.cos(angle * Math.PI / 180));
+  const [sinA, sinB, sinG] = [alpha, beta, gamma].map(angle => Math.sin(angle * Math.PI / 180));
+  const volume = a * b * c * Math.sqrt(1 - cosA * cosA - cosB * cosB - cosG * cosG + 2 * cosA * cosB * cosG);
+  return [b * c * sinA / volume, a * c * sinB / volume, a * b * sinG / volume];
+}
+
+// Metric tensor G of the direct cell, so that |r|^2 = r^T G r for fractional r
+function getMetricTensor(cellParameters) {
+  const { a, b, c, alpha, beta, gamma } = cellParameters;
+  const [cosA, cosB, cosG] = [alpha, beta, gamma].map(angle => Math.cos(angle * Math.PI / 180));
+  return [
+    [a * a, a * b * cosG, a * c * cosB],
+    [a * b * cosG, b * b, b * c * cosA],
+    [a * c * cosB, b * c * cosA, c * c]
+  ];
+}
+
+// Shortest Cartesian distance between two fractional positions, allowing for lattice translations
+function periodicDistance(p1, p2, metricTensor) {
+  let shortest = Infinity;
+  const delta = [p1.x - p2.x, p1.y - p2.y, p1.z - p2.z].map(d => d - Math.round(d));
+  // Rounding finds the nearest image in orthogonal cells; check the neighbours too for oblique ones
+  for (let i = -1; i <= 1; i++) {
+    for (let j = -1; j <= 1; j++) {
+      for (let k = -1; k <= 1; k++) {
+        const d = [delta[0] + i, delta[1] + j, delta[2] + k];
+        let squared = 0;
+        for (let m = 0; m < 3; m++) {
+          for (let n = 0; n < 3; n++) {
+            squared += d[m] * metricTensor[m][n] * d[n];
+          }
+        }
+        shortest = Math.min(shortest, squared);
+      }
+    }
+  }
+  return Math.sqrt(Math.max(shortest, 0));
+}
+
+// Apply the rotation part of a symmetry operation to a U^ij tensor (CIF convention): U' = N^-1 R N U N R^T N^-1
+function rotateDisplacementTensor(uAniso, rotation, reciprocalLengths) {
+  const uStar = uAniso.map((row, i) => row.map((value, j) => value * reciprocalLengths[i] * reciprocalLengths[j]));
+  const rotated = [0, 1, 2].map(i => [0, 1, 2].map(j => {
+    let sum = 0;
+    for (let k = 0; k < 3; k++) {
+      for (let m = 0; m < 3; m++) {
+        sum += rotation[i][k] * uStar[k][m] * rotation[j][m];
+      }
+    }
+    return sum;
+  }));
+  return rotated.map((row, i) => row.map((value, j) => value / (reciprocalLengths[i] * reciprocalLengths[j])));
+}
+
+// Standard uncertainties of the coordinates after a symmetry operation: sigma'_i = sqrt(sum_j R_ij^2 sigma_j^2),
+// with a missing sigma counted as zero, and null when the coordinate depends only on coordinates without one
+function rotateCoordinateUncertainties(uncertainties, rotation) {
+  const sigmas = [uncertainties.x, uncertainties.y, uncertainties.z];
+  const [x, y, z] = rotation.map(row => {
+    const terms = row.map((value, j) => value !== 0 && sigmas[j] !== null && sigmas[j] !== undefined ? (value * sigmas[j]) ** 2 : null)
+      .filter(term => term !== null);
+    return terms.length > 0 ? Math.sqrt(terms.reduce((sum, term) => sum + term, 0)) : null;
+  });
+  return { x, y, z, occupancy: uncertainties.occupancy ?? null, uIso: uncertainties.uIso ?? null };
+}
+
+/**
+ * Generate all atoms in the unit cell from the sites of the asymmetric unit. Copies of an atom on a special position
+ * that coincide (within DUPLICATE_ATOM_TOLERANCE) are merged; the number left is the site's Wyckoff multiplicity.
+ *
+ * @param {Array<object>} sites - { x, y, z (fractional), label (element), siteLabel, oxidationState (or null), occupancy,
+ *   uIso, uAniso (U^ij or null), uncertainties (optional standard uncertainties { x, y, z, occupancy, uIso }) }
+ * @param {Array<{rotation: number[][], translation: number[]}>} symmetryMatrices - Parsed symmetry operations.
+ * @param {object} cellParameters - { a, b, c, alpha, beta, gamma }
+ * @returns {Array<object>} - Atom positions as in the atomPositions of parseCifInfo's data.
+ */
+export function expandAtomSites(sites, symmetryMatrices, cellParameters) {
+  const reciprocalLengths = getReciprocalLengths(cellParameters);
+  const metricTensor = getMetricTensor(cellParameters);
+  const atomPositions = [];
+
+  sites.forEach(site => {
+      const sitePositions = [];
+      symmetryMatrices.forEach(({ rotation, translation }) => { // i.e., for each symmetry operation...
+        const coords = [site.x, site.y, site.z];
+        let [x_new, y_new, z_new] = rotation.map((row, r) => row[0] * coords[0] + row[1] * coords[1] + row[2] * coords[2] + translation[r]);
+
+        // Reduce coordinates to the unit cell (0-1 range)
+        x_new = (x_new % 1 + 1) % 1;
+        y_new = (y_new % 1 + 1) % 1;
+        z_new = (z_new % 1 + 1) % 1;
+
+        const position = { x: x_new, y: y_new, z: z_new };
+        if (sitePositions.some(existing => periodicDistance(existing, position, metricTensor) < DUPLICATE_ATOM_TOLERANCE)) {
+          return;
+        }
+
+        sitePositions.push({
+          ...position,
+          label: site.label,
+          siteLabel: site.siteLabel,
+          oxidationState: site.oxidationState ?? null,
+          occupancy: site.occupancy ?? 1,
+          uIso: site.uIso ?? 0,
+          uAniso: site.uAniso ? rotateDisplacementTensor(site.uAniso, rotation, reciprocalLengths) : null,
+          uncertainties: site.uncertainties ? rotateCoordinateUncertainties(site.uncertainties, rotation) : null
+        });
+      });
+
+      sitePositions.forEach(position => {
+        position.multiplicity = sitePositions.length;
+        atomPositions.push(position);
+      });
+  });
+  return atomPositions;
+}
+
+// Tags that may hold the symmetry operations, current dictionary name first
+const SYMMETRY_TAGS = [
+  '_space_group_symop_operation_xyz',
+  '_symmetry_equiv_pos_as_xyz',
+  '_symmetry_equiv_pos_xyz',
+];
+
+// Where a tag appears in a block: the line of its value, or of the loop holding it
+function locateTag(block, ...tags) {
+  for (const tag of tags) {
+    const lower = tag.toLowerCase();
+    if (lower in block.itemLines) return { line: block.itemLines[lower], tag };
+    const loop = findLoop(block, lower);
+    if (loop) return { line: loop.line, tag };
+  }
+  return { line: null, tag: tags[0] };
+}
+
+/**
+ * Collector for the problems found while reading a structure file.
+ *
+ * @returns {{diagnostics: Array<object>, report: function}} - The list, and report(severity, message, { line, tag })
+ *   that adds { severity: 'error' | 'warning' | 'info', line (line number or null), tag (the CIF tag, record or
+ *   instruction concerned, or null), message } to it.
+ */
+export function createDiagnosticCollector() {
+  const diagnostics = [];
+  const report = (severity, message, { line = null, tag = null } = {}) => diagnostics.push({ severity, line, tag, message });
+  return { diagnostics, report };
+}
+
+/**
+ * Read the main sections of a CIF file: cell, space group, symmetry operations and the atoms of the unit cell.
+ * Values given with a standard uncertainty, e.g. 4.5937(2), keep it as a separate number: the cell parameters in
+ * data.cellParameterUncertainties and the coordinates, occupancy and Uiso in the `uncertainties` of each atom.
+ *
+ * @param {string} cifInfo - CIF file contents.
+ * @returns {{data: object|null, diagnostics: Array<object>}} - The structure (null if it cannot be read) and the
+ *   problems found, each { severity: 'error' | 'warning' | 'info', line (CIF line number or null), tag (the CIF tag
+ *   concerned, or null), message }.
+ */
 export function parseCifInfo(cifInfo) {
+  const { diagnostics, report } = createDiagnosticCollector();
+  return { data: readCifStructure(cifInfo, report), diagnostics };
+}
+
+/**
+ * The structure of parseCifInfo, with its problems sent to report as in createDiagnosticCollector.
+ *
+ * @param {string} cifInfo - CIF file contents.
+ * @param {function} report - (severity, message, { line, tag }) => void
+ * @returns {object|null} - The structure, or null if it cannot be read.
+ */
+export function readCifStructure(cifInfo, report) {
   const data = {
     cellParameters: {},
+    cellParameterUncertainties: {},
     chemicalComponents: {},
     atomPositions: [],
     spaceGroupName: "N/A",
     spaceGroupNumber: "N/A"
   };
+  const fail = (message, location) => {
+    report('error', message, location);
+    return null;
+  };
+
+  let document;
+  try {
+    document = parseCifDocument(cifInfo);
+  } catch (e) {
+    return fail(`CIF syntax error: ${e.message}`, { line: e.line ?? null });
+  }
+  document.warnings.forEach(warning => report('warning', warning.message, { line: warning.line }));
+
+  // Use the first data block that actually contains atomic coordinates (some files start with a global/header block)
+  const block = document.blocks.find(candidate => findLoop(candidate, '_atom_site_fract_x'));
+  if (!block) {
+    return fail("No data block has an _atom_site_ loop with fractional coordinates, so there are no atoms to read.", { tag: '_atom_site_fract_x' });
+  }
 
   // --- Parse Space Group Name ---
-  const spaceGroupHMAltMatch = cifInfo.match(/_space_group_name_H-M_alt\s+'([^']+)'/);
-  const spaceGroupHallMatch = cifInfo.match(/_space_group_name_Hall\s+'([^']+)'/);
+  const spaceGroupHM = findValue(block, '_space_group_name_H-M_alt', '_symmetry_space_group_name_H-M');
+  const spaceGroupHall = findValue(block, '_space_group_name_Hall', '_symmetry_space_group_name_Hall');
 
-  if (spaceGroupHMAltMatch && spaceGroupHMAltMatch[1]) {
-      data.spaceGroupName = spaceGroupHMAltMatch[1].trim();
-  } else if (spaceGroupHallMatch && spaceGroupHallMatch[1]) {
-      data.spaceGroupName = spaceGroupHallMatch[1].trim();
+  if (typeof spaceGroupHM === 'string' && spaceGroupHM.trim() && spaceGroupHM !== '?') {
+      data.spaceGroupName = spaceGroupHM.trim();
+  } else if (typeof spaceGroupHall === 'string' && spaceGroupHall.trim() && spaceGroupHall !== '?') {
+      data.spaceGroupName = spaceGroupHall.trim();
   } else {
-      console.warn("Could not find _space_group_name_H-M_alt or _space_group_name_Hall tag.");
+      report('info', "No space-group symbol (_space_group_name_H-M_alt or _space_group_name_Hall).", { tag: '_space_group_name_H-M_alt' });
   }
 
   // --- Parse Space Group Number ---
-  const spaceGroupNumberMatch = cifInfo.match(/_space_group_IT_number\s+(\d+)/);
-  if (spaceGroupNumberMatch && spaceGroupNumberMatch[1]) {
-    data.spaceGroupNumber = parseInt(spaceGroupNumberMatch[1], 10);
+  const spaceGroupNumber = parseCifNumber(findValue(block, '_space_group_IT_number', '_symmetry_Int_Tables_number'), undefined);
+  if (Number.isInteger(spaceGroupNumber)) {
+    data.spaceGroupNumber = spaceGroupNumber;
   } else {
-    console.warn("Could not find _space_group_IT_number tag.");
+    report('info', "No space-group number.", locateTag(block, '_space_group_IT_number', '_symmetry_Int_Tables_number'));
   }
 
-
-//   // --- Parse Chemical Components ---
-//   const formulaMatch = cifInfo.match(/_chemical_formula_structural\s+'([^']+)'/);
-//   if (formulaMatch && formulaMatch[1]) {
-//     const formulaString = formulaMatch[1].trim();
-//     const elementRegex = /([A-Z][a-z]*)(\d*)/g;
-//     let match;
-//     const elementsFound = [];
-//     while ((match = elementRegex.exec(formulaString)) !== null) {
-//       elementsFound.push({
-//         element: match[1],
-//         number: match[2] ? parseInt(match[2], 10) : 1
-//       });
-//     }
-
-//     if (elementsFound.length > 0) {
-//       data.chemicalComponents.element1 = elementsFound[0].element;
-//       if (elementsFound.length > 1) {
-//         data.chemicalComponents.element2 = elementsFound[1].element;
-//       }
-//     }
-//   } else {
-//     console.warn("Could not find _chemical_formula_structural tag. Chemical components might be missing.");
-//   }
-
 // --- Parse Chemical Components ---
-    const formulaMatch = cifInfo.match(/_chemical_formula_structural\s+'([^']+)'/);
-    if (formulaMatch && formulaMatch[1]) {
-    const formulaString = formulaMatch[1].trim();
+    const formulaValue = findValue(block, '_chemical_formula_structural', '_chemical_formula_sum');
+    if (typeof formulaValue === 'string' && formulaValue.trim() && formulaValue !== '?') {
+    const formulaString = formulaValue.trim();
 
     // Match element symbols (e.g. "Te", "Gd") and optional counts (e.g. "3")
     const elementRegex = /([A-Z][a-z]*)(\d*\.?\d*)/g;
@@ -93,164 +320,173 @@ export function parseCifInfo(cifInfo) {
     }
 
     } else {
-    console.warn("Could not find _chemical_formula_structural tag. Chemical components might be missing.");
+    report('info', "No chemical formula; the composition is taken from the atoms in the cell.", { tag: '_chemical_formula_sum' });
     }
 
 
-
   // --- Parse Cell Parameters ---
-  const parseCellParam = (tag) => {
-    const match = cifInfo.match(new RegExp(`${tag}\\s*([\\d\\.]+)(?:\\(\\d+\\))?`));
-    return match ? parseFloat(match[1]) : undefined;
-  };
-
-  data.cellParameters.a = parseCellParam('_cell_length_a');
-  data.cellParameters.b = parseCellParam('_cell_length_b');
-  data.cellParameters.c = parseCellParam('_cell_length_c');
-  data.cellParameters.alpha = parseCellParam('_cell_angle_alpha');
-  data.cellParameters.beta = parseCellParam('_cell_angle_beta');
-  data.cellParameters.gamma = parseCellParam('_cell_angle_gamma');
-
-
-  // Parse symmetry operations
-    const SYMMETRY_TAGS = [
-        '_space_group_symop_operation_xyz',
-        '_symmetry_equiv_pos_as_xyz',
-        '_symmetry_equiv_pos_xyz',
-    ];
-    let symmetryOperations = [];
-    const cifLines = cifInfo.split('\n').map(line => line.trim()); //Split the CIF file into lines and trim whitespace
-    // console.log("CIF Lines:", cifLines);
-    let symmetryLoopStartIndex = -1;
-    let foundSymmetryTag = '';
-    let symmetryTagIndex = -1;
-    
-    for (let i = 0; i < cifLines.length; i++) {
-        // console.log("Line read:", cifLines[i]);
-        if (cifLines[i].toLowerCase() === 'loop_') {
-            // console.log("Found loop beginning:", cifLines[i]);
-            let j = i+1;
-            let tags = [];
-            while (j < cifLines.length && cifLines[j].startsWith('_')) {
-                // console.log("Found symmetry tag:", cifLines[j]);
-                tags.push(cifLines[j]);
-                j++;
-            }
-            for (const tag of SYMMETRY_TAGS) {
-                const index = tags.indexOf(tag);
-                if (index !== -1) {
-                    symmetryLoopStartIndex = i;
-                    symmetryTagIndex = index;
-                    foundSymmetryTag = tag;
-                    break;
-                }
-            }
-            if (symmetryLoopStartIndex !== -1) break; // Found the loop, exit outer loop
-        }
+  // Lengths are required; a missing angle is taken as 90 degrees
+  const cellTags = { a: '_cell_length_a', b: '_cell_length_b', c: '_cell_length_c', alpha: '_cell_angle_alpha', beta: '_cell_angle_beta', gamma: '_cell_angle_gamma' };
+  Object.entries(cellTags).forEach(([parameter, tag]) => {
+    const { value, uncertainty } = parseCifMeasurement(findValue(block, tag), undefined);
+    if (value === undefined && ['alpha', 'beta', 'gamma'].includes(parameter)) {
+      report('warning', `Missing or non-numeric ${tag}; assuming 90°.`, locateTag(block, tag));
+      data.cellParameters[parameter] = 90;
+    } else {
+      data.cellParameters[parameter] = value;
     }
-    
-    if (symmetryLoopStartIndex !== -1 && foundSymmetryTag) {
-        let dataLines = [];
-        for (let i = symmetryLoopStartIndex + 1; i < cifLines.length; i++) {
-            const line = cifLines[i];
-            // console.log("Processing symmetry line:", line);
-            if (line.startsWith('_')) continue;
-            if (line.toLowerCase().startsWith('loop_') || line.startsWith('#') || line.trim() === '') break; // End of symmetry data
-            dataLines.push(line);
-        }
+    data.cellParameterUncertainties[parameter] = uncertainty;
+  });
+  const missingLengths = ['a', 'b', 'c'].filter(parameter => !(data.cellParameters[parameter] > 0));
+  if (missingLengths.length > 0) {
+    missingLengths.forEach(parameter => report('error', `Missing or non-positive ${cellTags[parameter]}.`, locateTag(block, cellTags[parameter])));
+    return null;
+  }
 
-        for (const line of dataLines) {
-            const parts = [];
-            const regex = /'[^']*'|"[^"]*"|\S+/g;
-            let match;
-            while ((match = regex.exec(line)) !== null) {
-                parts.push(match[0]);
-            }
-            if (parts.length > symmetryTagIndex)  {
-                let op = parts[symmetryTagIndex].trim();
-                if (op.startsWith("'") && op.endsWith("'") || op.startsWith('"') && op.endsWith('"')) {
-                    op = op.substring(1, op.length - 1); // Remove quotes
-                }
-                if (op) symmetryOperations.push(op);
-            }
-        }
+  const formulaUnitsZ = parseCifNumber(findValue(block, '_cell_formula_units_Z'), undefined);
+  if (formulaUnitsZ > 0) data.formulaUnitsZ = formulaUnitsZ;
+
+
+  // Parse symmetry operations, with the line each one is on
+  let symmetryOperations = [];
+  let symmetryLines = [];
+  let symmetryTag = SYMMETRY_TAGS[0];
+  for (const tag of SYMMETRY_TAGS) {
+    const loop = findLoop(block, tag);
+    if (loop) {
+      const tagIndex = loop.tags.indexOf(tag);
+      const rows = loop.rows.map((row, index) => ({ op: row[tagIndex], line: loop.rowLines[index] }))
+        .filter(({ op }) => typeof op === 'string' && op.trim());
+      symmetryOperations = rows.map(({ op }) => op);
+      symmetryLines = rows.map(({ line }) => line);
+      symmetryTag = tag;
+      break;
+    }
+    // A single operation may also be given as a plain tag/value pair
+    const single = findValue(block, tag);
+    if (typeof single === 'string' && single.trim()) {
+      symmetryOperations = [single];
+      symmetryLines = [block.itemLines[tag]];
+      symmetryTag = tag;
+      break;
     }
-
-  if (symmetryOperations.length === 0) {
-    console.warn("No symmetry operations found or parsed from CIF, defaulting to 'x,y,z'.");
-    symmetryOperations = ["x,y,z"];
   }
-//   console.log("Parsed Symmetry Operations:", symmetryOperations);
 
-
-// Parse Atomic Positions
-  let atomSiteLoopStart = -1;
-
-  for (let i = 0; i < cifLines.length; i++) {
-    if(cifLines[i] === 'loop_') {
-        for (let j = i + 1; j < Math.min(i + 10, cifLines.length); j++) { // Check next few lines for _atom_site_ tag
-            if (cifLines[j].startsWith('_atom_site_')) {
-                atomSiteLoopStart = i; // Get precise index of THIS loop_
-                break;
-            }
-        }
+  // Operations implied by the space-group symbol: the Hall symbol is unambiguous, otherwise
+  // look up the H-M symbol or the IT number in the built-in table
+  let tabulatedOperations = null;
+  let tabulatedSource = '';
+  if (typeof spaceGroupHall === 'string' && spaceGroupHall.trim() && spaceGroupHall !== '?') {
+    try {
+      tabulatedOperations = getSymmetryOperationsFromHall(spaceGroupHall);
+      tabulatedSource = `Hall symbol '${spaceGroupHall.trim()}'`;
+    } catch (e) {
+      report('warning', `Could not interpret the Hall symbol '${spaceGroupHall}': ${e.message}`, locateTag(block, '_space_group_name_Hall', '_symmetry_space_group_name_Hall'));
     }
-    if (atomSiteLoopStart !== -1) break; // Found the loop, exit outer loop
   }
-
-  if (atomSiteLoopStart === -1) {
-    console.error("Could not find the 'loop_' for atomic position data containing '_atom_site_' tags. Cannot parse atomic positions.");
-    return null;
+  if (!tabulatedOperations) {
+    const setting = findSpaceGroupSetting({ hmSymbol: spaceGroupHM, number: spaceGroupNumber, cellParameters: data.cellParameters });
+    if (setting) {
+      tabulatedOperations = getSymmetryOperationsFromHall(setting.hallSymbol);
+      tabulatedSource = `space group ${setting.number} (${setting.hmSymbol}${setting.setting ? `, setting ${setting.setting}` : ''})`;
+    }
   }
 
-    const atomSiteBlock = cifLines.slice(atomSiteLoopStart); //new
-    // console.log("Atom Site Block:", atomSiteBlock);
-
-  let labels = [];
-  let dataStartsIndex = -1;
-
-  for (let i = 0; i < atomSiteBlock.length; i++) {
-    const line = atomSiteBlock[i];
-    if (line.startsWith('_atom_site_')) {
-        labels.push(line.replace('_atom_site_', '').trim());
-    } 
-    else if (labels.length > 0 && !line.startsWith('#') && !line.startsWith('loop_') ){
-        dataStartsIndex = i;
-        break; // Found the start of data lines after headers
+  // Parse every symmetry operation once into a rotation matrix and translation
+  let symmetryMatrices = [];
+  symmetryOperations = symmetryOperations.filter((opString, index) => {
+    try {
+      symmetryMatrices.push(parseSymmetryOperation(opString));
+      return true;
+    } catch (e) {
+      report('warning', `Symmetry operation '${opString}' skipped: ${e.message}.`, { line: symmetryLines[index], tag: symmetryTag });
+      return false;
     }
-}
+  });
 
-  if (dataStartsIndex === -1) {
-    console.warn("Could not find start of atomic position data lines after headers for _atom_site_ loop.");
-    return null;
+  if (symmetryMatrices.length > 0) {
+    // The file's own operations win, but a disagreement with the symbol usually means a typo in one of them
+    if (tabulatedOperations && !sameSymmetryOperations(symmetryMatrices, tabulatedOperations)) {
+      report('warning', `The ${symmetryMatrices.length} symmetry operations in the file do not match the ${tabulatedOperations.length} generated from ${tabulatedSource}; using the operations from the file.`, locateTag(block, symmetryTag));
+    }
+  } else if (tabulatedOperations) {
+    report('info', `No symmetry operations in the file; generated ${tabulatedOperations.length} from ${tabulatedSource}.`, { tag: symmetryTag });
+    symmetryMatrices = tabulatedOperations;
+    symmetryOperations = tabulatedOperations.map(formatSymmetryOperation);
+  } else {
+    report('warning', "No symmetry operations and no recognized space group; using the identity x,y,z, so the cell holds only the listed sites.", { tag: symmetryTag });
+    symmetryOperations = ["x,y,z"];
+    symmetryMatrices = [parseSymmetryOperation("x,y,z")];
   }
+  data.symmetryOperations = symmetryOperations;
+  data.symmetryMatrices = symmetryMatrices;
 
-  const xIndex = labels.indexOf('fract_x');
-  const yIndex = labels.indexOf('fract_y');
-  const zIndex = labels.indexOf('fract_z');
-  const labelIndex = labels.indexOf('label');
+
+// Parse Atomic Positions
+  const atomSiteLoop = findLoop(block, '_atom_site_fract_x');
+  const columnIndex = (name) => atomSiteLoop.tags.indexOf(`_atom_site_${name}`);
+
+  const xIndex = columnIndex('fract_x');
+  const yIndex = columnIndex('fract_y');
+  const zIndex = columnIndex('fract_z');
+  const labelIndex = columnIndex('label');
+  const typeSymbolIndex = columnIndex('type_symbol');
+  const occupancyIndex = columnIndex('occupancy');
+  const uIsoIndex = columnIndex('u_iso_or_equiv');
+  const bIsoIndex = columnIndex('b_iso_or_equiv');
 
   if (xIndex === -1 || yIndex === -1 || zIndex === -1) {
-    console.error("Missing fractional coordinate headers (_atom_site_fract_x,y,y) in atom_site loop. Cannot parse atomic positions.");
-    return null;
+    return fail("The atom site loop lacks _atom_site_fract_y or _atom_site_fract_z.", { line: atomSiteLoop.line, tag: yIndex === -1 ? '_atom_site_fract_y' : '_atom_site_fract_z' });
   }
   if (labelIndex === -1) {
-      console.warn("'_atom_site_label' not found. Atom labels might be incorrect.");
+      report('warning', "No _atom_site_label column; atom labels might be incorrect.", { line: atomSiteLoop.line, tag: '_atom_site_label' });
   }
 
-  // Extract atom data lines, filtering out comments and empty lines
-  const atomDataLines = atomSiteBlock.slice(dataStartsIndex).filter(line => !line.startsWith('#') && !line.startsWith('_') && !line.startsWith('loop_') && line.trim() !== '');
+  if (atomSiteLoop.rows.length === 0) {
+      return fail("The atom site loop has no data rows.", { line: atomSiteLoop.line, tag: '_atom_site_fract_x' });
+  }
 
-  if (atomDataLines.length === 0) {
-      console.warn("Atom data lines extracted but appear to be empty or only contain comments/tags after filtering.");
-      return null;
+  // Anisotropic displacement parameters, keyed by atom label (U^ij in Angstrom^2; B^ij is converted)
+  const anisoByLabel = {};
+  const anisoLoop = findLoop(block, '_atom_site_aniso_label');
+  if (anisoLoop) {
+    const tagIndex = (suffix) => {
+      const uIndex = anisoLoop.tags.indexOf(`_atom_site_aniso_u_${suffix}`);
+      return uIndex !== -1 ? { index: uIndex, scale: 1 } : { index: anisoLoop.tags.indexOf(`_atom_site_aniso_b_${suffix}`), scale: 1 / (8 * Math.PI * Math.PI) };
+    };
+    const columns = ['11', '22', '33', '12', '13', '23'].map(tagIndex);
+    const anisoLabelIndex = anisoLoop.tags.indexOf('_atom_site_aniso_label');
+
+    if (columns.some(column => column.index === -1)) {
+      report('warning', "Incomplete _atom_site_aniso_ loop; anisotropic displacement parameters ignored.", { line: anisoLoop.line, tag: '_atom_site_aniso_label' });
+    } else {
+      anisoLoop.rows.forEach((row, rowIndex) => {
+        const [u11, u22, u33, u12, u13, u23] = columns.map(({ index, scale }) => parseCifNumber(row[index], NaN) * scale);
+        if ([u11, u22, u33, u12, u13, u23].some(isNaN)) {
+          report('warning', `Anisotropic displacement parameters of ${row[anisoLabelIndex]} skipped: non-numeric values.`, { line: anisoLoop.rowLines[rowIndex], tag: '_atom_site_aniso_label' });
+          return;
+        }
+        anisoByLabel[row[anisoLabelIndex]] = [[u11, u12, u13], [u12, u22, u23], [u13, u23, u33]];
+      });
+    }
   }
 
-  for (let i = 0; i < atomDataLines.length; i++) {
-    const parts = atomDataLines[i].split(/\s+/).filter(Boolean); // \s is any whitespace character, + means one or more, filter(Boolean) removes empty strings
+  // Oxidation numbers of the species in the _atom_type_ loop, keyed by type symbol
+  const oxidationByType = {};
+  const atomTypeLoop = findLoop(block, '_atom_type_symbol');
+  if (atomTypeLoop) {
+    const symbolIndex = atomTypeLoop.tags.indexOf('_atom_type_symbol');
+    const oxidationIndex = atomTypeLoop.tags.indexOf('_atom_type_oxidation_number');
+    atomTypeLoop.rows.forEach(row => {
+      const oxidationNumber = parseCifNumber(row[oxidationIndex], undefined);
+      if (oxidationNumber !== undefined) oxidationByType[row[symbolIndex]] = oxidationNumber;
+    });
+  }
 
-    // Determine atom label from _atom_site_label; can use this later for atomic scattering factors
-    if (parts.length > Math.max(xIndex, yIndex, zIndex)) {
+  const sites = [];
+  atomSiteLoop.rows.forEach((parts, rowIndex) => {
+      const line = atomSiteLoop.rowLines[rowIndex];
+      // Determine atom label from _atom_site_label; can use this later for atomic scattering factors
       let currentAtomLabel = 'Unknown';
       if (labelIndex !== -1 && parts[labelIndex]) {
           currentAtomLabel = parts[labelIndex];
@@ -259,60 +495,67 @@ export function parseCifInfo(cifInfo) {
       }
 
       // Extract fractional atomic coordinates
-      const initialCoords = {
-        x: Number(parts[xIndex].split('(')[0]),
-        y: Number(parts[yIndex].split('(')[0]),
-        z: Number(parts[zIndex].split('(')[0])
-      };
+      const [x, y, z] = [xIndex, yIndex, zIndex].map(index => parseCifMeasurement(parts[index], NaN));
+      const initialCoords = { x: x.value, y: y.value, z: z.value };
 
       if (isNaN(initialCoords.x) || isNaN(initialCoords.y) || isNaN(initialCoords.z)) {
-          console.warn(`Skipping malformed atom line (non-numeric coords): ${atomDataLines[i]}`);
-          continue;
+          report('warning', `Atom ${currentAtomLabel} skipped: non-numeric coordinates.`, { line, tag: '_atom_site_fract_x' });
+          return;
       }
 
-    // Extract chemical element from the label, eg. Te1 -> Te
-      let actualElementType = currentAtomLabel.match(/([A-Z][a-z]*)/);
-      actualElementType = actualElementType ? actualElementType[1] : 'Unknown';
+      // Site occupancy and isotropic displacement (U = B / 8 pi^2); missing values mean a full, static site
+      const occupancy = parseCifMeasurement(parts[occupancyIndex], 1);
+      let uIso = parseCifMeasurement(parts[uIsoIndex], undefined);
+      if (uIso.value === undefined) {
+        const bIso = parseCifMeasurement(parts[bIsoIndex], 0);
+        const scale = 1 / (8 * Math.PI * Math.PI);
+        uIso = { value: bIso.value * scale, uncertainty: bIso.uncertainty === null ? null : bIso.uncertainty * scale };
+      }
+      const uAniso = anisoByLabel[currentAtomLabel] || null;
+
+      // The element comes from _atom_site_type_symbol (e.g. 'Fe3+', which also gives the oxidation state), else from
+      // the label (e.g. Te1 -> Te), else from the formula
+      const typeSymbol = typeSymbolIndex !== -1 && !['?', '.'].includes(parts[typeSymbolIndex]) ? parts[typeSymbolIndex] : null;
+      const typeSpecies = typeSymbol && parseSpecies(typeSymbol);
+      if (typeSymbol && !typeSpecies) {
+          report('warning', `Unknown species '${typeSymbol}' for site ${currentAtomLabel}; trying the label instead.`, { line, tag: '_atom_site_type_symbol' });
+      }
+      const species = typeSpecies || parseSpecies(currentAtomLabel);
+      let actualElementType = species ? species.element : 'Unknown';
+      const oxidationState = typeSymbol ? (oxidationByType[typeSymbol] ?? species?.oxidationState ?? null) : null;
 
       if (actualElementType === 'Unknown') {
           if (data.chemicalComponents.element1 && currentAtomLabel.includes(data.chemicalComponents.element1)) {
               actualElementType = data.chemicalComponents.element1;
           } else if (data.chemicalComponents.element2 && currentAtomLabel.includes(data.chemicalComponents.element2)) {
               actualElementType = data.chemicalComponents.element2;
+          } else {
+              report('warning', `Could not tell the element of site ${currentAtomLabel}; add an _atom_site_type_symbol column.`, { line, tag: '_atom_site_label' });
           }
       }
 
-      // Now apply symmetry operations to the original coordinates and get complete list of positions
-      symmetryOperations.forEach(opString => { // i.e., for each symmetry operation...
-        let x_new, y_new, z_new;
-        try {
-            const scope = { x: initialCoords.x, y: initialCoords.y, z: initialCoords.z };
-            const ops = opString.split(',').map(s => s.trim());
+      sites.push({
+        ...initialCoords,
+        label: actualElementType,
+        siteLabel: currentAtomLabel,
+        oxidationState,
+        occupancy: occupancy.value,
+        uIso: uIso.value,
+        uAniso,
+        uncertainties: { x: x.uncertainty, y: y.uncertainty, z: z.uncertainty, occupancy: occupancy.uncertainty, uIso: uIso.uncertainty }
+      });
+  });
 
-            x_new = math.evaluate(ops[0], scope); // math.evaluate("x+1/2", 0.3) = 0.3 + 1/2 = 0.8
-            y_new = math.evaluate(ops[1], scope);
-            z_new = math.evaluate(ops[2], scope);
+  // Now apply symmetry operations to the sites and get complete list of positions
+  data.atomPositions = expandAtomSites(sites, symmetryMatrices, data.cellParameters);
 
-        } catch (e) {
-            console.error(`Error evaluating symmetry operation '${opString}' for atom ${currentAtomLabel}:`, e);
-            return;
-        }
-        // Reduce coordinates to the unit cell (0-1 range)
-        x_new = (x_new % 1 + 1) % 1;
-        y_new = (y_new % 1 + 1) % 1;
-        z_new = (z_new % 1 + 1) % 1;
+  // Without a formula in the file, take it from the cell contents
+  if (!data.chemicalComponents.elements) {
+      data.chemicalComponents = getChemicalComponents(data.atomPositions);
+  }
 
-        data.atomPositions.push({
-          x: x_new,
-          y: y_new,
-          z: z_new,
-          label: actualElementType
-        });
-      });
-    } else {
-        console.warn(`Skipping malformed atom line (not enough parts): ${atomDataLines[i]}`);
-    }
+  if (data.atomPositions.length === 0) {
+      return fail("No atoms could be read from the atom site loop.", { line: atomSiteLoop.line, tag: '_atom_site_fract_x' });
   }
-  console.log('Parsed CIF data:', data);
   return data;
 }
\ No newline at end of file
@@ -0,0 +1,280 @@
+// powderPattern.js
+// Powder diffraction pattern (intensity vs 2-theta) from the kinematic structure factors.
+import { getXrayScatteringFactor } from './scatteringFactors.js';
+import { XRAY_SOURCES } from './radiation.js';
+import { calculateStructureFactor, getDirectLatticeVectors, getReciprocalLatticeVectors } from './crystallography.js';
+import { lookupStructureFactor, isTableFor } from './structureFactorTable.js';
+import { getEquivalentReflections } from './millerIndices.js';
+
+// Caglioti instrument function FWHM^2 = U tan^2(theta) + V tan(theta) + W, in degrees^2; typical laboratory diffractometer
+export const DEFAULT_CAGLIOTI = { U: 0.02, V: -0.01, W: 0.005 };
+export const DEFAULT_PSEUDO_VOIGT_ETA = 0.5; // Lorentzian fraction of the pseudo-Voigt profile
+export const DEFAULT_TWO_THETA_RANGE = [10, 90]; // degrees
+const TWO_THETA_STEP = 0.01; // degrees
+const PROFILE_WINDOW = 15; // each peak is evaluated within this many FWHM of its centre
+const LABEL_THRESHOLD = 0.05; // peaks above this fraction of the strongest one get an (hkl) label
+
+function dotProduct(v1, v2) {
+    return v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
+}
+
+// Representative of a set of equivalent reflections: the one with the most positive indices, e.g. (2,1,0) over (-1,2,0)
+function chooseRepresentative(equivalents) {
+    return equivalents.reduce((best, candidate) => {
+        const score = (index) => index.map(v => (v >= 0 ? 1 : 0)).join('') + index.map(v => String(v + 1000).padStart(4, '0')).join('');
+        return score(candidate) > score(best) ? candidate : best;
+    });
+}
+
+// Pseudo-Voigt profile with unit area, centre x0 and full width at half maximum fwhm
+function pseudoVoigt(x, x0, fwhm, eta) {
+    const dx = x - x0;
+    const gaussian = (2 / fwhm) * Math.sqrt(Math.LN2 / Math.PI) * Math.exp(-4 * Math.LN2 * dx * dx / (fwhm * fwhm));
+    const lorentzian = (2 / (Math.PI * fwhm)) / (1 + 4 * dx * dx / (fwhm * fwhm));
+    return eta * lorentzian + (1 - eta) * gaussian;
+}
+
+/**
+ * Resolve the powder options into the emission lines to use.
+ * options.source is a key of XRAY_SOURCES or 'custom', in which case options.wavelength (Angstrom) is used.
+ */
+export function getPowderSource(options = {}) {
+    if (options.source === 'custom') {
+        const wavelength = options.wavelength > 0 ? options.wavelength : XRAY_SOURCES.CuKa1.lines[0].wavelength;
+        return { label: `λ = ${wavelength.toFixed(4)} Å`, lines: [{ wavelength, weight: 1 }] };
+    }
+    return XRAY_SOURCES[options.source] || XRAY_SOURCES.CuKa12;
+}
+
+// Largest 2-theta of the pattern, in degrees
+function getTwoThetaMax(options) {
+    return options.twoThetaMax > 0 ? Math.min(options.twoThetaMax, 179) : DEFAULT_TWO_THETA_RANGE[1];
+}
+
+/**
+ * Largest |g| = 2 sin(theta) / lambda of the reflections calculatePowderReflections lists; the shortest wavelength of
+ * the source reaches furthest. A structure factor table computed to this limit has all of them.
+ *
+ * @param {object} options - { source, wavelength, twoThetaMax }, as for calculatePowderReflections.
+ * @returns {number} - |g| in Angstrom^-1.
+ */
+export function getPowderGLimit(options = {}) {
+    const shortestWavelength = Math.min(...getPowderSource(options).lines.map(line => line.wavelength));
+    return 2 * Math.sin(getTwoThetaMax(options) * Math.PI / 360) / shortestWavelength;
+}
+
+/**
+ * List the distinct powder reflections up to the largest 2-theta reachable with the first emission line.
+ * Symmetry-equivalent reflections are merged into one entry carrying their multiplicity.
+ *
+ * @param {object} parsedData - Structure as returned by parseStructureFile.
+ * @param {object} options - { source, wavelength, twoThetaMax (degrees), ionicFormFactors (use the form factors of the
+ *   ions for atoms with an oxidation state), structureFactorTable (X-ray structure factors computed beforehand, see
+ *   structureFactorTable.js) }
+ * @returns {Array<object>} - { hkl, d, g, twoTheta, multiplicity, structureFactor, phase, lorentzPolarization, intensity,
+ *   peaks: [{ twoTheta, intensity }] } sorted by increasing 2-theta; twoTheta, Lp and intensity (m |F|^2 Lp) are for the first line.
+ */
+export function calculatePowderReflections(parsedData, options = {}) {
+    const { cellParameters, atomPositions } = parsedData;
+    const source = getPowderSource(options);
+    const twoThetaMax = getTwoThetaMax(options);
+
+    const reciprocalLatticeVectors = getReciprocalLatticeVectors(getDirectLatticeVectors(cellParameters));
+    if (!reciprocalLatticeVectors) return [];
+    const [aStar, bStar, cStar] = reciprocalLatticeVectors;
+    const reciprocalLengths = [aStar, bStar, cStar].map(v => Math.sqrt(dotProduct(v, v)));
+
+    const gMax = getPowderGLimit(options);
+    const ranges = reciprocalLengths.map(length => Math.ceil(gMax / length));
+
+    const getFormFactor = options.ionicFormFactors ? getXrayScatteringFactor : (element, s) => getXrayScatteringFactor(element, s);
+    // Structure factors come from the table computed once per structure where it has them, and are summed here otherwise
+    const table = options.structureFactorTable && isTableFor(options.structureFactorTable, { radiation: 'xray', ionicFormFactors: options.ionicFormFactors })
+        ? options.structureFactorTable
+        : null;
+    const getStructureFactor = (hkl, gLength) => (table && lookupStructureFactor(table, hkl))
+        || calculateStructureFactor(atomPositions, hkl, gLength / 2, getFormFactor, reciprocalLengths);
+
+    const rotations = (parsedData.symmetryMatrices && parsedData.symmetryMatrices.length)
+        ? parsedData.symmetryMatrices.map(op => op.rotation)
+        : [[[1, 0, 0], [0, 1, 0], [0, 0, 1]]];
+
+    const visited = new Set();
+    const reflections = [];
+    for (let h = -ranges[0]; h <= ranges[0]; h++) {
+        for (let k = -ranges[1]; k <= ranges[1]; k++) {
+            for (let l = -ranges[2]; l <= ranges[2]; l++) {
+                if ((h === 0 && k === 0 && l === 0) || visited.has(`${h},${k},${l}`)) continue;
+                const gVec = [0, 1, 2].map(i => h * aStar[i] + k * bStar[i] + l * cStar[i]);
+                const gLength = Math.sqrt(dotProduct(gVec, gVec));
+                if (gLength > gMax) continue;
+
+                const equivalents = getEquivalentReflections([h, k, l], rotations);
+                equivalents.forEach(index => visited.add(index.join(',')));
+                const hkl = chooseRepresentative(equivalents);
+
+                const { real, imaginary, magnitude } = getStructureFactor(hkl, gLength);
+                if (magnitude < 1e-3) continue; // systematically absent
+                const d = 1 / gLength;
+
+                // Unpolarized Lorentz-polarization factor for Bragg-Brentano geometry: (1 + cos^2 2theta) / (sin^2 theta cos theta)
+                const peaks = source.lines.map(line => {
+                    const sinTheta = line.wavelength / (2 * d);
+                    if (sinTheta >= 1) return null;
+                    const theta = Math.asin(sinTheta);
+                    const lorentzPolarization = (1 + Math.cos(2 * theta) ** 2) / (sinTheta * sinTheta * Math.cos(theta));
+                    return {
+                        twoTheta: 2 * theta * 180 / Math.PI,
+                        lorentzPolarization,
+                        intensity: line.weight * equivalents.length * magnitude * magnitude * lorentzPolarization
+                    };
+                }).filter(peak => peak && peak.twoTheta <= twoThetaMax);
+                if (peaks.length === 0) continue;
+
+                reflections.push({
+                    hkl,
+                    d,
+                    g: gLength,
+                    twoTheta: peaks[0].twoTheta,
+                    multiplicity: equivalents.length,
+                    structureFactor: magnitude,
+                    phase: Math.atan2(imaginary, real) * 180 / Math.PI,
+                    lorentzPolarization: peaks[0].lorentzPolarization,
+                    intensity: peaks[0].intensity,
+                    peaks
+                });
+            }
+        }
+    }
+
+    return reflections.sort((r1, r2) => r1.peaks[0].twoTheta - r2.peaks[0].twoTheta);
+}
+
+/**
+ * Sum pseudo-Voigt peaks on a 2-theta grid.
+ *
+ * @param {Array<object>} reflections - From calculatePowderReflections.
+ * @param {object} options - { twoThetaMin, twoThetaMax, U, V, W, eta }
+ * @returns {Array<{x: number, y: number}>} - Profile points (2-theta in degrees, intensity).
+ */
+export function calculatePowderProfile(reflections, options = {}) {
+    const twoThetaMin = options.twoThetaMin >= 0 ? options.twoThetaMin : DEFAULT_TWO_THETA_RANGE[0];
+    const twoThetaMax = options.twoThetaMax > twoThetaMin ? options.twoThetaMax : DEFAULT_TWO_THETA_RANGE[1];
+    const U = Number.isFinite(options.U) ? options.U : DEFAULT_CAGLIOTI.U;
+    const V = Number.isFinite(options.V) ? options.V : DEFAULT_CAGLIOTI.V;
+    const W = Number.isFinite(options.W) ? options.W : DEFAULT_CAGLIOTI.W;
+    const eta = options.eta >= 0 && options.eta <= 1 ? options.eta : DEFAULT_PSEUDO_VOIGT_ETA;
+
+    const pointCount = Math.round((twoThetaMax - twoThetaMin) / TWO_THETA_STEP) + 1;
+    const profile = new Float64Array(pointCount);
+
+    reflections.forEach(reflection => {
+        reflection.peaks.forEach(peak => {
+            const tanTheta = Math.tan(peak.twoTheta * Math.PI / 360);
+            // Guard against U, V, W combinations that give a negative width at some angle
+            const fwhm = Math.sqrt(Math.max(U * tanTheta * tanTheta + V * tanTheta + W, 1e-6));
+            const first = Math.max(0, Math.floor((peak.twoTheta - PROFILE_WINDOW * fwhm - twoThetaMin) / TWO_THETA_STEP));
+            const last = Math.min(pointCount - 1, Math.ceil((peak.twoTheta + PROFILE_WINDOW * fwhm - twoThetaMin) / TWO_THETA_STEP));
+            for (let i = first; i <= last; i++) {
+                profile[i] += peak.intensity * pseudoVoigt(twoThetaMin + i * TWO_THETA_STEP, peak.twoTheta, fwhm, eta);
+            }
+        });
+    });
+
+    return Array.from(profile, (y, i) => ({ x: twoThetaMin + i * TWO_THETA_STEP, y }));
+}
+
+// Calculate and plot the powder pattern in the diffraction panel
+// options: { source, wavelength (custom source), twoThetaMin, twoThetaMax, U, V, W, eta, ionicFormFactors, structureFactorTable }
+// Returns { reflections, chart, source }: the reflections in the 2-theta range and the rendered CanvasJS chart.
+export function performPowderAnalysis(parsedData, showMessage, options = {}) {
+    const { cellParameters, atomPositions } = parsedData;
+    if (atomPositions.length === 0 || !cellParameters.a || !cellParameters.b || !cellParameters.c) {
+        showMessage("Missing essential data for the powder pattern (atoms or cell parameters). Please upload a valid CIF file.", "error");
+        return null;
+    }
+
+    const twoThetaMin = options.twoThetaMin >= 0 ? options.twoThetaMin : DEFAULT_TWO_THETA_RANGE[0];
+    const twoThetaMax = options.twoThetaMax > twoThetaMin ? options.twoThetaMax : DEFAULT_TWO_THETA_RANGE[1];
+    const source = getPowderSource(options);
+    const reflections = calculatePowderReflections(parsedData, { ...options, twoThetaMax })
+        .filter(reflection => reflection.peaks.some(peak => peak.twoTheta >= twoThetaMin));
+    const profile = calculatePowderProfile(reflections, { ...options, twoThetaMin, twoThetaMax });
+
+    // Scale to 100 for the strongest point of the profile
+    const maxIntensity = Math.max(...profile.map(point => point.y)) || 1;
+    const scale = 100 / maxIntensity;
+    profile.forEach(point => { point.y *= scale; });
+
+    // Peak labels at the profile maximum of each reflection, and Bragg position ticks below the pattern
+    const maxReflectionIntensity = Math.max(...reflections.map(reflection => reflection.intensity)) || 1;
+    const peakLabels = [];
+    const braggTicks = [];
+    reflections.forEach(reflection => {
+        const twoTheta = reflection.peaks[0].twoTheta;
+        const index = Math.round((twoTheta - twoThetaMin) / TWO_THETA_STEP);
+        const label = `(${reflection.hkl.join(' ')})`;
+        const details = {
+            label,
+            d: reflection.d.toFixed(4),
+            multiplicity: reflection.multiplicity,
+            structureFactor: reflection.structureFactor.toFixed(2)
+        };
+        braggTicks.push({ x: twoTheta, y: -3, ...details });
+        if (reflection.intensity >= LABEL_THRESHOLD * maxReflectionIntensity && profile[index]) {
+            peakLabels.push({ x: twoTheta, y: profile[index].y, indexLabel: label, ...details });
+        }
+    });
+
+    const chart = new CanvasJS.Chart("diffractionCanvas", {
+        zoomEnabled: true,
+        title: {
+            text: "Powder pattern",
+            fontFamily: 'tahoma',
+            fontSize: 20
+        },
+        subtitles: [{
+            text: `X-ray ${source.label}, Caglioti pseudo-Voigt profiles`,
+            fontFamily: 'tahoma',
+            fontSize: 14
+        }],
+        axisX: {
+            title: "2θ (°)",
+            minimum: twoThetaMin,
+            maximum: twoThetaMax
+        },
+        axisY: {
+            title: "Intensity (relative)",
+            minimum: -6,
+            gridThickness: 0
+        },
+        toolTip: {
+            shared: false
+        },
+        data: [{
+            type: "line",
+            color: "black",
+            lineThickness: 1,
+            markerSize: 0,
+            toolTipContent: "2θ = {x}°, I = {y}",
+            dataPoints: profile
+        }, {
+            type: "scatter",
+            markerType: "none",
+            indexLabelFontSize: 11,
+            indexLabelOrientation: "vertical",
+            toolTipContent: "{label}<br/>2θ = {x}°<br/>d = {d} Å<br/>m = {multiplicity}, |F| = {structureFactor}",
+            dataPoints: peakLabels
+        }, {
+            type: "scatter",
+            markerType: "triangle",
+            markerColor: "rgba(0, 114, 189, 1.0)",
+            markerSize: 6,
+            toolTipContent: "{label}<br/>2θ = {x}°<br/>d = {d} Å<br/>m = {multiplicity}, |F| = {structureFactor}",
+            dataPoints: braggTicks
+        }]
+    });
+    chart.render();
+
+    return { reflections, chart, source };
+}
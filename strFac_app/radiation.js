@@ -0,0 +1,67 @@
+// radiation.js
+
+// Physical constants (CODATA 2018)
+const PLANCK_CONSTANT = 6.62607015e-34; // J s
+const ELECTRON_REST_MASS = 9.1093837015e-31; // kg
+const ELEMENTARY_CHARGE = 1.602176634e-19; // C
+const SPEED_OF_LIGHT = 299792458; // m/s
+
+export const DEFAULT_XRAY_WAVELENGTH = 1.5406; // Angstrom, Cu K-alpha1
+export const DEFAULT_ELECTRON_VOLTAGE = 200; // kV
+
+// Characteristic X-ray lines for powder patterns (wavelengths in Angstrom, Hoelzer et al. 1997 / IUCr tables).
+// Doublets carry the K-alpha2/K-alpha1 intensity ratio as the weight of the second line.
+export const XRAY_SOURCES = {
+    CuKa1: { label: 'Cu Kα1', lines: [{ wavelength: 1.540593, weight: 1 }] },
+    CuKa12: { label: 'Cu Kα1/Kα2', lines: [{ wavelength: 1.540593, weight: 1 }, { wavelength: 1.544427, weight: 0.5 }] },
+    MoKa: { label: 'Mo Kα', lines: [{ wavelength: 0.709317, weight: 1 }, { wavelength: 0.713607, weight: 0.5 }] },
+    CoKa: { label: 'Co Kα', lines: [{ wavelength: 1.788996, weight: 1 }, { wavelength: 1.792835, weight: 0.5 }] }
+};
+
+/**
+ * Relativistically corrected de Broglie wavelength of an electron.
+ *
+ * @param {number} voltageKV - Accelerating voltage in kV.
+ * @returns {number} - Wavelength in Angstroms.
+ */
+export function getElectronWavelength(voltageKV) {
+    const energy = ELEMENTARY_CHARGE * voltageKV * 1e3; // kinetic energy in J
+    const restEnergy = ELECTRON_REST_MASS * SPEED_OF_LIGHT ** 2;
+    const momentum = Math.sqrt(2 * ELECTRON_REST_MASS * energy * (1 + energy / (2 * restEnergy)));
+    return PLANCK_CONSTANT / momentum * 1e10;
+}
+
+// Lorentz factor gamma = 1 + eV/(m0 c^2); scales the electron scattering factors
+export function getRelativisticFactor(voltageKV) {
+    const energy = ELEMENTARY_CHARGE * voltageKV * 1e3;
+    return 1 + energy / (ELECTRON_REST_MASS * SPEED_OF_LIGHT ** 2);
+}
+
+/**
+ * Resolves the analysis options into the quantities the structure factor calculation needs.
+ *
+ * @param {object} options - { radiation: 'xray' | 'electron', voltage (kV), wavelength (Angstrom) }
+ * @returns {object} - { radiation, voltage, wavelength, ewaldRadius, relativisticFactor }
+ */
+export function describeRadiation(options = {}) {
+    if (options.radiation === 'electron') {
+        const voltage = options.voltage > 0 ? options.voltage : DEFAULT_ELECTRON_VOLTAGE;
+        const wavelength = getElectronWavelength(voltage);
+        return {
+            radiation: 'electron',
+            voltage,
+            wavelength,
+            ewaldRadius: 1 / wavelength,
+            relativisticFactor: getRelativisticFactor(voltage)
+        };
+    }
+
+    const wavelength = options.wavelength > 0 ? options.wavelength : DEFAULT_XRAY_WAVELENGTH;
+    return {
+        radiation: 'xray',
+        voltage: null,
+        wavelength,
+        ewaldRadius: 1 / wavelength,
+        relativisticFactor: 1
+    };
+}
@@ -0,0 +1,316 @@
+// scatteringFactors.js
+import { formatSpecies } from './elementData.js';
+
+// Cromer-Mann coefficients for neutral atoms, International Tables for Crystallography Vol. C, Table 6.1.1.4.
+// f(s) = sum_i a_i * exp(-b_i * s^2) + c, with s = sin(theta)/lambda in inverse Angstroms.
+// Each entry is [[a1, a2, a3, a4], [b1, b2, b3, b4], c].
+const CROMER_MANN_COEFFICIENTS = {
+    H:  [[0.489918, 0.262003, 0.196767, 0.049879], [20.6593, 7.74039, 49.5519, 2.20159], 0.001305],
+    He: [[0.8734, 0.6309, 0.3112, 0.178], [9.1037, 3.3568, 22.9276, 0.9821], 0.0064],
+    Li: [[1.1282, 0.7508, 0.6175, 0.4653], [3.9546, 1.0524, 85.3905, 168.261], 0.0377],
+    Be: [[1.5919, 1.1278, 0.5391, 0.7029], [43.6427, 1.8623, 103.483, 0.542], 0.0385],
+    B:  [[2.0545, 1.3326, 1.0979, 0.7068], [23.2185, 1.021, 60.3498, 0.1403], -0.1932],
+    C:  [[2.31, 1.02, 1.5886, 0.865], [20.8439, 10.2075, 0.5687, 51.6512], 0.2156],
+    N:  [[12.2126, 3.1322, 2.0125, 1.1663], [0.0057, 9.8933, 28.9975, 0.5826], -11.529],
+    O:  [[3.0485, 2.2868, 1.5463, 0.867], [13.2771, 5.7011, 0.3239, 32.9089], 0.2508],
+    F:  [[3.5392, 2.6412, 1.517, 1.0243], [10.2825, 4.2944, 0.2615, 26.1476], 0.2776],
+    Ne: [[3.9553, 3.1125, 1.4546, 1.1251], [8.4042, 3.4262, 0.2306, 21.7184], 0.3515],
+    Na: [[4.7626, 3.1736, 1.2674, 1.1128], [3.285, 8.8422, 0.3136, 129.424], 0.676],
+    Mg: [[5.4204, 2.1735, 1.2269, 2.3073], [2.8275, 79.2611, 0.3808, 7.1937], 0.8584],
+    Al: [[6.4202, 1.9002, 1.5936, 1.9646], [3.0387, 0.7426, 31.5472, 85.0886], 1.1151],
+    Si: [[6.2915, 3.0353, 1.9891, 1.541], [2.4386, 32.3337, 0.6785, 81.6937], 1.1407],
+    P:  [[6.4345, 4.1791, 1.78, 1.4908], [1.9067, 27.157, 0.526, 68.1645], 1.1149],
+    S:  [[6.9053, 5.2034, 1.4379, 1.5863], [1.4679, 22.2151, 0.2536, 56.172], 0.8669],
+    Cl: [[11.4604, 7.1962, 6.2556, 1.6455], [0.0104, 1.1662, 18.5194, 47.7784], -9.5574],
+    Ar: [[7.4845, 6.7723, 0.6539, 1.6442], [0.9072, 14.8407, 43.8983, 33.3929], 1.4445],
+    K:  [[8.2186, 7.4398, 1.0519, 0.8659], [12.7949, 0.7748, 213.187, 41.6841], 1.4228],
+    Ca: [[8.6266, 7.3873, 1.5899, 1.0211], [10.4421, 0.6599, 85.7484, 178.437], 1.3751],
+    Sc: [[9.189, 7.3679, 1.6409, 1.468], [9.0213, 0.5729, 136.108, 51.3531], 1.3329],
+    Ti: [[9.7595, 7.3558, 1.6991, 1.9021], [7.8508, 0.5, 35.6338, 116.105], 1.2807],
+    V:  [[10.2971, 7.3511, 2.0703, 2.0571], [6.8657, 0.4385, 26.8938, 102.478], 1.2199],
+    Cr: [[10.6406, 7.3537, 3.324, 1.4922], [6.1038, 0.392, 20.2626, 98.7399], 1.1832],
+    Mn: [[11.2819, 7.3573, 3.0193, 2.2441], [5.3409, 0.3432, 17.8674, 83.7543], 1.0896],
+    Fe: [[11.7695, 7.3573, 3.5222, 2.3045], [4.7611, 0.3072, 15.3535, 76.8805], 1.0369],
+    Co: [[12.2841, 7.3409, 4.0034, 2.3488], [4.2791, 0.2784, 13.5359, 71.1692], 1.0118],
+    Ni: [[12.8376, 7.292, 4.4438, 2.38], [3.8785, 0.2565, 12.1763, 66.3421], 1.0341],
+    Cu: [[13.338, 7.1676, 5.6158, 1.6735], [3.5828, 0.247, 11.3966, 64.8126], 1.191],
+    Zn: [[14.0743, 7.0318, 5.1652, 2.41], [3.2655, 0.2333, 10.3163, 58.7097], 1.3041],
+    Ga: [[15.2354, 6.7006, 4.3591, 2.9623], [3.0669, 0.2412, 10.7805, 61.4135], 1.7189],
+    Ge: [[16.0816, 6.3747, 3.7068, 3.683], [2.8509, 0.2516, 11.4468, 54.7625], 2.1313],
+    As: [[16.6723, 6.0701, 3.4313, 4.2779], [2.6345, 0.2647, 12.9479, 47.7972], 2.531],
+    Se: [[17.0006, 5.8196, 3.9731, 4.3543], [2.4098, 0.2726, 15.2372, 43.8163], 2.8409],
+    Br: [[17.1789, 5.2358, 5.6377, 3.9851], [2.1723, 16.5796, 0.2609, 41.4328], 2.9557],
+    Kr: [[17.3555, 6.7286, 5.5493, 3.5375], [1.9384, 16.5623, 0.2261, 39.3972], 2.825],
+    Rb: [[17.1784, 9.6435, 5.1399, 1.5292], [1.7888, 17.3151, 0.2748, 164.934], 3.4873],
+    Sr: [[17.5663, 9.8184, 5.422, 2.6694], [1.5564, 14.0988, 0.1664, 132.376], 2.5064],
+    Y:  [[17.776, 10.2946, 5.72629, 3.26588], [1.4029, 12.8006, 0.125599, 104.354], 1.91213],
+    Zr: [[17.8765, 10.948, 5.41732, 3.65721], [1.27618, 11.916, 0.117622, 87.6627], 2.06929],
+    Nb: [[17.6142, 12.0144, 4.04183, 3.53346], [1.18865, 11.766, 0.204785, 69.7957], 3.75591],
+    Mo: [[3.7025, 17.2356, 12.8876, 3.7429], [0.2772, 1.0958, 11.004, 61.6584], 4.3875],
+    Tc: [[19.1301, 11.0948, 4.64901, 2.71263], [0.864132, 8.14487, 21.5707, 86.8472], 5.40428],
+    Ru: [[19.2674, 12.9182, 4.86337, 1.56756], [0.80852, 8.43467, 24.7997, 94.2928], 5.37874],
+    Rh: [[19.2957, 14.3501, 4.73425, 1.28918], [0.751536, 8.21758, 25.8749, 98.6062], 5.328],
+    Pd: [[19.3319, 15.5017, 5.29537, 0.605844], [0.698655, 7.98929, 25.2052, 76.8986], 5.26593],
+    Ag: [[19.2808, 16.6885, 4.8045, 1.0463], [0.6446, 7.4726, 24.6605, 99.8156], 5.179],
+    Cd: [[19.2214, 17.6444, 4.461, 1.6029], [0.5946, 6.9089, 24.7008, 87.4825], 5.0694],
+    In: [[19.1624, 18.5596, 4.2948, 2.0396], [0.5476, 6.3776, 25.8499, 92.8029], 4.9391],
+    Sn: [[19.1889, 19.1005, 4.4585, 2.4663], [5.8303, 0.5031, 26.8909, 83.9571], 4.7821],
+    Sb: [[19.6418, 19.0455, 5.0371, 2.6827], [5.3034, 0.4607, 27.9074, 75.2825], 4.5909],
+    Te: [[19.9644, 19.0138, 6.14487, 2.5239], [4.81742, 0.420885, 28.5284, 70.8403], 4.352],
+    I:  [[20.1472, 18.9949, 7.5138, 2.2735], [4.347, 0.3814, 27.766, 66.8776], 4.0712],
+    Xe: [[20.2933, 19.0298, 8.9767, 1.99], [3.9282, 0.344, 26.4659, 64.2658], 3.7118],
+    Cs: [[20.3892, 19.1062, 10.662, 1.4953], [3.569, 0.3107, 24.3879, 213.904], 3.3352],
+    Ba: [[20.3361, 19.297, 10.888, 2.6959], [3.216, 0.2756, 20.2073, 167.202], 2.7731],
+    La: [[20.578, 19.599, 11.3727, 3.28719], [2.94817, 0.244475, 18.7726, 133.124], 2.14678],
+    Ce: [[21.1671, 19.7695, 11.8513, 3.33049], [2.81219, 0.226836, 17.6083, 127.113], 1.86264],
+    Pr: [[22.044, 19.6697, 12.3856, 2.82428], [2.77393, 0.222087, 16.7669, 143.644], 2.0583],
+    Nd: [[22.6845, 19.6847, 12.774, 2.85137], [2.66248, 0.210628, 15.885, 137.903], 1.98486],
+    Pm: [[23.3405, 19.6095, 13.1235, 2.87516], [2.5627, 0.202088, 15.1009, 132.721], 2.02876],
+    Sm: [[24.0042, 19.4258, 13.4396, 2.89604], [2.47274, 0.196451, 14.3996, 128.007], 2.20963],
+    Eu: [[24.6274, 19.0886, 13.7603, 2.9227], [2.3879, 0.1942, 13.7546, 123.174], 2.5745],
+    Gd: [[25.0709, 19.0798, 13.8518, 3.54545], [2.25341, 0.181951, 12.9331, 101.398], 2.4196],
+    Tb: [[25.8976, 18.2185, 14.3167, 2.95354], [2.24256, 0.196143, 12.6648, 115.362], 3.58324],
+    Dy: [[26.507, 17.6383, 14.5596, 2.96577], [2.1802, 0.202172, 12.1899, 111.874], 4.29728],
+    Ho: [[26.9049, 17.294, 14.5583, 3.63837], [2.07051, 0.19794, 11.4407, 92.6566], 4.56796],
+    Er: [[27.6563, 16.4285, 14.9779, 2.98233], [2.07356, 0.223545, 11.3604, 105.703], 5.92046],
+    Tm: [[28.1819, 15.8851, 15.1542, 2.98706], [2.02859, 0.238849, 10.9975, 102.961], 6.75621],
+    Yb: [[28.6641, 15.4345, 15.3087, 2.98963], [1.9889, 0.257119, 10.6647, 100.417], 7.56672],
+    Lu: [[28.9476, 15.2208, 15.1, 3.71601], [1.90182, 9.98519, 0.261033, 84.3298], 7.97628],
+    Hf: [[29.144, 15.1726, 14.7586, 4.30013], [1.83262, 9.5999, 0.275116, 72.029], 8.58154],
+    Ta: [[29.2024, 15.2293, 14.5135, 4.76492], [1.77333, 9.37046, 0.295977, 63.3644], 9.24354],
+    W:  [[29.0818, 15.43, 14.4327, 5.11982], [1.72029, 9.2259, 0.321703, 57.056], 9.8875],
+    Re: [[28.7621, 15.7189, 14.5564, 5.44174], [1.67191, 9.09227, 0.3505, 52.0861], 10.472],
+    Os: [[28.1894, 16.155, 14.9305, 5.67589], [1.62903, 8.97948, 0.382661, 48.1647], 11.0005],
+    Ir: [[27.3049, 16.7296, 15.6115, 5.83377], [1.59279, 8.86553, 0.417916, 45.0011], 11.4722],
+    Pt: [[27.0059, 17.7639, 15.7131, 5.7837], [1.51293, 8.81174, 0.424593, 38.6103], 11.6883],
+    Au: [[16.8819, 18.5913, 25.5582, 5.86], [0.4611, 8.6216, 1.4826, 36.3956], 12.0658],
+    Hg: [[20.6809, 19.0417, 21.6575, 5.9676], [0.545, 8.4484, 1.5729, 38.3246], 12.6089],
+    Tl: [[27.5446, 19.1584, 15.538, 5.52593], [0.65515, 8.70751, 1.96347, 45.8149], 13.1746],
+    Pb: [[31.0617, 13.0637, 18.442, 5.9696], [0.6902, 2.3576, 8.618, 47.2579], 13.4118],
+    Bi: [[33.3689, 12.951, 16.5877, 6.4692], [0.704, 2.9238, 8.7937, 48.0093], 13.5782],
+    Po: [[34.6726, 15.4733, 13.1138, 7.02588], [0.700999, 3.55078, 9.55642, 47.0045], 13.677],
+    At: [[35.3163, 19.0211, 9.49887, 7.42518], [0.68587, 3.97458, 11.3824, 45.4715], 13.7108],
+    Rn: [[35.5631, 21.2816, 8.0037, 7.4433], [0.6631, 4.0691, 14.0422, 44.2473], 13.6905],
+    Fr: [[35.9299, 23.0547, 12.1439, 2.11253], [0.646453, 4.17619, 23.1052, 150.645], 13.7247],
+    Ra: [[35.763, 22.9064, 12.4739, 3.21097], [0.616341, 3.87135, 19.9887, 142.325], 13.6211],
+    Ac: [[35.6597, 23.1032, 12.5977, 4.08655], [0.589092, 3.65155, 18.599, 117.02], 13.5266],
+    Th: [[35.5645, 23.4219, 12.7473, 4.80703], [0.563359, 3.46204, 17.8309, 99.1722], 13.4314],
+    Pa: [[35.8847, 23.2948, 14.1891, 4.17287], [0.547751, 3.41519, 16.9235, 105.251], 13.4287],
+    U:  [[36.0228, 23.4128, 14.9491, 4.188], [0.5293, 3.3253, 16.0927, 100.613], 13.3966],
+    Np: [[36.1874, 23.5964, 15.6402, 4.1855], [0.511929, 3.25396, 15.3622, 97.4908], 13.3573],
+    Pu: [[36.5254, 23.8083, 16.7707, 3.47947], [0.499384, 3.26371, 14.9455, 105.98], 13.3592],
+    Am: [[36.6706, 24.0992, 17.3415, 3.49331], [0.483629, 3.20647, 14.3136, 102.273], 13.3592],
+    Cm: [[36.6488, 24.4096, 17.399, 4.21665], [0.465154, 3.08997, 13.4346, 88.4834], 13.2887],
+    Bk: [[36.7881, 24.7736, 17.8919, 4.23284], [0.451018, 3.04619, 12.8946, 86.003], 13.2754],
+    Cf: [[36.9185, 25.1995, 18.3317, 4.24391], [0.437533, 3.00775, 12.4044, 83.7881], 13.2674]
+};
+
+// Cromer-Mann coefficients for common ions, from the same table, keyed by species symbol; the sum a1+a2+a3+a4+c is the
+// number of electrons of the ion. O2- and other ions missing from the table fall back to the neutral atom.
+const ION_COEFFICIENTS = {
+    'Li1+': [[0.6968, 0.7888, 0.3414, 0.1563], [4.6237, 1.9557, 0.6316, 10.0953], 0.0167],
+    'O1-':  [[4.1916, 1.63969, 1.52673, -20.307], [12.8573, 4.17236, 47.0179, -0.01404], 21.9412],
+    'F1-':  [[3.6322, 3.51057, 1.26064, 0.940706], [5.27756, 14.7353, 0.442258, 47.3437], 0.653396],
+    'Na1+': [[3.2565, 3.9362, 1.3998, 1.0032], [2.6671, 6.1153, 0.2001, 14.039], 0.404],
+    'Mg2+': [[3.4988, 3.8378, 1.3284, 0.8497], [2.1676, 4.7542, 0.185, 10.1411], 0.4853],
+    'Al3+': [[4.17448, 3.3876, 1.20296, 0.528137], [1.93816, 4.14553, 0.228753, 8.28524], 0.706786],
+    'Si4+': [[4.43918, 3.20345, 1.19453, 0.41653], [1.64167, 3.43757, 0.2149, 6.65365], 0.746297],
+    'Cl1-': [[18.2915, 7.2084, 6.5337, 2.3386], [0.0066, 1.1717, 19.5424, 60.4486], -16.378],
+    'K1+':  [[7.9578, 7.4917, 6.359, 1.1915], [12.6331, 0.7674, -0.002, 31.9128], -4.9978],
+    'Ca2+': [[15.6348, 7.9518, 8.4372, 0.8537], [-0.0074, 0.6089, 10.3116, 25.9905], -14.875],
+    'Ti3+': [[17.7344, 8.73816, 5.25691, 1.92134], [0.22061, 7.04716, -0.15762, 15.9768], -14.652],
+    'Ti4+': [[19.5114, 8.23473, 2.01341, 1.5208], [0.178847, 6.67018, -0.29263, 12.9464], -13.28],
+    'Cr3+': [[9.6809, 7.81136, 2.87603, 0.113575], [5.59463, 0.334393, 12.8288, 32.8761], 0.518275],
+    'Mn2+': [[10.8061, 7.362, 3.5268, 0.2184], [5.2796, 0.3435, 14.343, 41.3235], 1.0874],
+    'Fe2+': [[11.0424, 7.374, 4.1346, 0.4399], [4.6538, 0.3053, 12.0546, 31.2809], 1.0097],
+    'Fe3+': [[11.1764, 7.3863, 3.3948, 0.0724], [4.6147, 0.3005, 11.6729, 38.5566], 0.9707],
+    'Co2+': [[11.2296, 7.3883, 4.7393, 0.7108], [4.1231, 0.2726, 10.2443, 25.6466], 0.9324],
+    'Ni2+': [[11.4166, 7.4005, 5.3442, 0.9773], [3.6766, 0.2449, 8.873, 22.1626], 0.8614],
+    'Cu2+': [[11.8168, 7.11181, 5.78135, 1.14523], [3.37484, 0.244078, 7.9876, 19.897], 1.14431],
+    'Zn2+': [[11.9719, 7.3862, 6.4668, 1.394], [2.9946, 0.2031, 7.0826, 18.0995], 0.7807],
+    'Sr2+': [[18.0874, 8.1373, 2.5654, -34.193], [1.4907, 12.6963, 24.5651, -0.0138], 41.4025],
+    'Ba2+': [[20.1807, 19.1136, 10.9054, 0.77634], [3.21367, 0.28331, 20.0558, 51.746], 3.02902]
+};
+
+// Electron scattering factors of neutral atoms: the elastic five-Gaussian fits of Peng, Ren, Dudarev and Whelan,
+// Acta Cryst. A52 (1996) 257, Table 1, fitted for 0 <= s <= 2 inverse Angstroms.
+// f_e(s) = sum_i a_i * exp(-b_i * s^2) in Angstroms. Each entry is [[a1, ..., a5], [b1, ..., b5]].
+const PENG_COEFFICIENTS = {
+    H:  [[0.0349, 0.1201, 0.197, 0.0573, 0.1195], [0.5347, 3.5867, 12.3471, 18.9525, 38.6269]],
+    He: [[0.0317, 0.0838, 0.1526, 0.1334, 0.0164], [0.2507, 1.4751, 4.4938, 12.6646, 31.1653]],
+    Li: [[0.075, 0.2249, 0.5548, 1.4954, 0.9354], [0.3864, 2.9383, 15.3829, 53.5545, 138.7337]],
+    Be: [[0.078, 0.221, 0.674, 1.3867, 0.6925], [0.3131, 2.2381, 10.1517, 30.9061, 78.3273]],
+    B:  [[0.0909, 0.2551, 0.7738, 1.2136, 0.4606], [0.2995, 2.1155, 8.3816, 24.1292, 63.1314]],
+    C:  [[0.0893, 0.2563, 0.757, 1.0487, 0.3575], [0.2465, 1.71, 6.4094, 18.6113, 50.2523]],
+    N:  [[0.1022, 0.3219, 0.7982, 0.8197, 0.1715], [0.2451, 1.7481, 6.1925, 17.3894, 48.1431]],
+    O:  [[0.0974, 0.2921, 0.691, 0.699, 0.2039], [0.2067, 1.3815, 4.6943, 12.7105, 32.4726]],
+    F:  [[0.1083, 0.3175, 0.6487, 0.5846, 0.1421], [0.2057, 1.3439, 4.2788, 11.3932, 28.7881]],
+    Ne: [[0.1269, 0.3535, 0.5582, 0.4674, 0.146], [0.22, 1.3779, 4.0203, 9.4934, 23.1278]],
+    Na: [[0.2142, 0.6853, 0.7692, 1.6589, 1.4482], [0.3334, 2.3446, 10.083, 48.3037, 138.27]],
+    Mg: [[0.2314, 0.6866, 0.9677, 2.1882, 1.1339], [0.3278, 2.272, 10.9241, 39.2898, 101.9748]],
+    Al: [[0.239, 0.6573, 1.2011, 2.5586, 1.2312], [0.3138, 2.1063, 10.4163, 34.4552, 98.5344]],
+    Si: [[0.2519, 0.6372, 1.3795, 2.5082, 1.05], [0.3075, 2.0174, 9.6746, 29.3744, 80.4732]],
+    P:  [[0.2548, 0.6106, 1.4541, 2.3204, 0.8477], [0.2908, 1.874, 8.5176, 24.3434, 63.2996]],
+    S:  [[0.2497, 0.5628, 1.3899, 2.1865, 0.7715], [0.2681, 1.6711, 7.0267, 19.5377, 50.3888]],
+    Cl: [[0.2443, 0.5397, 1.3919, 2.0197, 0.6621], [0.2468, 1.5242, 6.1537, 16.6687, 42.3086]],
+    Ar: [[0.2385, 0.5017, 1.3428, 1.8899, 0.6079], [0.2289, 1.3694, 5.2561, 14.0928, 35.5361]],
+    K:  [[0.4115, 1.4031, 2.2784, 2.6742, 2.2162], [0.3703, 3.3874, 13.1029, 68.9592, 194.4329]],
+    Ca: [[0.4054, 1.388, 2.1602, 3.7532, 2.2063], [0.3499, 3.0991, 11.9608, 53.9353, 142.3892]],
+    Sc: [[0.3787, 1.2181, 2.0594, 3.2618, 2.387], [0.3133, 2.5856, 9.5813, 41.7688, 116.7282]],
+    Ti: [[0.3825, 1.2598, 2.0008, 3.0617, 2.0694], [0.304, 2.4863, 9.2783, 39.0751, 109.4583]],
+    V:  [[0.3876, 1.275, 1.9109, 2.8314, 1.8979], [0.2967, 2.378, 8.7981, 35.9528, 101.7201]],
+    Cr: [[0.4046, 1.3696, 1.8941, 2.08, 1.2196], [0.2986, 2.3958, 9.1406, 37.4701, 113.7121]],
+    Mn: [[0.3796, 1.2094, 1.7815, 2.542, 1.5937], [0.2699, 2.0455, 7.4726, 31.0604, 91.5622]],
+    Fe: [[0.3946, 1.2725, 1.7031, 2.314, 1.4795], [0.2717, 2.0443, 7.6007, 29.9714, 86.2265]],
+    Co: [[0.4118, 1.3161, 1.6493, 2.193, 1.283], [0.2742, 2.0372, 7.7205, 29.968, 84.9383]],
+    Ni: [[0.386, 1.1765, 1.5451, 2.073, 1.3814], [0.2478, 1.766, 6.3107, 25.2204, 74.3146]],
+    Cu: [[0.4314, 1.3208, 1.5236, 1.4671, 0.8562], [0.2694, 1.9223, 7.3474, 28.9892, 90.6246]],
+    Zn: [[0.4288, 1.2646, 1.4472, 1.8294, 1.0934], [0.2593, 1.7998, 6.75, 25.586, 73.5284]],
+    Ga: [[0.4818, 1.4032, 1.6561, 2.4605, 1.1054], [0.2825, 1.9785, 8.7546, 32.5238, 98.5523]],
+    Ge: [[0.4655, 1.3014, 1.6088, 2.6998, 1.3003], [0.2647, 1.7926, 7.6071, 26.5541, 77.5238]],
+    As: [[0.4517, 1.2229, 1.5852, 2.7958, 1.2638], [0.2493, 1.6436, 6.8154, 22.3681, 62.039]],
+    Se: [[0.4477, 1.1678, 1.5843, 2.8087, 1.1956], [0.2405, 1.5442, 6.3231, 19.461, 52.0233]],
+    Br: [[0.4798, 1.1948, 1.8695, 2.6953, 0.8203], [0.2504, 1.5963, 6.9653, 19.8492, 50.3233]],
+    Kr: [[0.4546, 1.0993, 1.7696, 2.7068, 0.8672], [0.2309, 1.4279, 5.9449, 16.6752, 42.2243]],
+    Rb: [[1.016, 2.8528, 3.5466, -7.7804, 12.1148], [0.4853, 5.0925, 25.7851, 130.4515, 138.6775]],
+    Sr: [[0.6703, 1.4926, 3.3368, 4.46, 3.1501], [0.319, 2.2287, 10.3504, 52.3291, 151.2216]],
+    Y:  [[0.6894, 1.5474, 3.245, 4.2126, 2.9764], [0.3189, 2.2904, 10.0062, 44.0771, 125.012]],
+    Zr: [[0.6719, 1.4684, 3.1668, 3.9557, 2.892], [0.3036, 2.1249, 8.9236, 36.8458, 108.2049]],
+    Nb: [[0.6123, 1.2677, 3.0348, 3.3841, 2.3683], [0.2709, 1.7683, 7.2489, 27.9465, 98.5624]],
+    Mo: [[0.6773, 1.4798, 3.1788, 3.0824, 1.8384], [0.292, 2.0606, 8.1129, 30.5336, 100.0658]],
+    Tc: [[0.7082, 1.6392, 3.1993, 3.4327, 1.8711], [0.2976, 2.2106, 8.5246, 33.1456, 96.6377]],
+    Ru: [[0.6735, 1.4934, 3.0966, 2.7254, 1.5597], [0.2773, 1.9716, 7.3249, 26.6891, 90.5581]],
+    Rh: [[0.6413, 1.369, 2.9854, 2.6952, 1.5433], [0.258, 1.7721, 6.3854, 23.2549, 85.1517]],
+    Pd: [[0.5904, 1.1775, 2.6519, 2.2875, 0.8689], [0.2324, 1.5019, 5.1591, 15.5428, 46.8213]],
+    Ag: [[0.6377, 1.379, 2.8294, 2.3631, 1.4553], [0.2466, 1.6974, 5.7656, 20.0943, 76.7372]],
+    Cd: [[0.6364, 1.4247, 2.7802, 2.5973, 1.7886], [0.2407, 1.6823, 5.6588, 20.7219, 69.1109]],
+    In: [[0.6768, 1.6589, 2.774, 3.1835, 2.1326], [0.2522, 1.8545, 6.2936, 25.1457, 84.5448]],
+    Sn: [[0.7224, 1.961, 2.7161, 3.5603, 1.8972], [0.2651, 2.0604, 7.3011, 27.5493, 81.3349]],
+    Sb: [[0.7106, 1.9247, 2.6149, 3.8322, 1.8899], [0.2562, 1.9646, 6.8852, 24.7648, 68.9168]],
+    Te: [[0.6947, 1.869, 2.5356, 4.0013, 1.8955], [0.2459, 1.8542, 6.4411, 22.173, 59.2206]],
+    I:  [[0.7047, 1.9484, 2.594, 4.1526, 1.5057], [0.2455, 1.8638, 6.7639, 21.8007, 56.4395]],
+    Xe: [[0.6737, 1.7908, 2.4129, 4.21, 1.7058], [0.2305, 1.689, 5.8218, 18.3928, 47.2496]],
+    Cs: [[1.2704, 3.8018, 5.6618, 0.9205, 4.8105], [0.4356, 4.2058, 23.4342, 136.7783, 171.7561]],
+    Ba: [[0.9049, 2.6076, 4.8498, 5.1603, 4.7388], [0.3066, 2.4363, 12.1821, 54.6135, 161.9978]],
+    La: [[0.8405, 2.3863, 4.6139, 5.1514, 4.7949], [0.2791, 2.141, 10.34, 41.9148, 132.0204]],
+    Ce: [[0.8551, 2.3915, 4.5772, 5.0278, 4.5118], [0.2805, 2.12, 10.1808, 42.0633, 130.9893]],
+    Pr: [[0.9096, 2.5313, 4.5266, 4.6376, 4.369], [0.2939, 2.2471, 10.8266, 48.8842, 147.602]],
+    Nd: [[0.8807, 2.4183, 4.4448, 4.6858, 4.1725], [0.2802, 2.1364, 10.404, 47.4506, 146.9976]],
+    Pm: [[0.9471, 2.5463, 4.3523, 4.4789, 3.908], [0.2977, 2.2276, 10.5762, 49.3619, 145.358]],
+    Sm: [[0.9699, 2.5837, 4.2778, 4.4575, 3.5985], [0.3003, 2.2447, 10.6487, 50.7994, 146.4179]],
+    Eu: [[0.8694, 2.2413, 3.9196, 3.9694, 4.5498], [0.2653, 1.859, 8.3998, 36.7397, 125.7089]],
+    Gd: [[0.9673, 2.4702, 4.1148, 4.4972, 3.2099], [0.2909, 2.1014, 9.7067, 43.427, 125.9474]],
+    Tb: [[0.9325, 2.3673, 3.8791, 3.9674, 3.7996], [0.2761, 1.9511, 8.9296, 41.5937, 131.0122]],
+    Dy: [[0.9505, 2.3705, 3.8218, 4.0471, 3.4451], [0.2773, 1.9469, 8.8862, 43.0938, 133.1396]],
+    Ho: [[0.9248, 2.2428, 3.6182, 3.791, 3.7912], [0.266, 1.8183, 7.9655, 33.1129, 101.8139]],
+    Er: [[1.0373, 2.4824, 3.6558, 3.8925, 3.0056], [0.2944, 2.0797, 9.4156, 45.8056, 132.772]],
+    Tm: [[1.0075, 2.3787, 3.544, 3.6932, 3.1759], [0.2816, 1.9486, 8.7162, 41.842, 125.032]],
+    Yb: [[1.0347, 2.3911, 3.4619, 3.6556, 3.0052], [0.2855, 1.9679, 8.7619, 42.3304, 125.6499]],
+    Lu: [[0.9927, 2.2436, 3.3554, 3.7813, 3.0994], [0.2701, 1.8073, 7.8112, 34.4849, 103.3526]],
+    Hf: [[1.0295, 2.2911, 3.411, 3.9497, 2.4925], [0.2761, 1.8625, 8.0961, 34.2712, 98.5295]],
+    Ta: [[1.019, 2.2291, 3.4097, 3.9252, 2.2679], [0.2694, 1.7962, 7.6944, 31.0942, 91.1089]],
+    W:  [[0.9853, 2.1167, 3.357, 3.7981, 2.2798], [0.2569, 1.6745, 7.0098, 26.9234, 81.391]],
+    Re: [[0.9914, 2.0858, 3.4531, 3.8812, 1.8526], [0.2548, 1.6518, 6.8845, 26.7234, 81.7215]],
+    Os: [[0.9813, 2.0322, 3.3665, 3.6235, 1.9741], [0.2487, 1.5973, 6.4737, 23.2817, 70.9254]],
+    Ir: [[1.0194, 2.0645, 3.4425, 3.4914, 1.6976], [0.2554, 1.6475, 6.5966, 23.2269, 70.0272]],
+    Pt: [[0.9148, 1.8096, 3.2134, 3.2953, 1.5754], [0.2263, 1.3813, 5.3243, 17.5987, 60.0171]],
+    Au: [[0.9674, 1.8916, 3.3993, 3.0524, 1.2607], [0.2358, 1.4712, 5.6758, 18.7119, 61.5286]],
+    Hg: [[1.0033, 1.9469, 3.4396, 3.1548, 1.418], [0.2413, 1.5298, 5.8009, 19.452, 60.5753]],
+    Tl: [[1.0689, 2.1038, 3.6039, 3.4927, 1.8283], [0.254, 1.6715, 6.3509, 23.1531, 78.7099]],
+    Pb: [[1.0891, 2.1867, 3.616, 3.8031, 1.8994], [0.2552, 1.7174, 6.5131, 23.917, 74.7039]],
+    Bi: [[1.1007, 2.2306, 3.5689, 4.1549, 2.0382], [0.2546, 1.7351, 6.4948, 23.6464, 70.378]],
+    Po: [[1.1568, 2.4353, 3.6459, 4.4064, 1.7179], [0.2648, 1.8786, 7.1749, 25.1766, 69.2821]],
+    At: [[1.0909, 2.1976, 3.3831, 4.67, 2.1277], [0.2466, 1.6707, 6.0197, 20.7657, 57.2663]],
+    Rn: [[1.0756, 2.163, 3.3178, 4.8852, 2.0489], [0.2402, 1.6169, 5.7644, 19.4568, 52.5009]],
+    Fr: [[1.4282, 3.5081, 5.6767, 4.1964, 3.8946], [0.3183, 2.6889, 13.4816, 54.3866, 200.8321]],
+    Ra: [[1.3127, 3.1243, 5.2988, 5.3891, 5.4133], [0.2887, 2.2897, 10.8276, 43.5389, 145.6109]],
+    Ac: [[1.3128, 3.1021, 5.3385, 5.9611, 4.7562], [0.2861, 2.2509, 10.5287, 41.7796, 128.2973]],
+    Th: [[1.2553, 2.9178, 5.0862, 6.1206, 4.7122], [0.2701, 2.0636, 9.3051, 34.5977, 107.92]],
+    Pa: [[1.3218, 3.1444, 5.4371, 5.6444, 4.0107], [0.2827, 2.225, 10.2454, 41.1162, 124.4449]],
+    U:  [[1.3382, 3.2043, 5.4558, 5.4839, 3.6342], [0.2838, 2.2452, 10.2519, 41.7251, 124.9023]],
+    Np: [[1.5193, 4.0053, 6.5327, -0.1402, 6.7489], [0.3213, 2.8206, 14.8878, 68.9103, 81.7257]],
+    Pu: [[1.3517, 3.2937, 5.3213, 4.6466, 3.5714], [0.2813, 2.2418, 9.9952, 42.7939, 132.1739]],
+    Am: [[1.2135, 2.7962, 4.7545, 4.5731, 4.4786], [0.2483, 1.8437, 7.5421, 29.3841, 112.4579]],
+    Cm: [[1.2937, 3.11, 5.0393, 4.7546, 3.5031], [0.2638, 2.0341, 8.7101, 35.2992, 109.4972]],
+    Bk: [[1.2915, 3.1023, 4.9309, 4.6009, 3.4661], [0.2611, 2.0023, 8.4377, 34.1559, 105.8911]],
+    Cf: [[1.2089, 2.7391, 4.3482, 4.0047, 4.6497], [0.2421, 1.7487, 6.7262, 23.2153, 80.3108]]
+};
+
+// Elements and ions we have already warned about, so a large structure does not flood the console
+const warnedElements = new Set();
+
+// Returns true if the element has tabulated X-ray form factor coefficients
+export function hasXrayScatteringFactor(element) {
+    return Object.prototype.hasOwnProperty.call(CROMER_MANN_COEFFICIENTS, element);
+}
+
+// Coefficients of the ion if it is tabulated, otherwise (with a warning) those of the neutral atom
+function getIonCoefficients(element, oxidationState) {
+    const species = formatSpecies(element, oxidationState);
+    if (ION_COEFFICIENTS[species]) return ION_COEFFICIENTS[species];
+    if (!warnedElements.has(species)) {
+        console.warn(`No X-ray scattering factor tabulated for the ion ${species}; using neutral ${element}.`);
+        warnedElements.add(species);
+    }
+    return CROMER_MANN_COEFFICIENTS[element];
+}
+
+/**
+ * Evaluates the X-ray atomic form factor f0 for an element, or for one of its ions if an oxidation state is given.
+ *
+ * @param {string} element - Element symbol, e.g. "Te".
+ * @param {number} s - sin(theta)/lambda in inverse Angstroms (|g|/2).
+ * @param {number} oxidationState - Charge of the ion, e.g. 3 for Fe3+; 0 or null for the neutral atom.
+ * @returns {number} - Form factor in electrons; 0 if the element is not tabulated.
+ */
+export function getXrayScatteringFactor(element, s, oxidationState = null) {
+    const coefficients = oxidationState && hasXrayScatteringFactor(element)
+        ? getIonCoefficients(element, oxidationState)
+        : CROMER_MANN_COEFFICIENTS[element];
+    if (!coefficients) {
+        if (!warnedElements.has(element)) {
+            console.warn(`No X-ray scattering factor tabulated for element '${element}'; its atoms will not scatter.`);
+            warnedElements.add(element);
+        }
+        return 0;
+    }
+
+    const [a, b, c] = coefficients;
+    const s2 = s * s;
+    let f = c;
+    for (let i = 0; i < 4; i++) {
+        f += a[i] * Math.exp(-b[i] * s2);
+    }
+    return f;
+}
+
+/**
+ * Evaluates the elastic electron scattering factor (first Born approximation) of a neutral atom from the
+ * Peng et al. (1996) parameterization. Beyond s = 2 inverse Angstroms, where the fits end, the Gaussians still
+ * fall off smoothly but are less accurate.
+ * The result is for a stationary electron; multiply by the relativistic factor gamma for the beam energy.
+ * Neutral atoms are always used: for an ion the net charge adds a term proportional to q / s^2 that diverges at
+ * small angles.
+ *
+ * @param {string} element - Element symbol, e.g. "Te".
+ * @param {number} s - sin(theta)/lambda in inverse Angstroms (|g|/2).
+ * @returns {number} - Scattering factor in Angstroms; 0 if the element is not tabulated.
+ */
+export function getElectronScatteringFactor(element, s) {
+    const coefficients = PENG_COEFFICIENTS[element];
+    if (!coefficients) {
+        if (!warnedElements.has(element)) {
+            console.warn(`No electron scattering factor available for element '${element}'; its atoms will not scatter.`);
+            warnedElements.add(element);
+        }
+        return 0;
+    }
+
+    const [a, b] = coefficients;
+    const s2 = s * s;
+    let f = 0;
+    for (let i = 0; i < 5; i++) {
+        f += a[i] * Math.exp(-b[i] * s2);
+    }
+    return f;
+}
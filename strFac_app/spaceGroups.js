@@ -0,0 +1,713 @@
+// spaceGroups.js
+// Space-group symmetry operations generated from Hall symbols (S. R. Hall, Acta Cryst. A37, 517 (1981)).
+// The table lists the standard setting of all 230 groups plus common alternative settings:
+// monoclinic unique axis c and other cell choices, both origin choices, rhombohedral axes and
+// frequently used orthorhombic axis permutations (e.g. Pbnm).
+
+// [IT number, Hermann-Mauguin symbol, Hall symbol, setting code]
+// Setting codes: '1'/'2' origin choice, 'H'/'R' hexagonal/rhombohedral axes, monoclinic unique axis and cell choice.
+const SPACE_GROUP_SETTINGS = [
+    [1, 'P 1', ' P 1', ''],
+    [2, 'P -1', '-P 1', ''],
+    [3, 'P 1 2 1', ' P 2y', 'b'],
+    [3, 'P 1 1 2', ' P 2', 'c'],
+    [4, 'P 1 21 1', ' P 2yb', 'b'],
+    [4, 'P 1 1 21', ' P 2c', 'c'],
+    [5, 'C 1 2 1', ' C 2y', 'b1'],
+    [5, 'A 1 2 1', ' A 2y', 'b2'],
+    [5, 'I 1 2 1', ' I 2y', 'b3'],
+    [5, 'A 1 1 2', ' A 2', 'c1'],
+    [5, 'B 1 1 2', ' B 2', 'c2'],
+    [5, 'I 1 1 2', ' I 2', 'c3'],
+    [6, 'P 1 m 1', ' P -2y', 'b'],
+    [6, 'P 1 1 m', ' P -2', 'c'],
+    [7, 'P 1 c 1', ' P -2yc', 'b1'],
+    [7, 'P 1 n 1', ' P -2yac', 'b2'],
+    [7, 'P 1 a 1', ' P -2ya', 'b3'],
+    [7, 'P 1 1 a', ' P -2a', 'c1'],
+    [7, 'P 1 1 n', ' P -2ab', 'c2'],
+    [7, 'P 1 1 b', ' P -2b', 'c3'],
+    [8, 'C 1 m 1', ' C -2y', 'b1'],
+    [8, 'A 1 m 1', ' A -2y', 'b2'],
+    [8, 'I 1 m 1', ' I -2y', 'b3'],
+    [8, 'A 1 1 m', ' A -2', 'c1'],
+    [8, 'B 1 1 m', ' B -2', 'c2'],
+    [8, 'I 1 1 m', ' I -2', 'c3'],
+    [9, 'C 1 c 1', ' C -2yc', 'b1'],
+    [9, 'A 1 n 1', ' A -2yac', 'b2'],
+    [9, 'I 1 a 1', ' I -2ya', 'b3'],
+    [9, 'A 1 a 1', ' A -2ya', '-b1'],
+    [9, 'C 1 n 1', ' C -2ybc', '-b2'],
+    [9, 'I 1 c 1', ' I -2yc', '-b3'],
+    [9, 'A 1 1 a', ' A -2a', 'c1'],
+    [9, 'B 1 1 n', ' B -2bc', 'c2'],
+    [9, 'I 1 1 b', ' I -2b', 'c3'],
+    [10, 'P 1 2/m 1', '-P 2y', 'b'],
+    [10, 'P 1 1 2/m', '-P 2', 'c'],
+    [11, 'P 1 21/m 1', '-P 2yb', 'b'],
+    [11, 'P 1 1 21/m', '-P 2c', 'c'],
+    [12, 'C 1 2/m 1', '-C 2y', 'b1'],
+    [12, 'A 1 2/m 1', '-A 2y', 'b2'],
+    [12, 'I 1 2/m 1', '-I 2y', 'b3'],
+    [12, 'A 1 1 2/m', '-A 2', 'c1'],
+    [12, 'B 1 1 2/m', '-B 2', 'c2'],
+    [12, 'I 1 1 2/m', '-I 2', 'c3'],
+    [13, 'P 1 2/c 1', '-P 2yc', 'b1'],
+    [13, 'P 1 2/n 1', '-P 2yac', 'b2'],
+    [13, 'P 1 2/a 1', '-P 2ya', 'b3'],
+    [13, 'P 1 1 2/a', '-P 2a', 'c1'],
+    [13, 'P 1 1 2/n', '-P 2ab', 'c2'],
+    [13, 'P 1 1 2/b', '-P 2b', 'c3'],
+    [14, 'P 1 21/c 1', '-P 2ybc', 'b1'],
+    [14, 'P 1 21/n 1', '-P 2yn', 'b2'],
+    [14, 'P 1 21/a 1', '-P 2yab', 'b3'],
+    [14, 'P 1 1 21/a', '-P 2ac', 'c1'],
+    [14, 'P 1 1 21/n', '-P 2n', 'c2'],
+    [14, 'P 1 1 21/b', '-P 2bc', 'c3'],
+    [15, 'C 1 2/c 1', '-C 2yc', 'b1'],
+    [15, 'A 1 2/n 1', '-A 2yac', 'b2'],
+    [15, 'I 1 2/a 1', '-I 2ya', 'b3'],
+    [15, 'A 1 2/a 1', '-A 2ya', '-b1'],
+    [15, 'C 1 2/n 1', '-C 2ybc', '-b2'],
+    [15, 'I 1 2/c 1', '-I 2yc', '-b3'],
+    [15, 'A 1 1 2/a', '-A 2a', 'c1'],
+    [15, 'B 1 1 2/n', '-B 2bc', 'c2'],
+    [15, 'I 1 1 2/b', '-I 2b', 'c3'],
+    [16, 'P 2 2 2', ' P 2 2', ''],
+    [17, 'P 2 2 21', ' P 2c 2', ''],
+    [18, 'P 21 21 2', ' P 2 2ab', ''],
+    [19, 'P 21 21 21', ' P 2ac 2ab', ''],
+    [20, 'C 2 2 21', ' C 2c 2', ''],
+    [21, 'C 2 2 2', ' C 2 2', ''],
+    [22, 'F 2 2 2', ' F 2 2', ''],
+    [23, 'I 2 2 2', ' I 2 2', ''],
+    [24, 'I 21 21 21', ' I 2b 2c', ''],
+    [25, 'P m m 2', ' P 2 -2', ''],
+    [26, 'P m c 21', ' P 2c -2', ''],
+    [27, 'P c c 2', ' P 2 -2c', ''],
+    [28, 'P m a 2', ' P 2 -2a', ''],
+    [29, 'P c a 21', ' P 2c -2ac', ''],
+    [29, 'P b c 21', ' P 2c -2b', 'ba-c'],
+    [30, 'P n c 2', ' P 2 -2bc', ''],
+    [31, 'P m n 21', ' P 2ac -2', ''],
+    [32, 'P b a 2', ' P 2 -2ab', ''],
+    [33, 'P n a 21', ' P 2c -2n', ''],
+    [33, 'P b n 21', ' P 2c -2ab', 'ba-c'],
+    [33, 'P 21 n b', ' P -2bc 2a', 'cab'],
+    [33, 'P 21 c n', ' P -2n 2a', '-cba'],
+    [33, 'P c 21 n', ' P -2n -2ac', 'bca'],
+    [33, 'P n 21 a', ' P -2ac -2n', 'a-cb'],
+    [34, 'P n n 2', ' P 2 -2n', ''],
+    [35, 'C m m 2', ' C 2 -2', ''],
+    [36, 'C m c 21', ' C 2c -2', ''],
+    [36, 'C c m 21', ' C 2c -2c', 'ba-c'],
+    [36, 'A 21 m a', ' A -2a 2a', 'cab'],
+    [36, 'A 21 a m', ' A -2 2a', '-cba'],
+    [36, 'B b 21 m', ' B -2 -2b', 'bca'],
+    [36, 'B m 21 b', ' B -2b -2', 'a-cb'],
+    [37, 'C c c 2', ' C 2 -2c', ''],
+    [38, 'A m m 2', ' A 2 -2', ''],
+    [39, 'A e m 2', ' A 2 -2c', ''],
+    [40, 'A m a 2', ' A 2 -2a', ''],
+    [41, 'A e a 2', ' A 2 -2ac', ''],
+    [42, 'F m m 2', ' F 2 -2', ''],
+    [43, 'F d d 2', ' F 2 -2d', ''],
+    [44, 'I m m 2', ' I 2 -2', ''],
+    [45, 'I b a 2', ' I 2 -2c', ''],
+    [46, 'I m a 2', ' I 2 -2a', ''],
+    [47, 'P m m m', '-P 2 2', ''],
+    [48, 'P n n n', ' P 2 2 -1n', '1'],
+    [48, 'P n n n', '-P 2ab 2bc', '2'],
+    [49, 'P c c m', '-P 2 2c', ''],
+    [50, 'P b a n', ' P 2 2 -1ab', '1'],
+    [50, 'P b a n', '-P 2ab 2b', '2'],
+    [51, 'P m m a', '-P 2a 2a', ''],
+    [52, 'P n n a', '-P 2a 2bc', ''],
+    [53, 'P m n a', '-P 2ac 2', ''],
+    [54, 'P c c a', '-P 2a 2ac', ''],
+    [55, 'P b a m', '-P 2 2ab', ''],
+    [56, 'P c c n', '-P 2ab 2ac', ''],
+    [57, 'P b c m', '-P 2c 2b', ''],
+    [57, 'P c a m', '-P 2c 2ac', 'ba-c'],
+    [57, 'P m c a', '-P 2ac 2a', 'cab'],
+    [57, 'P m a b', '-P 2b 2a', '-cba'],
+    [57, 'P b m a', '-P 2a 2ab', 'bca'],
+    [57, 'P c m b', '-P 2bc 2c', 'a-cb'],
+    [58, 'P n n m', '-P 2 2n', ''],
+    [59, 'P m m n', ' P 2 2ab -1ab', '1'],
+    [59, 'P m m n', '-P 2ab 2a', '2'],
+    [60, 'P b c n', '-P 2n 2ab', ''],
+    [60, 'P c a n', '-P 2n 2c', 'ba-c'],
+    [60, 'P n c a', '-P 2a 2n', 'cab'],
+    [60, 'P n a b', '-P 2bc 2n', '-cba'],
+    [60, 'P b n a', '-P 2ac 2b', 'bca'],
+    [60, 'P c n b', '-P 2b 2ac', 'a-cb'],
+    [61, 'P b c a', '-P 2ac 2ab', ''],
+    [61, 'P c a b', '-P 2bc 2ac', 'ba-c'],
+    [62, 'P n m a', '-P 2ac 2n', ''],
+    [62, 'P m n b', '-P 2bc 2a', 'ba-c'],
+    [62, 'P b n m', '-P 2c 2ab', 'cab'],
+    [62, 'P c m n', '-P 2n 2ac', '-cba'],
+    [62, 'P m c n', '-P 2n 2a', 'bca'],
+    [62, 'P n a m', '-P 2c 2n', 'a-cb'],
+    [63, 'C m c m', '-C 2c 2', ''],
+    [63, 'C c m m', '-C 2c 2c', 'ba-c'],
+    [63, 'A m m a', '-A 2a 2a', 'cab'],
+    [63, 'A m a m', '-A 2 2a', '-cba'],
+    [63, 'B b m m', '-B 2 2b', 'bca'],
+    [63, 'B m m b', '-B 2b 2', 'a-cb'],
+    [64, 'C m c e', '-C 2bc 2', ''],
+    [64, 'C c m e', '-C 2bc 2bc', 'ba-c'],
+    [64, 'A e m a', '-A 2ac 2ac', 'cab'],
+    [64, 'A e a m', '-A 2 2ac', '-cba'],
+    [64, 'B b e m', '-B 2 2bc', 'bca'],
+    [64, 'B m e b', '-B 2bc 2', 'a-cb'],
+    [65, 'C m m m', '-C 2 2', ''],
+    [66, 'C c c m', '-C 2 2c', ''],
+    [67, 'C m m e', '-C 2b 2', ''],
+    [68, 'C c c e', ' C 2 2 -1bc', '1'],
+    [68, 'C c c e', '-C 2b 2bc', '2'],
+    [69, 'F m m m', '-F 2 2', ''],
+    [70, 'F d d d', ' F 2 2 -1d', '1'],
+    [70, 'F d d d', '-F 2uv 2vw', '2'],
+    [71, 'I m m m', '-I 2 2', ''],
+    [72, 'I b a m', '-I 2 2c', ''],
+    [73, 'I b c a', '-I 2b 2c', ''],
+    [74, 'I m m a', '-I 2b 2', ''],
+    [75, 'P 4', ' P 4', ''],
+    [76, 'P 41', ' P 4w', ''],
+    [77, 'P 42', ' P 4c', ''],
+    [78, 'P 43', ' P 4cw', ''],
+    [79, 'I 4', ' I 4', ''],
+    [80, 'I 41', ' I 4bw', ''],
+    [81, 'P -4', ' P -4', ''],
+    [82, 'I -4', ' I -4', ''],
+    [83, 'P 4/m', '-P 4', ''],
+    [84, 'P 42/m', '-P 4c', ''],
+    [85, 'P 4/n', ' P 4ab -1ab', '1'],
+    [85, 'P 4/n', '-P 4a', '2'],
+    [86, 'P 42/n', ' P 4n -1n', '1'],
+    [86, 'P 42/n', '-P 4bc', '2'],
+    [87, 'I 4/m', '-I 4', ''],
+    [88, 'I 41/a', ' I 4bw -1bw', '1'],
+    [88, 'I 41/a', '-I 4ad', '2'],
+    [89, 'P 4 2 2', ' P 4 2', ''],
+    [90, 'P 4 21 2', ' P 4ab 2ab', ''],
+    [91, 'P 41 2 2', ' P 4w 2c', ''],
+    [92, 'P 41 21 2', ' P 4abw 2nw', ''],
+    [93, 'P 42 2 2', ' P 4c 2', ''],
+    [94, 'P 42 21 2', ' P 4n 2n', ''],
+    [95, 'P 43 2 2', ' P 4cw 2c', ''],
+    [96, 'P 43 21 2', ' P 4nw 2abw', ''],
+    [97, 'I 4 2 2', ' I 4 2', ''],
+    [98, 'I 41 2 2', ' I 4bw 2bw', ''],
+    [99, 'P 4 m m', ' P 4 -2', ''],
+    [100, 'P 4 b m', ' P 4 -2ab', ''],
+    [101, 'P 42 c m', ' P 4c -2c', ''],
+    [102, 'P 42 n m', ' P 4n -2n', ''],
+    [103, 'P 4 c c', ' P 4 -2c', ''],
+    [104, 'P 4 n c', ' P 4 -2n', ''],
+    [105, 'P 42 m c', ' P 4c -2', ''],
+    [106, 'P 42 b c', ' P 4c -2ab', ''],
+    [107, 'I 4 m m', ' I 4 -2', ''],
+    [108, 'I 4 c m', ' I 4 -2c', ''],
+    [109, 'I 41 m d', ' I 4bw -2', ''],
+    [110, 'I 41 c d', ' I 4bw -2c', ''],
+    [111, 'P -4 2 m', ' P -4 2', ''],
+    [112, 'P -4 2 c', ' P -4 2c', ''],
+    [113, 'P -4 21 m', ' P -4 2ab', ''],
+    [114, 'P -4 21 c', ' P -4 2n', ''],
+    [115, 'P -4 m 2', ' P -4 -2', ''],
+    [116, 'P -4 c 2', ' P -4 -2c', ''],
+    [117, 'P -4 b 2', ' P -4 -2ab', ''],
+    [118, 'P -4 n 2', ' P -4 -2n', ''],
+    [119, 'I -4 m 2', ' I -4 -2', ''],
+    [120, 'I -4 c 2', ' I -4 -2c', ''],
+    [121, 'I -4 2 m', ' I -4 2', ''],
+    [122, 'I -4 2 d', ' I -4 2bw', ''],
+    [123, 'P 4/m m m', '-P 4 2', ''],
+    [124, 'P 4/m c c', '-P 4 2c', ''],
+    [125, 'P 4/n b m', ' P 4 2 -1ab', '1'],
+    [125, 'P 4/n b m', '-P 4a 2b', '2'],
+    [126, 'P 4/n n c', ' P 4 2 -1n', '1'],
+    [126, 'P 4/n n c', '-P 4a 2bc', '2'],
+    [127, 'P 4/m b m', '-P 4 2ab', ''],
+    [128, 'P 4/m n c', '-P 4 2n', ''],
+    [129, 'P 4/n m m', ' P 4ab 2ab -1ab', '1'],
+    [129, 'P 4/n m m', '-P 4a 2a', '2'],
+    [130, 'P 4/n c c', ' P 4ab 2n -1ab', '1'],
+    [130, 'P 4/n c c', '-P 4a 2ac', '2'],
+    [131, 'P 42/m m c', '-P 4c 2', ''],
+    [132, 'P 42/m c m', '-P 4c 2c', ''],
+    [133, 'P 42/n b c', ' P 4n 2c -1n', '1'],
+    [133, 'P 42/n b c', '-P 4ac 2b', '2'],
+    [134, 'P 42/n n m', ' P 4n 2 -1n', '1'],
+    [134, 'P 42/n n m', '-P 4ac 2bc', '2'],
+    [135, 'P 42/m b c', '-P 4c 2ab', ''],
+    [136, 'P 42/m n m', '-P 4n 2n', ''],
+    [137, 'P 42/n m c', ' P 4n 2n -1n', '1'],
+    [137, 'P 42/n m c', '-P 4ac 2a', '2'],
+    [138, 'P 42/n c m', ' P 4n 2ab -1n', '1'],
+    [138, 'P 42/n c m', '-P 4ac 2ac', '2'],
+    [139, 'I 4/m m m', '-I 4 2', ''],
+    [140, 'I 4/m c m', '-I 4 2c', ''],
+    [141, 'I 41/a m d', ' I 4bw 2bw -1bw', '1'],
+    [141, 'I 41/a m d', '-I 4bd 2', '2'],
+    [142, 'I 41/a c d', ' I 4bw 2aw -1bw', '1'],
+    [142, 'I 41/a c d', '-I 4bd 2c', '2'],
+    [143, 'P 3', ' P 3', ''],
+    [144, 'P 31', ' P 31', ''],
+    [145, 'P 32', ' P 32', ''],
+    [146, 'R 3', ' R 3', 'H'],
+    [146, 'R 3', ' P 3*', 'R'],
+    [147, 'P -3', '-P 3', ''],
+    [148, 'R -3', '-R 3', 'H'],
+    [148, 'R -3', '-P 3*', 'R'],
+    [149, 'P 3 1 2', ' P 3 2', ''],
+    [150, 'P 3 2 1', ' P 3 2"', ''],
+    [151, 'P 31 1 2', ' P 31 2c (0 0 1)', ''],
+    [152, 'P 31 2 1', ' P 31 2"', ''],
+    [153, 'P 32 1 2', ' P 32 2c (0 0 -1)', ''],
+    [154, 'P 32 2 1', ' P 32 2"', ''],
+    [155, 'R 3 2', ' R 3 2"', 'H'],
+    [155, 'R 3 2', ' P 3* 2', 'R'],
+    [156, 'P 3 m 1', ' P 3 -2"', ''],
+    [157, 'P 3 1 m', ' P 3 -2', ''],
+    [158, 'P 3 c 1', ' P 3 -2"c', ''],
+    [159, 'P 3 1 c', ' P 3 -2c', ''],
+    [160, 'R 3 m', ' R 3 -2"', 'H'],
+    [160, 'R 3 m', ' P 3* -2', 'R'],
+    [161, 'R 3 c', ' R 3 -2"c', 'H'],
+    [161, 'R 3 c', ' P 3* -2n', 'R'],
+    [162, 'P -3 1 m', '-P 3 2', ''],
+    [163, 'P -3 1 c', '-P 3 2c', ''],
+    [164, 'P -3 m 1', '-P 3 2"', ''],
+    [165, 'P -3 c 1', '-P 3 2"c', ''],
+    [166, 'R -3 m', '-R 3 2"', 'H'],
+    [166, 'R -3 m', '-P 3* 2', 'R'],
+    [167, 'R -3 c', '-R 3 2"c', 'H'],
+    [167, 'R -3 c', '-P 3* 2n', 'R'],
+    [168, 'P 6', ' P 6', ''],
+    [169, 'P 61', ' P 61', ''],
+    [170, 'P 65', ' P 65', ''],
+    [171, 'P 62', ' P 62', ''],
+    [172, 'P 64', ' P 64', ''],
+    [173, 'P 63', ' P 6c', ''],
+    [174, 'P -6', ' P -6', ''],
+    [175, 'P 6/m', '-P 6', ''],
+    [176, 'P 63/m', '-P 6c', ''],
+    [177, 'P 6 2 2', ' P 6 2', ''],
+    [178, 'P 61 2 2', ' P 61 2 (0 0 -1)', ''],
+    [179, 'P 65 2 2', ' P 65 2 (0 0 1)', ''],
+    [180, 'P 62 2 2', ' P 62 2c (0 0 1)', ''],
+    [181, 'P 64 2 2', ' P 64 2c (0 0 -1)', ''],
+    [182, 'P 63 2 2', ' P 6c 2c', ''],
+    [183, 'P 6 m m', ' P 6 -2', ''],
+    [184, 'P 6 c c', ' P 6 -2c', ''],
+    [185, 'P 63 c m', ' P 6c -2', ''],
+    [186, 'P 63 m c', ' P 6c -2c', ''],
+    [187, 'P -6 m 2', ' P -6 2', ''],
+    [188, 'P -6 c 2', ' P -6c 2', ''],
+    [189, 'P -6 2 m', ' P -6 -2', ''],
+    [190, 'P -6 2 c', ' P -6c -2c', ''],
+    [191, 'P 6/m m m', '-P 6 2', ''],
+    [192, 'P 6/m c c', '-P 6 2c', ''],
+    [193, 'P 63/m c m', '-P 6c 2', ''],
+    [194, 'P 63/m m c', '-P 6c 2c', ''],
+    [195, 'P 2 3', ' P 2 2 3', ''],
+    [196, 'F 2 3', ' F 2 2 3', ''],
+    [197, 'I 2 3', ' I 2 2 3', ''],
+    [198, 'P 21 3', ' P 2ac 2ab 3', ''],
+    [199, 'I 21 3', ' I 2b 2c 3', ''],
+    [200, 'P m -3', '-P 2 2 3', ''],
+    [201, 'P n -3', ' P 2 2 3 -1n', '1'],
+    [201, 'P n -3', '-P 2ab 2bc 3', '2'],
+    [202, 'F m -3', '-F 2 2 3', ''],
+    [203, 'F d -3', ' F 2 2 3 -1d', '1'],
+    [203, 'F d -3', '-F 2uv 2vw 3', '2'],
+    [204, 'I m -3', '-I 2 2 3', ''],
+    [205, 'P a -3', '-P 2ac 2ab 3', ''],
+    [206, 'I a -3', '-I 2b 2c 3', ''],
+    [207, 'P 4 3 2', ' P 4 2 3', ''],
+    [208, 'P 42 3 2', ' P 4n 2 3', ''],
+    [209, 'F 4 3 2', ' F 4 2 3', ''],
+    [210, 'F 41 3 2', ' F 4d 2 3', ''],
+    [211, 'I 4 3 2', ' I 4 2 3', ''],
+    [212, 'P 43 3 2', ' P 4acd 2ab 3', ''],
+    [213, 'P 41 3 2', ' P 4bd 2ab 3', ''],
+    [214, 'I 41 3 2', ' I 4bd 2c 3', ''],
+    [215, 'P -4 3 m', ' P -4 2 3', ''],
+    [216, 'F -4 3 m', ' F -4 2 3', ''],
+    [217, 'I -4 3 m', ' I -4 2 3', ''],
+    [218, 'P -4 3 n', ' P -4n 2 3', ''],
+    [219, 'F -4 3 c', ' F -4c 2 3', ''],
+    [220, 'I -4 3 d', ' I -4bd 2c 3', ''],
+    [221, 'P m -3 m', '-P 4 2 3', ''],
+    [222, 'P n -3 n', ' P 4 2 3 -1n', '1'],
+    [222, 'P n -3 n', '-P 4a 2bc 3', '2'],
+    [223, 'P m -3 n', '-P 4n 2 3', ''],
+    [224, 'P n -3 m', ' P 4n 2 3 -1n', '1'],
+    [224, 'P n -3 m', '-P 4bc 2bc 3', '2'],
+    [225, 'F m -3 m', '-F 4 2 3', ''],
+    [226, 'F m -3 c', '-F 4c 2 3', ''],
+    [227, 'F d -3 m', ' F 4d 2 3 -1d', '1'],
+    [227, 'F d -3 m', '-F 4vw 2vw 3', '2'],
+    [228, 'F d -3 c', ' F 4d 2 3 -1cd', '1'],
+    [228, 'F d -3 c', '-F 4cvw 2vw 3', '2'],
+    [229, 'I m -3 m', '-I 4 2 3', ''],
+    [230, 'I a -3 d', '-I 4bd 2c 3', '']
+];
+
+// Older names that are still common in CIFs, mapped to the current symbol
+const SYMBOL_ALIASES = {
+    'A b m 2': 'A e m 2',
+    'A b a 2': 'A e a 2',
+    'C m c a': 'C m c e',
+    'C m m a': 'C m m e',
+    'C c c a': 'C c c e'
+};
+
+// Lattice centring translations, in twelfths of a cell edge
+const CENTRING_VECTORS = {
+    P: [],
+    A: [[0, 6, 6]],
+    B: [[6, 0, 6]],
+    C: [[6, 6, 0]],
+    I: [[6, 6, 6]],
+    R: [[8, 4, 4], [4, 8, 8]],
+    S: [[4, 4, 8], [8, 8, 4]],
+    T: [[4, 8, 4], [8, 4, 8]],
+    F: [[0, 6, 6], [6, 0, 6], [6, 6, 0]]
+};
+
+// Proper rotation matrices along the crystal axes (Hall 1981, Table 3)
+const AXIS_ROTATIONS = {
+    x: {
+        2: [[1, 0, 0], [0, -1, 0], [0, 0, -1]],
+        3: [[1, 0, 0], [0, 0, -1], [0, 1, -1]],
+        4: [[1, 0, 0], [0, 0, -1], [0, 1, 0]],
+        6: [[1, 0, 0], [0, 1, -1], [0, 1, 0]]
+    },
+    y: {
+        2: [[-1, 0, 0], [0, 1, 0], [0, 0, -1]],
+        3: [[-1, 0, 1], [0, 1, 0], [-1, 0, 0]],
+        4: [[0, 0, 1], [0, 1, 0], [-1, 0, 0]],
+        6: [[0, 0, 1], [0, 1, 0], [-1, 0, 1]]
+    },
+    z: {
+        2: [[-1, 0, 0], [0, -1, 0], [0, 0, 1]],
+        3: [[0, -1, 0], [1, -1, 0], [0, 0, 1]],
+        4: [[0, -1, 0], [1, 0, 0], [0, 0, 1]],
+        6: [[1, -1, 0], [1, 0, 0], [0, 0, 1]]
+    }
+};
+
+// Two-fold axes along face diagonals: ' is a-b (for principal axis z), " is a+b; keyed by principal axis
+const DIAGONAL_TWOFOLDS = {
+    "'": {
+        x: [[-1, 0, 0], [0, 0, -1], [0, -1, 0]],
+        y: [[0, 0, -1], [0, -1, 0], [-1, 0, 0]],
+        z: [[0, -1, 0], [-1, 0, 0], [0, 0, -1]]
+    },
+    '"': {
+        x: [[-1, 0, 0], [0, 0, 1], [0, 1, 0]],
+        y: [[0, 0, 1], [0, -1, 0], [1, 0, 0]],
+        z: [[0, 1, 0], [1, 0, 0], [0, 0, -1]]
+    }
+};
+
+// Three-fold axis along the body diagonal a+b+c
+const BODY_DIAGONAL_THREEFOLD = [[0, 0, 1], [1, 0, 0], [0, 1, 0]];
+
+// Translation symbols, in twelfths
+const TRANSLATION_SYMBOLS = {
+    a: [6, 0, 0], b: [0, 6, 0], c: [0, 0, 6], n: [6, 6, 6],
+    u: [3, 0, 0], v: [0, 3, 0], w: [0, 0, 3], d: [3, 3, 3]
+};
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+// Helper functions
+function mod12(value) {
+    return ((value % 12) + 12) % 12;
+}
+
+function multiplyMatrix(a, b) {
+    return [0, 1, 2].map(i => [0, 1, 2].map(j => a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j]));
+}
+
+function multiplyMatrixVector(m, v) {
+    return [0, 1, 2].map(i => m[i][0] * v[0] + m[i][1] * v[1] + m[i][2] * v[2]);
+}
+
+// Key identifying an operation with translation in twelfths (already reduced mod 12)
+function operationKey(rotation, translation) {
+    return `${rotation.flat().join(',')}|${translation.join(',')}`;
+}
+
+/**
+ * Generate the symmetry operations encoded by a Hall symbol.
+ *
+ * @param {string} hallSymbol - e.g. '-P 2ybc' or ' P 31 2c (0 0 1)'.
+ * @returns {Array<{rotation: number[][], translation: number[]}>} - Full list of operations,
+ *   including centring, with translations as fractions in [0, 1).
+ */
+export function getSymmetryOperationsFromHall(hallSymbol) {
+    let symbol = hallSymbol.trim();
+
+    // Origin shift in twelfths, e.g. '(0 0 1)'
+    let originShift = [0, 0, 0];
+    const shiftMatch = symbol.match(/\(([^)]*)\)\s*$/);
+    if (shiftMatch) {
+        originShift = shiftMatch[1].trim().split(/[\s,]+/).map(Number);
+        if (originShift.length !== 3 || originShift.some(Number.isNaN)) {
+            throw new Error(`Invalid origin shift in Hall symbol '${hallSymbol}'.`);
+        }
+        symbol = symbol.slice(0, shiftMatch.index).trim();
+    }
+
+    const [latticeToken, ...matrixTokens] = symbol.split(/\s+/);
+    const latticeMatch = /^(-?)([PABCIRSTF])$/i.exec(latticeToken || '');
+    if (!latticeMatch) {
+        throw new Error(`Invalid lattice symbol in Hall symbol '${hallSymbol}'.`);
+    }
+    const centrosymmetric = latticeMatch[1] === '-';
+    const centring = CENTRING_VECTORS[latticeMatch[2].toUpperCase()];
+
+    // Build the generators from the matrix symbols
+    const generators = [];
+    if (centrosymmetric) generators.push({ rotation: IDENTITY.map(row => row.map(v => -v)), translation: [0, 0, 0] });
+
+    let previousOrder = 0;
+    let previousAxis = 'z';
+    matrixTokens.forEach((token, index) => {
+        const match = /^(-?)([12346])(.*)$/.exec(token);
+        if (!match) throw new Error(`Invalid matrix symbol '${token}' in Hall symbol '${hallSymbol}'.`);
+        const improper = match[1] === '-';
+        const order = Number(match[2]);
+
+        let axis = null;
+        let screw = 0;
+        const translation = [0, 0, 0];
+        for (const character of match[3]) {
+            if ("xyz'\"*".includes(character)) {
+                axis = character;
+            } else if (/[1-5]/.test(character)) {
+                screw = Number(character);
+            } else if (TRANSLATION_SYMBOLS[character]) {
+                TRANSLATION_SYMBOLS[character].forEach((t, i) => { translation[i] += t; });
+            } else {
+                throw new Error(`Invalid character '${character}' in Hall symbol '${hallSymbol}'.`);
+            }
+        }
+
+        // Default axis directions (Hall 1981): first along c, second along a or a-b, third along a+b+c
+        if (!axis && order !== 1) {
+            if (index === 0) axis = 'z';
+            else if (index === 1 && order === 2) axis = (previousOrder === 2 || previousOrder === 4) ? 'x' : "'";
+            else if (index === 2 && order === 3) axis = '*';
+            else throw new Error(`Cannot infer the axis of '${token}' in Hall symbol '${hallSymbol}'.`);
+        }
+
+        let rotation;
+        if (order === 1) {
+            rotation = IDENTITY;
+        } else if (axis === '*') {
+            if (order !== 3) throw new Error(`Only 3-fold axes may lie along a+b+c ('${token}').`);
+            rotation = BODY_DIAGONAL_THREEFOLD;
+        } else if (axis === "'" || axis === '"') {
+            if (order !== 2) throw new Error(`Only 2-fold axes may lie along face diagonals ('${token}').`);
+            const principal = 'xyz'.includes(previousAxis) ? previousAxis : 'z';
+            rotation = DIAGONAL_TWOFOLDS[axis][principal];
+        } else {
+            rotation = AXIS_ROTATIONS[axis][order];
+        }
+        if (improper) rotation = rotation.map(row => row.map(v => -v));
+
+        // Screw component s/N along the rotation axis
+        if (screw) {
+            if (!'xyz'.includes(axis)) throw new Error(`Screw component on a non-principal axis ('${token}').`);
+            translation['xyz'.indexOf(axis)] += 12 * screw / order;
+        }
+
+        generators.push({ rotation, translation: translation.map(mod12) });
+        previousOrder = order;
+        if (axis) previousAxis = axis;
+    });
+
+    // Close the group under multiplication: (R1, t1)(R2, t2) = (R1 R2, R1 t2 + t1)
+    const operations = [{ rotation: IDENTITY, translation: [0, 0, 0] }];
+    const seen = new Set([operationKey(IDENTITY, [0, 0, 0])]);
+    for (let i = 0; i < operations.length; i++) {
+        for (const generator of generators) {
+            const rotation = multiplyMatrix(generator.rotation, operations[i].rotation);
+            const translation = multiplyMatrixVector(generator.rotation, operations[i].translation)
+                .map((t, k) => mod12(t + generator.translation[k]));
+            const key = operationKey(rotation, translation);
+            if (!seen.has(key)) {
+                seen.add(key);
+                operations.push({ rotation, translation });
+            }
+            if (operations.length > 192) throw new Error(`Hall symbol '${hallSymbol}' does not generate a finite space group.`);
+        }
+    }
+
+    // Shift the origin: (R, t) -> (R, t + (I - R) v), then add the centring translations
+    const result = [];
+    const resultKeys = new Set();
+    operations.forEach(({ rotation, translation }) => {
+        const rotatedShift = multiplyMatrixVector(rotation, originShift);
+        const shifted = translation.map((t, k) => mod12(t + originShift[k] - rotatedShift[k]));
+        [[0, 0, 0], ...centring].forEach(vector => {
+            const centred = shifted.map((t, k) => mod12(t + vector[k]));
+            const key = operationKey(rotation, centred);
+            if (!resultKeys.has(key)) {
+                resultKeys.add(key);
+                result.push({ rotation, translation: centred.map(t => t / 12) });
+            }
+        });
+    });
+    return result;
+}
+
+// Format a fraction of a cell edge as used in symmetry operation strings, e.g. 0.5 -> '1/2'
+function formatFraction(value) {
+    const twelfths = Math.round(value * 12);
+    if (twelfths === 0) return '';
+    const divisor = [12, 6, 4, 3, 2, 1].find(d => twelfths % d === 0 && 12 % d === 0);
+    const numerator = twelfths / divisor;
+    const denominator = 12 / divisor;
+    return denominator === 1 ? `${numerator}` : `${numerator}/${denominator}`;
+}
+
+/**
+ * Write an operation as a CIF-style string, e.g. { rotation: [[0,-1,0],...], translation: [0.5,0,0] } -> '-y+1/2,...'.
+ */
+export function formatSymmetryOperation({ rotation, translation }) {
+    return rotation.map((row, i) => {
+        let component = '';
+        row.forEach((coefficient, j) => {
+            if (coefficient === 0) return;
+            const variable = 'xyz'[j];
+            const sign = coefficient < 0 ? '-' : (component ? '+' : '');
+            const magnitude = Math.abs(coefficient) === 1 ? '' : `${Math.abs(coefficient)}*`;
+            component += `${sign}${magnitude}${variable}`;
+        });
+        const fraction = formatFraction(((translation[i] % 1) + 1) % 1);
+        if (fraction) component += `+${fraction}`;
+        return component || '0';
+    }).join(',');
+}
+
+/**
+ * True if two lists of operations describe the same set (translations compared modulo lattice translations).
+ */
+export function sameSymmetryOperations(operationsA, operationsB) {
+    const keys = (operations) => new Set(operations.map(({ rotation, translation }) =>
+        operationKey(rotation, translation.map(t => mod12(Math.round(t * 12))))));
+    const keysA = keys(operationsA);
+    const keysB = keys(operationsB);
+    return keysA.size === keysB.size && [...keysA].every(key => keysB.has(key));
+}
+
+// Normalize a Hermann-Mauguin symbol for lookup: lower case, no spaces or underscores, e.g. 'P 63/m m c' -> 'p63/mmc'
+function normalizeSymbol(symbol) {
+    return symbol.toLowerCase().replace(/[\s_]/g, '');
+}
+
+// Lookup tables from normalized symbol to the table entries (one per setting)
+const settingsBySymbol = new Map();
+function addSymbol(symbol, entry) {
+    const key = normalizeSymbol(symbol);
+    if (!settingsBySymbol.has(key)) settingsBySymbol.set(key, []);
+    if (!settingsBySymbol.get(key).includes(entry)) settingsBySymbol.get(key).push(entry);
+}
+SPACE_GROUP_SETTINGS.forEach(entry => {
+    const [number, symbol] = entry;
+    addSymbol(symbol, entry);
+    // Short monoclinic symbols, e.g. 'P 1 21/c 1' -> 'P 21/c'; unique axis b is listed first and wins
+    const parts = symbol.split(' ');
+    if (number >= 3 && number <= 15) {
+        const short = [parts[0], ...parts.slice(1).filter(part => part !== '1')].join(' ');
+        if (!settingsBySymbol.has(normalizeSymbol(short))) addSymbol(short, entry);
+    }
+    // Older cubic symbols without the bar, e.g. 'F m 3 m'
+    if (number >= 200) addSymbol(symbol.replace('-3', '3'), entry);
+});
+Object.entries(SYMBOL_ALIASES).forEach(([alias, symbol]) => {
+    settingsBySymbol.get(normalizeSymbol(symbol)).forEach(entry => addSymbol(alias, entry));
+});
+
+// Rhombohedral cells (a = b = c, alpha = beta = gamma != 90) use the 'R' setting of R groups
+function isRhombohedralCell(cellParameters) {
+    if (!cellParameters) return false;
+    const { a, b, c, alpha, beta, gamma } = cellParameters;
+    const close = (x, y) => Math.abs(x - y) < 1e-3 * Math.max(1, Math.abs(x));
+    return close(a, b) && close(b, c) && close(alpha, beta) && close(beta, gamma) && !close(alpha, 90);
+}
+
+// Choose among the settings of one symbol or number: explicit setting code first, then defaults
+// (origin choice 2, hexagonal axes unless the cell is rhombohedral, standard monoclinic/orthorhombic setting)
+function chooseSetting(entries, settingCode, cellParameters) {
+    if (entries.length === 0) return null;
+    if (settingCode) {
+        const explicit = entries.find(entry => entry[3].toLowerCase() === settingCode.toLowerCase());
+        if (explicit) return explicit;
+    }
+    if (entries.some(entry => entry[3] === 'R' || entry[3] === 'H')) {
+        return entries.find(entry => entry[3] === (isRhombohedralCell(cellParameters) ? 'R' : 'H'));
+    }
+    return entries.find(entry => entry[3] === '2') || entries[0];
+}
+
+/**
+ * Find the space-group setting described by the Hermann-Mauguin symbol or the IT number.
+ * Settings may be given as a ':1', ':2', ':H', ':R' suffix, or ICSD-style ' S'/' Z' (origin 1/2) and ' H'/' R'.
+ *
+ * @param {object} query - { hmSymbol, number, cellParameters }
+ * @returns {object|null} - { number, hmSymbol, hallSymbol, setting } or null if nothing matches.
+ */
+export function findSpaceGroupSetting({ hmSymbol, number, cellParameters } = {}) {
+    if (typeof hmSymbol === 'string' && hmSymbol.trim() && hmSymbol.trim() !== '?') {
+        let symbol = hmSymbol.trim();
+        let settingCode = '';
+        const suffixMatch = symbol.match(/\s*:\s*(\S+)$/) || symbol.match(/\s+([SZHR])$/);
+        if (suffixMatch) {
+            settingCode = { S: '1', Z: '2' }[suffixMatch[1]] || suffixMatch[1];
+            symbol = symbol.slice(0, suffixMatch.index);
+        }
+        const entry = chooseSetting(settingsBySymbol.get(normalizeSymbol(symbol)) || [], settingCode, cellParameters);
+        if (entry) return { number: entry[0], hmSymbol: entry[1], hallSymbol: entry[2].trim(), setting: entry[3] };
+    }
+
+    if (Number.isInteger(number) && number >= 1 && number <= 230) {
+        const entries = SPACE_GROUP_SETTINGS.filter(entry => entry[0] === number);
+        // For numbers alone, keep the standard setting rather than an alternative axis choice
+        const standard = entries.filter(entry => ['', '1', '2', 'H', 'R', 'b', 'b1'].includes(entry[3]));
+        const entry = chooseSetting(standard, '', cellParameters);
+        if (entry) return { number: entry[0], hmSymbol: entry[1], hallSymbol: entry[2].trim(), setting: entry[3] };
+    }
+
+    return null;
+}
+
+// Operations of each tabulated Hall symbol, generated on the first identification
+const operationsByHall = new Map();
+
+/**
+ * Find the tabulated setting whose operations are exactly the given ones, for files that list operations but no symbol.
+ *
+ * @param {Array<{rotation: number[][], translation: number[]}>} symmetryMatrices - Parsed symmetry operations.
+ * @returns {object|null} - { number, hmSymbol, hallSymbol, setting }, or null for a non-tabulated setting or origin.
+ */
+export function identifySpaceGroupSetting(symmetryMatrices) {
+    if (!symmetryMatrices || symmetryMatrices.length === 0) return null;
+    for (const [number, hmSymbol, hallSymbol, setting] of SPACE_GROUP_SETTINGS) {
+        if (!operationsByHall.has(hallSymbol)) operationsByHall.set(hallSymbol, getSymmetryOperationsFromHall(hallSymbol));
+        const operations = operationsByHall.get(hallSymbol);
+        if (operations.length === symmetryMatrices.length && sameSymmetryOperations(operations, symmetryMatrices)) {
+            return { number, hmSymbol, hallSymbol: hallSymbol.trim(), setting };
+        }
+    }
+    return null;
+}
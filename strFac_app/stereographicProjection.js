@@ -0,0 +1,231 @@
+// stereographicProjection.js
+// Stereographic projection centred on the beam direction: poles of low-index planes (hkl) and directions [uvw] of the
+// upper hemisphere, great circles of low-index zones, and the angles of the poles from the beam and from a chosen
+// reference pole (Plotly scatter).
+import { getDirectLatticeVectors, getReciprocalLatticeVectors } from './crystallography.js';
+import { reduceIndices, formatIndices, directionToFourIndex, planeToFourIndex, isHexagonalCell } from './millerIndices.js';
+
+export const DEFAULT_MAX_POLE_INDEX = 2;
+export const MAX_POLE_INDEX = 4;
+const ZONE_CIRCLE_INDEX = 1; // great circles are drawn for zone axes with indices up to this
+const CIRCLE_POINTS = 90; // points per great circle
+const HEMISPHERE_TOLERANCE = 1e-6; // poles this close below the primitive circle are still drawn on it
+const PLANE_COLOR = '#3498db';
+const DIRECTION_COLOR = '#e67e22';
+const CIRCLE_COLOR = 'rgba(0, 0, 0, 0.25)';
+
+function dotProduct(v1, v2) {
+    return v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
+}
+
+function crossProduct(v1, v2) {
+    return [
+        v1[1] * v2[2] - v1[2] * v2[1],
+        v1[2] * v2[0] - v1[0] * v2[2],
+        v1[0] * v2[1] - v1[1] * v2[0]
+    ];
+}
+
+function normalizeVector(v) {
+    const length = Math.sqrt(dotProduct(v, v));
+    return v.map(value => value / length);
+}
+
+function combine(indices, basisVectors) {
+    return [0, 1, 2].map(k => indices[0] * basisVectors[0][k] + indices[1] * basisVectors[1][k] + indices[2] * basisVectors[2][k]);
+}
+
+// Angle in degrees between two unit vectors
+function angleBetween(v1, v2) {
+    return Math.acos(Math.min(1, Math.max(-1, dotProduct(v1, v2)))) * 180 / Math.PI;
+}
+
+// Every index triple with entries up to maxIndex and no common factor, both signs included
+function getReducedIndices(maxIndex) {
+    const triples = [];
+    for (let i = -maxIndex; i <= maxIndex; i++) {
+        for (let j = -maxIndex; j <= maxIndex; j++) {
+            for (let k = -maxIndex; k <= maxIndex; k++) {
+                if (i === 0 && j === 0 && k === 0) continue;
+                const reduced = reduceIndices([i, j, k]);
+                if (reduced.every((value, n) => value === [i, j, k][n])) triples.push([i, j, k]);
+            }
+        }
+    }
+    return triples;
+}
+
+/**
+ * Poles and zone circles of the stereographic projection seen along a zone axis. The projection plane has the same
+ * x and y directions as the zone-axis pattern, so the pole of a plane in the zone lies on the primitive circle in the
+ * direction of its spot; poles of the lower hemisphere are left out, since they show the same zones.
+ *
+ * @param {object} parsedData - Structure as returned by parseStructureFile.
+ * @param {number[]} beamUvw - Zone axis [uvw] at the centre of the projection.
+ * @param {object} options - { maxIndex (largest pole index), poles: 'both' | 'planes' | 'directions', referencePole
+ *   ({ kind: 'plane' | 'direction', indices } the angles referenceAngle are measured from, if any) }
+ * @returns {{poles: Array<{kind: string, indices: number[], x: number, y: number, angle: number, referenceAngle: number|null}>,
+ *   zones: Array<{uvw: number[], points: Array<number[]>}>, reference: object|null}|null} - Poles with their position in
+ *   units of the primitive circle radius, their angle from the beam and from the reference pole in degrees, the great
+ *   circle of each low-index zone (the zone of the beam is the primitive circle itself) and the reference pole
+ *   { kind, indices, x, y } (x and y null if it lies in the lower hemisphere); null if the cell is degenerate.
+ */
+export function getStereographicProjection(parsedData, beamUvw, options = {}) {
+    const directLatticeVectors = getDirectLatticeVectors(parsedData.cellParameters);
+    const reciprocalLatticeVectors = getReciprocalLatticeVectors(directLatticeVectors);
+    if (!reciprocalLatticeVectors) return null;
+    const maxIndex = Math.min(MAX_POLE_INDEX, Math.max(1, Math.round(options.maxIndex) || DEFAULT_MAX_POLE_INDEX));
+    const poleKinds = options.poles === 'planes' ? ['plane'] : options.poles === 'directions' ? ['direction'] : ['plane', 'direction'];
+
+    // Same basis as the zone-axis pattern
+    const normal = normalizeVector(combine(beamUvw, directLatticeVectors));
+    const dummyVector = Math.abs(normal[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const yVector = normalizeVector(crossProduct(dummyVector, normal));
+    const xVector = normalizeVector(crossProduct(normal, yVector));
+    // Projection from the lower pole onto the equatorial plane, with the primitive circle of radius 1
+    const project = (unitVector) => {
+        const z = dotProduct(unitVector, normal);
+        return [dotProduct(unitVector, xVector) / (1 + z), dotProduct(unitVector, yVector) / (1 + z)];
+    };
+
+    const getUnitVector = (kind, indices) => normalizeVector(combine(indices, kind === 'plane' ? reciprocalLatticeVectors : directLatticeVectors));
+
+    // Angles between poles are measured from the reference pole, which need not be one of the poles drawn
+    let reference = null;
+    let referenceVector = null;
+    if (options.referencePole) {
+        const { kind, indices } = options.referencePole;
+        referenceVector = getUnitVector(kind, indices);
+        const [x, y] = dotProduct(referenceVector, normal) < -HEMISPHERE_TOLERANCE ? [null, null] : project(referenceVector);
+        reference = { kind, indices, x, y };
+    }
+
+    const poles = [];
+    const triples = getReducedIndices(maxIndex);
+    poleKinds.forEach(kind => {
+        triples.forEach(indices => {
+            const unitVector = getUnitVector(kind, indices);
+            if (dotProduct(unitVector, normal) < -HEMISPHERE_TOLERANCE) return;
+            const [x, y] = project(unitVector);
+            const referenceAngle = referenceVector ? angleBetween(unitVector, referenceVector) : null;
+            poles.push({ kind, indices, x, y, angle: angleBetween(unitVector, normal), referenceAngle });
+        });
+    });
+
+    // A zone's great circle holds the normals of its planes: the half circle from e1 through e2 to -e1, where e1 is
+    // on the primitive circle and e2 is the top of the arc
+    const zones = [];
+    getReducedIndices(Math.min(ZONE_CIRCLE_INDEX, maxIndex)).forEach(uvw => {
+        const axis = normalizeVector(combine(uvw, directLatticeVectors));
+        const e1 = crossProduct(normal, axis);
+        const e1Length = Math.sqrt(dotProduct(e1, e1));
+        if (e1Length < 1e-9) return; // the zone of the beam is the primitive circle
+        const firstNonZero = uvw.find(value => value !== 0);
+        if (firstNonZero < 0) return; // [uvw] and its opposite have the same great circle
+        const start = e1.map(value => value / e1Length);
+        let top = crossProduct(axis, start);
+        if (dotProduct(top, normal) < 0) top = top.map(value => -value);
+        const points = [];
+        for (let n = 0; n <= CIRCLE_POINTS; n++) {
+            const t = Math.PI * n / CIRCLE_POINTS;
+            points.push(project([0, 1, 2].map(k => Math.cos(t) * start[k] + Math.sin(t) * top[k])));
+        }
+        zones.push({ uvw, points });
+    });
+
+    return { poles, zones, reference };
+}
+
+/**
+ * Draw a stereographic projection in a Plotly element. Each pole carries { kind, indices } as customdata, so that a
+ * click handler can switch to its zone or make it the reference pole; the hover text of every pole gives its angle
+ * from the beam and from the reference pole, which is ringed.
+ *
+ * @param {string} elementId - Id of the element to draw in.
+ * @param {object} parsedData - Structure as returned by parseStructureFile.
+ * @param {number[]} beamUvw - Zone axis [uvw] at the centre.
+ * @param {object} options - Options of getStereographicProjection, and showAngles (write each pole's angle from the
+ *   beam next to its indices).
+ * @returns {object|null} - The projection drawn, see getStereographicProjection.
+ */
+export function plotStereographicProjection(elementId, parsedData, beamUvw, options = {}) {
+    const projection = getStereographicProjection(parsedData, beamUvw, options);
+    if (!projection) return null;
+    const hexagonal = isHexagonalCell(parsedData.cellParameters);
+    // Hexagonal cells are labelled with four indices
+    const label = (kind, indices) => formatIndices(hexagonal ? (kind === 'plane' ? planeToFourIndex : directionToFourIndex)(indices) : indices, kind);
+    const beamLabel = label('direction', beamUvw);
+    const { reference } = projection;
+    const referenceLabel = reference && label(reference.kind, reference.indices);
+
+    const circle = Array.from({ length: 4 * CIRCLE_POINTS + 1 }, (_, n) => 2 * Math.PI * n / (4 * CIRCLE_POINTS));
+    const primitiveTrace = {
+        x: circle.map(Math.cos),
+        y: circle.map(Math.sin),
+        mode: 'lines',
+        type: 'scatter',
+        line: { color: 'rgba(0, 0, 0, 0.6)', width: 1.5 },
+        name: `Zone ${beamLabel}`,
+        text: `Zone ${beamLabel} (normal to the beam)`,
+        hoverinfo: 'text',
+        showlegend: false
+    };
+    // All great circles in one trace, separated by gaps
+    const zoneTrace = {
+        x: projection.zones.flatMap(({ points }) => [...points.map(point => point[0]), null]),
+        y: projection.zones.flatMap(({ points }) => [...points.map(point => point[1]), null]),
+        text: projection.zones.flatMap(({ uvw, points }) => [...points.map(() => `Zone ${label('direction', uvw)}`), null]),
+        mode: 'lines',
+        type: 'scatter',
+        line: { color: CIRCLE_COLOR, width: 1 },
+        name: 'Zones',
+        hoverinfo: 'text',
+        showlegend: false
+    };
+    const poleTraces = ['plane', 'direction'].map(kind => {
+        const poles = projection.poles.filter(pole => pole.kind === kind);
+        return {
+            x: poles.map(pole => pole.x),
+            y: poles.map(pole => pole.y),
+            text: poles.map(pole => options.showAngles ? `${label(kind, pole.indices)} ${pole.angle.toFixed(1)}°` : label(kind, pole.indices)),
+            hovertext: poles.map(pole => `${label(kind, pole.indices)}<br>${pole.angle.toFixed(2)}° from the beam ${beamLabel}`
+                + (pole.referenceAngle === null ? '' : `<br>${pole.referenceAngle.toFixed(2)}° from ${referenceLabel}`)
+                + '<br>Click to view this zone, shift-click to measure angles from this pole'),
+            customdata: poles.map(pole => ({ kind, indices: pole.indices })),
+            mode: 'markers+text',
+            type: 'scatter',
+            textposition: 'top center',
+            textfont: { size: 10, color: kind === 'plane' ? PLANE_COLOR : DIRECTION_COLOR },
+            marker: {
+                size: 8,
+                symbol: kind === 'plane' ? 'circle' : 'square',
+                color: kind === 'plane' ? PLANE_COLOR : DIRECTION_COLOR
+            },
+            name: kind === 'plane' ? 'Planes (hkl)' : 'Directions [uvw]',
+            hoverinfo: 'text'
+        };
+    }).filter(trace => trace.x.length > 0);
+    // A ring around the reference pole, drawn beneath the poles so that they stay clickable
+    const referenceTrace = {
+        x: reference && reference.x !== null ? [reference.x] : [],
+        y: reference && reference.y !== null ? [reference.y] : [],
+        mode: 'markers',
+        type: 'scatter',
+        marker: { size: 18, symbol: 'circle-open', color: 'black', line: { width: 2 } },
+        name: reference ? `Angles from ${referenceLabel}` : 'Reference pole',
+        hoverinfo: 'skip',
+        showlegend: Boolean(reference)
+    };
+
+    const axis = { range: [-1.15, 1.15], visible: false, fixedrange: true };
+    const layout = {
+        title: { text: `Stereographic projection along ${beamLabel}` },
+        xaxis: axis,
+        yaxis: { ...axis, scaleanchor: 'x', scaleratio: 1 },
+        legend: { orientation: 'h', x: 0.5, xanchor: 'center', y: 0 },
+        hovermode: 'closest',
+        margin: { l: 10, r: 10, t: 40, b: 10 }
+    };
+    Plotly.react(elementId, [primitiveTrace, zoneTrace, referenceTrace, ...poleTraces], layout);
+    return projection;
+}
@@ -0,0 +1,208 @@
+// structureExporters.js
+// Writers for the structure currently loaded: the full unit cell (after symmetry expansion) as a P1 CIF, a VASP POSCAR
+// or an extended XYZ file. Each takes the data object of parseStructureFile, and its output reads back through it.
+import { getDirectLatticeVectors } from './crystallography.js';
+import { formatSpecies } from './elementData.js';
+
+const COORDINATE_DIGITS = 6;
+const CELL_DIGITS = 6;
+const DISPLACEMENT_DIGITS = 5;
+
+// File extension and MIME type of each format
+export const STRUCTURE_EXPORT_FORMATS = {
+    cif: { extension: 'cif', mimeType: 'chemical/x-cif' },
+    poscar: { extension: 'vasp', mimeType: 'text/plain' },
+    xyz: { extension: 'extxyz', mimeType: 'chemical/x-xyz' }
+};
+
+function formatNumber(value, digits) {
+    const text = Number(value).toFixed(digits);
+    return /^-0\.0*$/.test(text) ? text.slice(1) : text;
+}
+
+// Quote a CIF value that contains spaces or starts with a character that has a meaning in CIF syntax
+function quoteCifValue(value) {
+    const text = String(value);
+    if (text === '') return "''";
+    if (/\s/.test(text) || /^[_#$'"[\];]/.test(text) || /^(data|loop|save|global|stop)_/i.test(text)) {
+        return text.includes("'") ? `"${text}"` : `'${text}'`;
+    }
+    return text;
+}
+
+// Cartesian position r = x a + y b + z c in the standard frame
+function fractionalToCartesian(atom, vectors) {
+    return [0, 1, 2].map(i => atom.x * vectors[0][i] + atom.y * vectors[1][i] + atom.z * vectors[2][i]);
+}
+
+// Elements in order of first appearance, each with its atoms (POSCAR needs the atoms grouped by species)
+function groupAtomsByElement(atomPositions) {
+    const groups = new Map();
+    atomPositions.forEach(atom => {
+        if (!groups.has(atom.label)) groups.set(atom.label, []);
+        groups.get(atom.label).push(atom);
+    });
+    return [...groups].map(([element, atoms]) => ({ element, atoms }));
+}
+
+/**
+ * What a format leaves out of a structure: POSCAR and XYZ files have no site occupancies, displacement parameters or
+ * oxidation states, so partially occupied atoms are written as fully occupied and the rest is dropped.
+ *
+ * @param {object} data - Structure as returned by parseStructureFile.
+ * @param {string} format - 'cif', 'poscar' or 'xyz'.
+ * @returns {string|null} - A sentence for the user, or null if the file keeps everything.
+ */
+export function getExportWarning(data, format) {
+    if (format === 'cif') return null;
+    const atoms = data.atomPositions;
+    const partialCount = atoms.filter(atom => Math.abs((atom.occupancy ?? 1) - 1) > 1e-6).length;
+    const dropped = [];
+    if (atoms.some(atom => atom.uIso > 0 || atom.uAniso)) dropped.push('displacement parameters');
+    if (atoms.some(atom => atom.oxidationState)) dropped.push('oxidation states');
+    const losses = [];
+    if (dropped.length > 0) losses.push(`drops the ${dropped.join(' and ')}`);
+    if (partialCount > 0) losses.push(`writes ${partialCount} partially occupied atom${partialCount > 1 ? 's' : ''} as fully occupied`);
+    if (losses.length === 0) return null;
+    return `${format === 'poscar' ? 'POSCAR' : 'XYZ'} export ${losses.join(', and ')}; export a CIF to keep them.`;
+}
+
+/**
+ * The full unit cell as a CIF in space group P 1, one _atom_site_ row per atom, with occupancies and
+ * displacement parameters (anisotropic U^ij as well, if the structure has them).
+ *
+ * @param {object} data - Structure as returned by parseStructureFile.
+ * @param {string} title - Name of the data block.
+ * @returns {string}
+ */
+export function formatCif(data, title = 'structure') {
+    const { cellParameters, atomPositions } = data;
+    const blockName = String(title).replace(/[^\w.-]+/g, '_') || 'structure';
+    const lines = [
+        `data_${blockName}`,
+        `# Expanded to P 1 from ${data.spaceGroupName && data.spaceGroupName !== 'N/A' ? `space group ${data.spaceGroupName}` : 'the original symmetry'}`
+    ];
+
+    const elements = (data.chemicalComponents && data.chemicalComponents.elements) || [];
+    if (elements.length > 0) {
+        const formula = elements.map(({ element, number }) => (number === 1 ? element : `${element}${number}`)).join(' ');
+        lines.push(`_chemical_formula_sum ${quoteCifValue(formula)}`);
+    }
+    if (data.formulaUnitsZ > 0) lines.push(`_cell_formula_units_Z ${data.formulaUnitsZ}`);
+    lines.push(
+        `_cell_length_a ${formatNumber(cellParameters.a, CELL_DIGITS)}`,
+        `_cell_length_b ${formatNumber(cellParameters.b, CELL_DIGITS)}`,
+        `_cell_length_c ${formatNumber(cellParameters.c, CELL_DIGITS)}`,
+        `_cell_angle_alpha ${formatNumber(cellParameters.alpha, CELL_DIGITS)}`,
+        `_cell_angle_beta ${formatNumber(cellParameters.beta, CELL_DIGITS)}`,
+        `_cell_angle_gamma ${formatNumber(cellParameters.gamma, CELL_DIGITS)}`,
+        `_space_group_name_H-M_alt 'P 1'`,
+        `_space_group_IT_number 1`,
+        '',
+        'loop_',
+        '_space_group_symop_operation_xyz',
+        "'x, y, z'",
+        '',
+        'loop_',
+        '_atom_site_label',
+        '_atom_site_type_symbol',
+        '_atom_site_fract_x',
+        '_atom_site_fract_y',
+        '_atom_site_fract_z',
+        '_atom_site_occupancy',
+        '_atom_site_U_iso_or_equiv'
+    );
+
+    // Symmetry copies share the site label of the original atom, so number the atoms of each element instead
+    const countByElement = {};
+    const labels = atomPositions.map(atom => {
+        countByElement[atom.label] = (countByElement[atom.label] || 0) + 1;
+        return `${atom.label}${countByElement[atom.label]}`;
+    });
+    atomPositions.forEach((atom, index) => {
+        lines.push([
+            labels[index],
+            formatSpecies(atom.label, atom.oxidationState),
+            ...[atom.x, atom.y, atom.z].map(value => formatNumber(value, COORDINATE_DIGITS)),
+            formatNumber(atom.occupancy ?? 1, 4),
+            formatNumber(atom.uIso || 0, DISPLACEMENT_DIGITS)
+        ].join(' '));
+    });
+
+    if (atomPositions.some(atom => atom.uAniso)) {
+        lines.push('', 'loop_', '_atom_site_aniso_label',
+            ...['11', '22', '33', '12', '13', '23'].map(suffix => `_atom_site_aniso_U_${suffix}`));
+        atomPositions.forEach((atom, index) => {
+            if (!atom.uAniso) return;
+            const u = atom.uAniso;
+            lines.push([labels[index], u[0][0], u[1][1], u[2][2], u[0][1], u[0][2], u[1][2]]
+                .map((value, i) => (i === 0 ? value : formatNumber(value, DISPLACEMENT_DIGITS))).join(' '));
+        });
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * The full unit cell as a VASP 5 POSCAR: lattice vectors in the standard frame (a along x, b in the xy plane),
+ * species and counts lines, and direct (fractional) coordinates grouped by element.
+ *
+ * @param {object} data - Structure as returned by parseStructureFile.
+ * @param {string} title - Comment line.
+ * @returns {string}
+ */
+export function formatPoscar(data, title = 'structure') {
+    const vectors = getDirectLatticeVectors(data.cellParameters);
+    const groups = groupAtomsByElement(data.atomPositions);
+
+    const lines = [
+        String(title).replace(/\s+/g, ' ').trim() || 'structure',
+        '1.0',
+        ...vectors.map(vector => vector.map(value => formatNumber(value, CELL_DIGITS).padStart(14)).join('')),
+        groups.map(({ element }) => element.padStart(5)).join(''),
+        groups.map(({ atoms }) => String(atoms.length).padStart(5)).join(''),
+        'Direct'
+    ];
+    groups.forEach(({ element, atoms }) => {
+        atoms.forEach(atom => {
+            lines.push(`${[atom.x, atom.y, atom.z].map(value => formatNumber(value, COORDINATE_DIGITS).padStart(12)).join('')}  ${element}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * The full unit cell as extended XYZ: Cartesian positions in Angstrom, with the lattice vectors and column layout
+ * in the comment line (Lattice="ax ay az bx by bz cx cy cz" Properties=species:S:1:pos:R:3 pbc="T T T").
+ *
+ * @param {object} data - Structure as returned by parseStructureFile.
+ * @returns {string}
+ */
+export function formatExtendedXyz(data) {
+    const vectors = getDirectLatticeVectors(data.cellParameters);
+    const lattice = vectors.flat().map(value => formatNumber(value, CELL_DIGITS)).join(' ');
+
+    const lines = [
+        String(data.atomPositions.length),
+        `Lattice="${lattice}" Properties=species:S:1:pos:R:3 pbc="T T T"`
+    ];
+    data.atomPositions.forEach(atom => {
+        const position = fractionalToCartesian(atom, vectors);
+        lines.push(`${atom.label.padEnd(3)}${position.map(value => formatNumber(value, COORDINATE_DIGITS).padStart(14)).join('')}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize a structure in one of STRUCTURE_EXPORT_FORMATS.
+ *
+ * @param {object} data - Structure as returned by parseStructureFile.
+ * @param {string} format - 'cif', 'poscar' or 'xyz'.
+ * @param {string} title - Data block name (CIF) or comment line (POSCAR).
+ * @returns {string}
+ */
+export function formatStructureFile(data, format, title) {
+    if (format === 'cif') return formatCif(data, title);
+    if (format === 'poscar') return formatPoscar(data, title);
+    if (format === 'xyz') return formatExtendedXyz(data);
+    throw new Error(`Unknown structure format '${format}'`);
+}
@@ -0,0 +1,244 @@
+// structureFactorTable.js
+// Structure factors of every reflection within a resolution limit, computed once per structure and radiation and then
+// looked up by hkl, so that a new zone axis only re-projects the reflections. The sums run in a Web Worker
+// (structureFactorWorker.js) that reports its progress and can be cancelled.
+import { getXrayScatteringFactor, getElectronScatteringFactor } from './scatteringFactors.js';
+
+const PROGRESS_INTERVAL = 100; // ms between progress reports of the worker
+
+// Tables already computed, per structure and then per radiation and form factor type
+const tableCache = new WeakMap();
+let worker = null;
+let pendingJob = null; // { parsedData, key, gLimit, promise, reject }
+let nextJobId = 1;
+
+// Electron tables are computed for gamma = 1, since the relativistic factor only scales every structure factor
+function getTableKey(options) {
+    if (options.radiation === 'electron') return 'electron';
+    return options.ionicFormFactors ? 'xray-ionic' : 'xray';
+}
+
+function createAbortError() {
+    const error = new Error("Structure factor calculation cancelled.");
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Structure factors F(hkl) = sum_j f_j(s) occ_j T_j(hkl) exp(2 pi i h.r_j) of all reflections with |g| <= gLimit,
+ * on a grid -H..H, -K..K, -L..L (entries beyond gLimit are NaN). Same sums as calculateStructureFactor, with the
+ * atoms packed in typed arrays and the form factor of each species evaluated once per reflection.
+ *
+ * @param {Array<object>} atomPositions - Atoms in the cell as returned by parseStructureFile.
+ * @param {Array<number[]>} reciprocalLatticeVectors - [a*, b*, c*] in Cartesian coordinates.
+ * @param {object} options - { gLimit (Angstrom^-1), radiation: 'xray' | 'electron', ionicFormFactors (X-ray only) }
+ * @param {function} onProgress - Called with the fraction done, between 0 and 1.
+ * @returns {{key: string, gLimit: number, ranges: number[], real: Float64Array, imaginary: Float64Array}}
+ */
+export function computeStructureFactorTable(atomPositions, reciprocalLatticeVectors, options, onProgress = () => {}) {
+    const key = getTableKey(options);
+    const gLimit = options.gLimit;
+    const reciprocalLengths = reciprocalLatticeVectors.map(v => Math.hypot(...v));
+    const ranges = reciprocalLengths.map(length => Math.ceil(gLimit / length));
+    const sizes = ranges.map(range => 2 * range + 1);
+
+    // Atoms: position, occupancy, displacement parameters and the index of their species
+    const count = atomPositions.length;
+    const positions = new Float64Array(3 * count);
+    const occupancies = new Float64Array(count);
+    const uIso = new Float64Array(count);
+    const uAniso = new Float64Array(9 * count);
+    const isAnisotropic = new Uint8Array(count);
+    const speciesIndex = new Int32Array(count);
+    const species = [];
+    atomPositions.forEach((atom, n) => {
+        positions.set([atom.x, atom.y, atom.z], 3 * n);
+        occupancies[n] = atom.occupancy ?? 1;
+        uIso[n] = atom.uIso || 0;
+        if (atom.uAniso) {
+            isAnisotropic[n] = 1;
+            uAniso.set(atom.uAniso.flat(), 9 * n);
+        }
+        const oxidationState = key === 'xray-ionic' ? atom.oxidationState || null : null;
+        let index = species.findIndex(entry => entry.element === atom.label && entry.oxidationState === oxidationState);
+        if (index < 0) index = species.push({ element: atom.label, oxidationState }) - 1;
+        speciesIndex[n] = index;
+    });
+    const getFormFactor = key === 'electron'
+        ? ({ element }, s) => getElectronScatteringFactor(element, s)
+        : ({ element, oxidationState }, s) => getXrayScatteringFactor(element, s, oxidationState);
+    const formFactors = new Float64Array(species.length);
+
+    const [aStar, bStar, cStar] = reciprocalLatticeVectors;
+    const real = new Float64Array(sizes[0] * sizes[1] * sizes[2]).fill(NaN);
+    const imaginary = new Float64Array(real.length);
+    for (let h = -ranges[0]; h <= ranges[0]; h++) {
+        for (let k = -ranges[1]; k <= ranges[1]; k++) {
+            for (let l = -ranges[2]; l <= ranges[2]; l++) {
+                const gx = h * aStar[0] + k * bStar[0] + l * cStar[0];
+                const gy = h * aStar[1] + k * bStar[1] + l * cStar[1];
+                const gz = h * aStar[2] + k * bStar[2] + l * cStar[2];
+                const gSquared = gx * gx + gy * gy + gz * gz;
+                if (gSquared > gLimit * gLimit) continue;
+                const s = Math.sqrt(gSquared) / 2;
+                for (let i = 0; i < species.length; i++) formFactors[i] = getFormFactor(species[i], s);
+                const scaled = [h * reciprocalLengths[0], k * reciprocalLengths[1], l * reciprocalLengths[2]];
+
+                let sumReal = 0;
+                let sumImaginary = 0;
+                for (let n = 0; n < count; n++) {
+                    let exponent;
+                    if (isAnisotropic[n]) {
+                        exponent = 0;
+                        for (let i = 0; i < 3; i++) {
+                            for (let j = 0; j < 3; j++) exponent += scaled[i] * scaled[j] * uAniso[9 * n + 3 * i + j];
+                        }
+                        exponent *= -2 * Math.PI * Math.PI;
+                    } else {
+                        exponent = -8 * Math.PI * Math.PI * uIso[n] * s * s;
+                    }
+                    const f = formFactors[speciesIndex[n]] * occupancies[n] * Math.exp(exponent);
+                    const angle = 2 * Math.PI * (h * positions[3 * n] + k * positions[3 * n + 1] + l * positions[3 * n + 2]);
+                    sumReal += f * Math.cos(angle);
+                    sumImaginary += f * Math.sin(angle);
+                }
+                const index = ((h + ranges[0]) * sizes[1] + (k + ranges[1])) * sizes[2] + (l + ranges[2]);
+                real[index] = sumReal;
+                imaginary[index] = sumImaginary;
+            }
+        }
+        onProgress((h + ranges[0] + 1) / sizes[0]);
+    }
+    return { key, gLimit, ranges, real, imaginary };
+}
+
+/**
+ * Structure factor of one reflection from a table.
+ *
+ * @param {object} table - As returned by computeStructureFactorTable.
+ * @param {Array<number>} hkl - Miller indices.
+ * @param {number} scale - Factor applied to F, e.g. the relativistic factor for electrons.
+ * @returns {{real: number, imaginary: number, magnitude: number}|null} - null if the reflection is not in the table.
+ */
+export function lookupStructureFactor(table, hkl, scale = 1) {
+    const { ranges } = table;
+    if (hkl.some((value, i) => Math.abs(value) > ranges[i])) return null;
+    const index = ((hkl[0] + ranges[0]) * (2 * ranges[1] + 1) + (hkl[1] + ranges[1])) * (2 * ranges[2] + 1) + (hkl[2] + ranges[2]);
+    const real = table.real[index] * scale;
+    if (Number.isNaN(real)) return null;
+    const imaginary = table.imaginary[index] * scale;
+    return { real, imaginary, magnitude: Math.sqrt(real * real + imaginary * imaginary) };
+}
+
+// Whether a table applies to the radiation and form factors of the analysis options
+export function isTableFor(table, options) {
+    return table.key === getTableKey(options);
+}
+
+/**
+ * The table of a structure that covers the options, if it has been computed already.
+ *
+ * @param {object} parsedData - Structure as returned by parseStructureFile.
+ * @param {object} options - { gLimit, radiation, ionicFormFactors }
+ * @returns {object|null}
+ */
+export function getCachedStructureFactorTable(parsedData, options) {
+    const tables = tableCache.get(parsedData);
+    const table = tables && tables.get(getTableKey(options));
+    return table && table.gLimit >= options.gLimit ? table : null;
+}
+
+function storeTable(parsedData, table) {
+    if (!tableCache.has(parsedData)) tableCache.set(parsedData, new Map());
+    tableCache.get(parsedData).set(table.key, table);
+}
+
+// Compute on the main thread, where Web Workers are not available
+function computeHere(parsedData, reciprocalLatticeVectors, options, onProgress) {
+    const table = computeStructureFactorTable(parsedData.atomPositions, reciprocalLatticeVectors, options, onProgress);
+    storeTable(parsedData, table);
+    return table;
+}
+
+/**
+ * The structure factor table of a structure, from the cache or computed in a Web Worker. A request for another
+ * structure or radiation cancels the job still running; the same request while it runs shares its result.
+ *
+ * @param {object} parsedData - Structure as returned by parseStructureFile.
+ * @param {Array<number[]>} reciprocalLatticeVectors - [a*, b*, c*] in Cartesian coordinates.
+ * @param {object} options - { gLimit (Angstrom^-1), radiation, ionicFormFactors }
+ * @param {function} onProgress - Called with the fraction done while the worker runs.
+ * @returns {Promise<object>} - The table; rejected with an AbortError if the job is cancelled.
+ */
+export function requestStructureFactorTable(parsedData, reciprocalLatticeVectors, options, onProgress = () => {}) {
+    const cached = getCachedStructureFactorTable(parsedData, options);
+    if (cached) return Promise.resolve(cached);
+    const key = getTableKey(options);
+    if (pendingJob && pendingJob.parsedData === parsedData && pendingJob.key === key && pendingJob.gLimit >= options.gLimit) {
+        return pendingJob.promise;
+    }
+    cancelStructureFactorTable();
+
+    if (typeof Worker === 'undefined') {
+        return Promise.resolve(computeHere(parsedData, reciprocalLatticeVectors, options, onProgress));
+    }
+    if (!worker) worker = new Worker(new URL('./structureFactorWorker.js', import.meta.url), { type: 'module' });
+    const id = nextJobId++;
+    const job = { parsedData, key, gLimit: options.gLimit };
+    job.promise = new Promise((resolve, reject) => {
+        job.reject = reject;
+        const finish = () => {
+            worker.onmessage = null;
+            worker.onerror = null;
+            pendingJob = null;
+        };
+        worker.onmessage = ({ data }) => {
+            if (data.id !== id) return;
+            if (data.type === 'progress') {
+                onProgress(data.fraction);
+                return;
+            }
+            finish();
+            storeTable(parsedData, data.table);
+            resolve(data.table);
+        };
+        // Browsers without module workers (or pages opened from disk) compute on the main thread instead
+        worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn(`Structure factor worker failed (${event.message || 'no module worker support'}); computing on the main thread.`);
+            finish();
+            worker.terminate();
+            worker = null;
+            try {
+                resolve(computeHere(parsedData, reciprocalLatticeVectors, options, onProgress));
+            } catch (error) {
+                reject(error);
+            }
+        };
+    });
+    pendingJob = job;
+    worker.postMessage({
+        id,
+        atomPositions: parsedData.atomPositions,
+        reciprocalLatticeVectors,
+        options: { gLimit: options.gLimit, radiation: options.radiation, ionicFormFactors: options.ionicFormFactors },
+        progressInterval: PROGRESS_INTERVAL
+    });
+    return job.promise;
+}
+
+/**
+ * Stop the structure factor job that is running, if any; its promise is rejected with an AbortError.
+ *
+ * @returns {boolean} - Whether a job was cancelled.
+ */
+export function cancelStructureFactorTable() {
+    if (!pendingJob) return false;
+    // A worker busy with its sums cannot read messages, so it is stopped and replaced for the next job
+    worker.terminate();
+    worker = null;
+    const { reject } = pendingJob;
+    pendingJob = null;
+    reject(createAbortError());
+    return true;
+}
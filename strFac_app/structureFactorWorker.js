@@ -0,0 +1,18 @@
+// structureFactorWorker.js
+// Module worker computing structure factor tables off the main thread (see structureFactorTable.js).
+// Message in: { id, atomPositions, reciprocalLatticeVectors, options, progressInterval (ms) }.
+// Messages out: { id, type: 'progress', fraction } while it runs, then { id, type: 'result', table }.
+import { computeStructureFactorTable } from './structureFactorTable.js';
+
+self.onmessage = ({ data }) => {
+    const { id, atomPositions, reciprocalLatticeVectors, options, progressInterval } = data;
+    let lastReport = 0;
+    const table = computeStructureFactorTable(atomPositions, reciprocalLatticeVectors, options, fraction => {
+        const now = Date.now();
+        if (now - lastReport < progressInterval) return;
+        lastReport = now;
+        self.postMessage({ id, type: 'progress', fraction });
+    });
+    // The typed arrays are handed over rather than copied
+    self.postMessage({ id, type: 'result', table }, [table.real.buffer, table.imaginary.buffer]);
+};
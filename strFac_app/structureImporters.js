@@ -0,0 +1,584 @@
+// structureImporters.js
+// Readers for structure files other than CIF: VASP POSCAR/CONTCAR, XYZ and extended XYZ, PDB and SHELX .res/.ins.
+// Each returns the same data object as parseCifInfo gives for a CIF (cellParameters, chemicalComponents, atomPositions,
+// space group, symmetryOperations and symmetryMatrices, plus formulaUnitsZ where the file gives Z), or null if the file
+// cannot be read.
+import { readCifStructure, createDiagnosticCollector, parseSymmetryOperation, expandAtomSites } from './parseCIF.js';
+import { getChemicalComponents } from './composition.js';
+import { getDirectLatticeVectors } from './crystallography.js';
+import { parseSpecies } from './elementData.js';
+import { findSpaceGroupSetting, getSymmetryOperationsFromHall, formatSymmetryOperation, identifySpaceGroupSetting } from './spaceGroups.js';
+
+const VACUUM_PADDING = 10; // Angstrom of empty space around a molecule that comes without a cell
+const DEFAULT_SHELX_U_ISO = 0.05; // Angstrom^2, SHELXL's default when an atom line gives no displacement parameter
+
+// File extensions of each format; files without a known extension are recognized by content
+const FORMAT_EXTENSIONS = {
+    cif: ['cif', 'mcif'],
+    poscar: ['vasp', 'poscar', 'contcar'],
+    xyz: ['xyz', 'extxyz'],
+    pdb: ['pdb', 'ent'],
+    shelx: ['res', 'ins']
+};
+
+// Helper functions
+function vectorLength(v) {
+    return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+}
+
+function angleBetween(v1, v2) {
+    const cosine = (v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2]) / (vectorLength(v1) * vectorLength(v2));
+    return Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+}
+
+function determinant3x3(m) {
+    return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+        - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+        + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+// Cell lengths and angles of the lattice vectors [a, b, c]
+function getCellFromVectors([a, b, c]) {
+    return {
+        a: vectorLength(a),
+        b: vectorLength(b),
+        c: vectorLength(c),
+        alpha: angleBetween(b, c),
+        beta: angleBetween(a, c),
+        gamma: angleBetween(a, b)
+    };
+}
+
+// Fractional coordinates of a Cartesian point r = x a + y b + z c (Cramer's rule)
+// Lattice vectors that are (nearly) coplanar, so that no fractional coordinates can be derived from them
+function isDegenerate(vectors) {
+    return !(Math.abs(determinant3x3(vectors)) > 1e-6 * vectors.reduce((product, vector) => product * vectorLength(vector), 1));
+}
+
+function cartesianToFractional(point, vectors) {
+    const volume = determinant3x3(vectors);
+    return [0, 1, 2].map(i => {
+        const replaced = vectors.map((vector, j) => (j === i ? point : vector));
+        return determinant3x3(replaced) / volume;
+    });
+}
+
+// Element symbol from a species name or atom label: 'FE' -> 'Fe', 'Fe_pv' -> 'Fe', 'O1' -> 'O'; names that do not
+// start with a clear element symbol (e.g. 'OW', 'Wat') are reported and give 'Unknown'
+function normalizeElement(name, report, location) {
+    const species = parseSpecies(name);
+    if (!species) report('warning', `Unknown species '${name}'; its atoms will not scatter.`, location);
+    return species ? species.element : 'Unknown';
+}
+
+function isNumeric(token) {
+    return token !== undefined && token !== '' && Number.isFinite(Number(token));
+}
+
+// Assemble the parseCifInfo-style object: expand the sites by symmetry and name the space group
+function buildStructure(report, cellParameters, sites, symmetryMatrices, spaceGroup = identifySpaceGroupSetting(symmetryMatrices)) {
+    if (sites.length === 0) {
+        report('error', "No atoms found in the structure file.");
+        return null;
+    }
+    const atomPositions = expandAtomSites(sites, symmetryMatrices, cellParameters);
+    return {
+        cellParameters,
+        chemicalComponents: getChemicalComponents(atomPositions),
+        atomPositions,
+        spaceGroupName: spaceGroup ? spaceGroup.hmSymbol : "N/A",
+        spaceGroupNumber: spaceGroup ? spaceGroup.number : "N/A",
+        symmetryOperations: symmetryMatrices.map(formatSymmetryOperation),
+        symmetryMatrices
+    };
+}
+
+const IDENTITY_ONLY = [{ rotation: [[1, 0, 0], [0, 1, 0], [0, 0, 1]], translation: [0, 0, 0] }];
+
+// A cell for a molecule given only in Cartesian coordinates: its bounding box plus VACUUM_PADDING on every side
+function getBoxForMolecule(points) {
+    const minimum = [0, 1, 2].map(i => Math.min(...points.map(point => point[i])));
+    const maximum = [0, 1, 2].map(i => Math.max(...points.map(point => point[i])));
+    const size = [0, 1, 2].map(i => maximum[i] - minimum[i] + 2 * VACUUM_PADDING);
+    const vectors = [[size[0], 0, 0], [0, size[1], 0], [0, 0, size[2]]];
+    const origin = minimum.map(value => value - VACUUM_PADDING);
+    return { vectors, origin };
+}
+
+/**
+ * Read a VASP POSCAR or CONTCAR file (VASP 4 or 5 format, direct or Cartesian coordinates).
+ * VASP 4 files have no species line; the element names are then taken from the comment line.
+ * Problems go to report(severity, message, { line, tag }), as for the CIF reader.
+ */
+export function parsePoscar(text, report = createDiagnosticCollector().report) {
+    const lines = text.split(/\r?\n/);
+    const tokensAt = (index) => (lines[index] || '').trim().split(/\s+/);
+
+    // Universal scale factor: one value (negative means the cell volume), or one per Cartesian axis
+    const scaleTokens = tokensAt(1).filter(isNumeric).map(Number);
+    let vectors = [2, 3, 4].map(index => tokensAt(index).slice(0, 3).map(Number));
+    if (scaleTokens.length === 0 || vectors.some(vector => vector.length !== 3 || vector.some(value => !Number.isFinite(value)))) {
+        report('error', "Could not read the scale factor and lattice vectors.", { line: 2 });
+        return null;
+    }
+    let scale = [1, 1, 1];
+    if (scaleTokens.length >= 3) {
+        scale = scaleTokens.slice(0, 3);
+    } else if (scaleTokens[0] < 0) {
+        scale = Array(3).fill(Math.cbrt(-scaleTokens[0] / Math.abs(determinant3x3(vectors))));
+    } else {
+        scale = Array(3).fill(scaleTokens[0]);
+    }
+    vectors = vectors.map(vector => vector.map((value, i) => value * scale[i]));
+
+    let lineIndex = 5;
+    let species = tokensAt(lineIndex);
+    let speciesLine = lineIndex + 1;
+    if (species.every(token => !isNumeric(token))) {
+        lineIndex++;
+    } else {
+        species = lines[0].trim().split(/\s+/).filter(token => /^[A-Z][a-z]?/.test(token));
+        speciesLine = 1;
+        report('warning', `No species line (VASP 4 format); using '${species.join(' ')}' from the comment line.`, { line: 1 });
+    }
+    const counts = tokensAt(lineIndex).map(Number);
+    lineIndex++;
+    if (counts.some(count => !Number.isInteger(count)) || counts.length !== species.length) {
+        report('error', "The atom counts do not match the species.", { line: lineIndex });
+        return null;
+    }
+    if (/^\s*s/i.test(lines[lineIndex] || '')) lineIndex++; // Selective dynamics
+    const cartesian = /^\s*[ck]/i.test(lines[lineIndex] || '');
+    lineIndex++;
+
+    const sites = [];
+    species.forEach((name, speciesIndex) => {
+        const element = normalizeElement(name, report, { line: speciesLine });
+        for (let n = 0; n < counts[speciesIndex]; n++) {
+            const coordinates = tokensAt(lineIndex++).slice(0, 3).map(Number);
+            if (coordinates.length !== 3 || coordinates.some(value => !Number.isFinite(value))) {
+                report('warning', "Malformed position line skipped.", { line: lineIndex });
+                continue;
+            }
+            const [x, y, z] = cartesian
+                ? cartesianToFractional(coordinates.map((value, i) => value * scale[i]), vectors)
+                : coordinates;
+            sites.push({ x, y, z, label: element, siteLabel: `${element}${n + 1}` });
+        }
+    });
+
+    return buildStructure(report, getCellFromVectors(vectors), sites, IDENTITY_ONLY);
+}
+
+// key=value pairs of an extended XYZ comment line; values may be quoted or in braces
+function parseExtendedXyzComment(comment) {
+    const info = {};
+    const pattern = /(\w+)\s*=\s*(?:"([^"]*)"|'([^']*)'|\{([^}]*)\}|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(comment)) !== null) {
+        info[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? match[5];
+    }
+    return info;
+}
+
+/**
+ * Read an XYZ file. Extended XYZ comment lines supply the cell (Lattice="ax ay az bx by bz cx cy cz") and the
+ * column layout (Properties=species:S:1:pos:R:3:...). Plain XYZ molecules are placed in a box with vacuum around them.
+ * Only the first frame of a trajectory is read. Problems go to report, as for parsePoscar.
+ */
+export function parseXyz(text, report = createDiagnosticCollector().report) {
+    const lines = text.split(/\r?\n/);
+    const atomCount = parseInt(lines[0], 10);
+    if (!(atomCount > 0)) {
+        report('error', "The first line must be the number of atoms.", { line: 1 });
+        return null;
+    }
+    const info = parseExtendedXyzComment(lines[1] || '');
+
+    // Column of the species and of the first position component
+    let speciesColumn = 0;
+    let positionColumn = 1;
+    if (info.properties) {
+        const fields = info.properties.split(':');
+        let column = 0;
+        for (let i = 0; i + 2 < fields.length; i += 3) {
+            const name = fields[i].toLowerCase();
+            if (name === 'species') speciesColumn = column;
+            if (name === 'pos') positionColumn = column;
+            column += parseInt(fields[i + 2], 10) || 1;
+        }
+    }
+
+    const atoms = [];
+    for (let i = 0; i < atomCount; i++) {
+        const tokens = (lines[i + 2] || '').trim().split(/\s+/);
+        const position = tokens.slice(positionColumn, positionColumn + 3).map(Number);
+        if (position.length !== 3 || position.some(value => !Number.isFinite(value))) {
+            report('warning', "Malformed atom line skipped.", { line: i + 3 });
+            continue;
+        }
+        atoms.push({ element: normalizeElement(tokens[speciesColumn], report, { line: i + 3 }), position });
+    }
+    if (atoms.length === 0) {
+        report('error', "No atoms could be read.");
+        return null;
+    }
+
+    let vectors;
+    let origin = [0, 0, 0];
+    if (info.lattice !== undefined) {
+        const lattice = info.lattice.trim().split(/\s+/).map(Number);
+        vectors = [lattice.slice(0, 3), lattice.slice(3, 6), lattice.slice(6, 9)];
+        if (lattice.length !== 9 || !lattice.every(Number.isFinite) || isDegenerate(vectors)) {
+            report('error', "Lattice must be nine numbers spanning a cell of nonzero volume.", { line: 2, tag: 'Lattice' });
+            return null;
+        }
+    } else {
+        ({ vectors, origin } = getBoxForMolecule(atoms.map(atom => atom.position)));
+        report('info', `No Lattice; placed the molecule in a box with ${VACUUM_PADDING} Å of vacuum on each side.`, { line: 2, tag: 'Lattice' });
+    }
+
+    const countByElement = {};
+    const sites = atoms.map(({ element, position }) => {
+        countByElement[element] = (countByElement[element] || 0) + 1;
+        const [x, y, z] = cartesianToFractional(position.map((value, i) => value - origin[i]), vectors);
+        return { x, y, z, label: element, siteLabel: `${element}${countByElement[element]}` };
+    });
+    return buildStructure(report, getCellFromVectors(vectors), sites, IDENTITY_ONLY);
+}
+
+/**
+ * Read the first model of a PDB file: CRYST1 cell and space group, SCALEn fractionalization (if present) and
+ * ATOM/HETATM records. Positions are the asymmetric unit and are expanded with the space-group operations.
+ * Problems go to report, as for parsePoscar.
+ */
+export function parsePdb(text, report = createDiagnosticCollector().report) {
+    let cellParameters = null;
+    let spaceGroupSymbol = '';
+    let cellLine = null;
+    let formulaUnitsZ;
+    const scaleRows = [];
+    const atoms = [];
+    const lines = text.split(/\r?\n/);
+    for (const [index, line] of lines.entries()) {
+        const record = line.slice(0, 6).trim();
+        if (record === 'ENDMDL') break;
+        if (record === 'CRYST1') {
+            const [a, b, c, alpha, beta, gamma] = [[6, 15], [15, 24], [24, 33], [33, 40], [40, 47], [47, 54]]
+                .map(([start, end]) => parseFloat(line.slice(start, end)));
+            cellParameters = { a, b, c, alpha, beta, gamma };
+            spaceGroupSymbol = line.slice(55, 66).trim();
+            cellLine = index + 1;
+            formulaUnitsZ = parseInt(line.slice(66, 70), 10);
+        } else if (/^SCALE[123]$/.test(record)) {
+            scaleRows[Number(record[5]) - 1] = [[10, 20], [20, 30], [30, 40], [45, 55]].map(([start, end]) => parseFloat(line.slice(start, end)));
+        } else if (record === 'ATOM' || record === 'HETATM') {
+            const position = [[30, 38], [38, 46], [46, 54]].map(([start, end]) => parseFloat(line.slice(start, end)));
+            if (position.some(value => !Number.isFinite(value))) {
+                report('warning', `Malformed ${record} record skipped.`, { line: index + 1, tag: record });
+                continue;
+            }
+            const name = line.slice(12, 16);
+            // Element columns 77-78; older files only have the atom name, whose first two columns hold the element
+            const element = normalizeElement(line.slice(76, 78).trim() || name.slice(0, 2).trim(), report, { line: index + 1, tag: record });
+            // Charge columns 79-80, e.g. '2+'
+            const species = parseSpecies(`${element}${line.slice(78, 80).trim()}`);
+            const occupancy = parseFloat(line.slice(54, 60));
+            const bFactor = parseFloat(line.slice(60, 66));
+            atoms.push({
+                element,
+                siteLabel: `${name.trim()}${line.slice(22, 26).trim()}`,
+                position,
+                oxidationState: species ? species.oxidationState : null,
+                occupancy: Number.isFinite(occupancy) ? occupancy : 1,
+                uIso: Number.isFinite(bFactor) ? bFactor / (8 * Math.PI * Math.PI) : 0
+            });
+        }
+    }
+    if (atoms.length === 0) {
+        report('error', "No ATOM or HETATM records found.", { tag: 'ATOM' });
+        return null;
+    }
+
+    // CRYST1 1 1 1 90 90 90 marks structures without a crystal cell (e.g. from NMR)
+    const hasCell = cellParameters && [cellParameters.a, cellParameters.b, cellParameters.c].every(length => length > 1.001)
+        && [cellParameters.alpha, cellParameters.beta, cellParameters.gamma].every(Number.isFinite);
+    let toFractional;
+    let symmetryMatrices = IDENTITY_ONLY;
+    let spaceGroup = null;
+    if (hasCell) {
+        const vectors = getDirectLatticeVectors(cellParameters); // the orthogonal frame PDB coordinates use
+        toFractional = scaleRows.length === 3 && scaleRows.every(row => row.every(Number.isFinite))
+            ? (position => scaleRows.map(row => row[0] * position[0] + row[1] * position[1] + row[2] * position[2] + row[3]))
+            : (position => cartesianToFractional(position, vectors));
+        // PDB writes rhombohedral groups in hexagonal axes as 'H 3', 'H 3 2'
+        spaceGroup = findSpaceGroupSetting({ hmSymbol: spaceGroupSymbol.replace(/^H\s/, 'R '), cellParameters });
+        if (spaceGroup) {
+            symmetryMatrices = getSymmetryOperationsFromHall(spaceGroup.hallSymbol);
+        } else {
+            report('warning', `Unknown space group '${spaceGroupSymbol}'; using the atoms as given (P 1).`, { line: cellLine, tag: 'CRYST1' });
+        }
+    } else {
+        const { vectors, origin } = getBoxForMolecule(atoms.map(atom => atom.position));
+        cellParameters = getCellFromVectors(vectors);
+        toFractional = position => cartesianToFractional(position.map((value, i) => value - origin[i]), vectors);
+        report('info', `No crystal cell; placed the molecule in a box with ${VACUUM_PADDING} Å of vacuum on each side.`, { line: cellLine, tag: 'CRYST1' });
+    }
+
+    const sites = atoms.map(({ element, siteLabel, position, oxidationState, occupancy, uIso }) => {
+        const [x, y, z] = toFractional(position);
+        return { x, y, z, label: element, siteLabel, oxidationState, occupancy, uIso };
+    });
+    const data = buildStructure(report, cellParameters, sites, symmetryMatrices, spaceGroup || undefined);
+    if (data && hasCell && formulaUnitsZ > 0) data.formulaUnitsZ = formulaUnitsZ;
+    return data;
+}
+
+// SHELX instructions; any other line whose second field is a scattering-factor number is an atom
+const SHELX_INSTRUCTIONS = new Set([
+    'TITL', 'CELL', 'ZERR', 'LATT', 'SYMM', 'SFAC', 'DISP', 'UNIT', 'LAUE', 'REM', 'MORE', 'TIME', 'END', 'HKLF',
+    'OMIT', 'SHEL', 'BASF', 'TWIN', 'EXTI', 'SWAT', 'HOPE', 'MERG', 'SPEC', 'RESI', 'MOVE', 'ANIS', 'AFIX', 'HFIX',
+    'FRAG', 'FEND', 'EXYZ', 'EADP', 'EQIV', 'CONN', 'PART', 'BIND', 'FREE', 'DFIX', 'DANG', 'BUMP', 'SAME', 'SADI',
+    'CHIV', 'FLAT', 'DELU', 'SIMU', 'RIGU', 'DEFS', 'ISOR', 'NCSY', 'SUMP', 'L.S.', 'CGLS', 'BLOC', 'DAMP', 'STIR',
+    'WGHT', 'FVAR', 'BOND', 'CONF', 'MPLA', 'RTAB', 'HTAB', 'LIST', 'ACTA', 'SIZE', 'TEMP', 'WPDB', 'FMAP', 'GRID',
+    'PLAN', 'MOLE', 'ABIN', 'ANSC', 'ANSR', 'NEUT', 'XNPD', 'WIGL', 'PRIG', 'NOTE', 'BEDE', 'LONE'
+]);
+
+// Centring translations for LATT n (|n| = 1 P, 2 I, 3 R obverse, 4 F, 5 A, 6 B, 7 C)
+const SHELX_CENTRING = {
+    1: [],
+    2: [[1 / 2, 1 / 2, 1 / 2]],
+    3: [[2 / 3, 1 / 3, 1 / 3], [1 / 3, 2 / 3, 2 / 3]],
+    4: [[0, 1 / 2, 1 / 2], [1 / 2, 0, 1 / 2], [1 / 2, 1 / 2, 0]],
+    5: [[0, 1 / 2, 1 / 2]],
+    6: [[1 / 2, 0, 1 / 2]],
+    7: [[1 / 2, 1 / 2, 0]]
+};
+
+// SHELX parameter codes 10m + p: m = 0 free, m = 1 fixed at p, m > 1 p times free variable m; -(10m + p) is
+// p (1 - fv), e.g. occupancies 21 and -21 split a site between fv and 1 - fv
+function decodeShelxParameter(value, freeVariables) {
+    const magnitude = Math.abs(value);
+    if (magnitude < 5) return value;
+    const m = Math.floor((magnitude + 5) / 10);
+    const p = magnitude - 10 * m;
+    if (m === 1) return Math.sign(value) * p;
+    const freeVariable = freeVariables[m - 1] ?? 1;
+    return value > 0 ? p * freeVariable : p * (1 - freeVariable);
+}
+
+/**
+ * Read a SHELX .res or .ins file: CELL, LATT, SYMM, SFAC, FVAR and the atom lines up to HKLF/END.
+ * Q-peaks (residual density) are ignored. Negative Uiso values (riding hydrogens) are taken relative to the
+ * previous atom's approximate Ueq. Problems go to report, as for parsePoscar.
+ */
+export function parseShelx(text, report = createDiagnosticCollector().report) {
+    // Lines ending in '=' continue on the next line; each logical line keeps the number of its first line
+    const logicalLines = [];
+    let pending = '';
+    let pendingStart = null;
+    text.split(/\r?\n/).forEach((line, index) => {
+        const current = pending + line;
+        if (pendingStart === null) pendingStart = index + 1;
+        if (/\s=\s*$/.test(current)) {
+            pending = current.replace(/=\s*$/, ' ');
+        } else {
+            logicalLines.push({ line: current, number: pendingStart });
+            pending = '';
+            pendingStart = null;
+        }
+    });
+
+    let cellParameters = null;
+    let cellLine = null;
+    let lattice = 1;
+    let formulaUnitsZ;
+    const symmetryStrings = ['x,y,z'];
+    const symmetryLines = [null];
+    let scatteringFactors = [];
+    const freeVariables = [];
+    const sites = [];
+    let lastUEquivalent = DEFAULT_SHELX_U_ISO;
+    const countByLabel = {};
+
+    for (const { line, number } of logicalLines) {
+        const tokens = line.trim().split(/\s+/);
+        const keyword = (tokens[0] || '').toUpperCase();
+        if (!keyword || keyword.startsWith('!')) continue;
+        if (keyword === 'END' || keyword === 'HKLF') break;
+
+        if (keyword === 'CELL') {
+            const [a, b, c, alpha, beta, gamma] = tokens.slice(2, 8).map(Number); // tokens[1] is the wavelength
+            cellParameters = { a, b, c, alpha, beta, gamma };
+            cellLine = number;
+        } else if (keyword === 'ZERR') {
+            formulaUnitsZ = Number(tokens[1]);
+        } else if (keyword === 'LATT') {
+            lattice = parseInt(tokens[1], 10);
+        } else if (keyword === 'SYMM') {
+            symmetryStrings.push(line.trim().slice(4).trim());
+            symmetryLines.push(number);
+        } else if (keyword === 'SFAC') {
+            // Either a list of element symbols or one element followed by its scattering-factor coefficients
+            scatteringFactors = isNumeric(tokens[2])
+                ? [...scatteringFactors, normalizeElement(tokens[1], report, { line: number, tag: 'SFAC' })]
+                : [...scatteringFactors, ...tokens.slice(1).map(name => normalizeElement(name, report, { line: number, tag: 'SFAC' }))];
+        } else if (keyword === 'FVAR') {
+            freeVariables.push(...tokens.slice(1).map(Number));
+        } else if (!SHELX_INSTRUCTIONS.has(keyword.slice(0, 4)) && /^\d+$/.test(tokens[1] || '') && tokens.slice(2, 5).every(isNumeric)) {
+            if (/^Q\d/i.test(tokens[0])) continue; // residual density peak
+            const element = scatteringFactors[Number(tokens[1]) - 1];
+            if (!element) {
+                report('warning', `Atom ${tokens[0]} skipped: it refers to undefined SFAC ${tokens[1]}.`, { line: number, tag: 'SFAC' });
+                continue;
+            }
+            const numbers = tokens.slice(2).map(Number);
+            const [x, y, z] = numbers.slice(0, 3).map(value => decodeShelxParameter(value, freeVariables));
+            const occupancy = numbers.length > 3 ? decodeShelxParameter(numbers[3], freeVariables) : 1;
+            let uIso = DEFAULT_SHELX_U_ISO;
+            let uAniso = null;
+            if (numbers.length >= 10) {
+                const [u11, u22, u33, u23, u13, u12] = numbers.slice(4, 10).map(value => decodeShelxParameter(value, freeVariables));
+                uAniso = [[u11, u12, u13], [u12, u22, u23], [u13, u23, u33]];
+                uIso = (u11 + u22 + u33) / 3; // Ueq, exact for orthogonal cells
+            } else if (numbers.length >= 5) {
+                uIso = numbers[4] < 0 ? -numbers[4] * lastUEquivalent : decodeShelxParameter(numbers[4], freeVariables);
+            }
+            if (element !== 'H') lastUEquivalent = uIso;
+            countByLabel[tokens[0]] = (countByLabel[tokens[0]] || 0) + 1;
+            sites.push({ x, y, z, label: element, siteLabel: tokens[0], occupancy, uIso, uAniso });
+        }
+    }
+
+    if (!cellParameters || [cellParameters.a, cellParameters.b, cellParameters.c].some(length => !(length > 0))
+        || [cellParameters.alpha, cellParameters.beta, cellParameters.gamma].some(angle => !(angle > 0 && angle < 180))) {
+        report('error', "Missing or malformed CELL instruction.", { line: cellLine, tag: 'CELL' });
+        return null;
+    }
+
+    // Full set of operations: SYMM (with x,y,z) times the centring translations, plus inversion for LATT > 0
+    let symmetryMatrices = [];
+    symmetryStrings.forEach((opString, index) => {
+        try {
+            symmetryMatrices.push(parseSymmetryOperation(opString));
+        } catch (e) {
+            report('warning', `Symmetry operation '${opString}' skipped: ${e.message}.`, { line: symmetryLines[index], tag: 'SYMM' });
+        }
+    });
+    if (lattice > 0) {
+        symmetryMatrices = symmetryMatrices.flatMap(op => [op, {
+            rotation: op.rotation.map(row => row.map(value => -value)),
+            translation: op.translation.map(value => -value)
+        }]);
+    }
+    const centring = SHELX_CENTRING[Math.abs(lattice)] || [];
+    symmetryMatrices = symmetryMatrices.flatMap(op => [op, ...centring.map(shift => ({
+        rotation: op.rotation,
+        translation: op.translation.map((value, i) => value + shift[i])
+    }))]);
+
+    const duplicateLabels = Object.keys(countByLabel).filter(label => countByLabel[label] > 1);
+    if (duplicateLabels.length > 0) {
+        report('warning', `Atom names used more than once: ${duplicateLabels.join(', ')}.`);
+    }
+
+    // SHELX site occupation factors include the site symmetry (0.5 for a full atom on a mirror): rescale to occupancies.
+    // They are written to five decimals, so e.g. 1/48 comes back as 0.99984 and is rounded to a full site.
+    const data = buildStructure(report, cellParameters, sites, symmetryMatrices);
+    if (data) {
+        data.atomPositions.forEach(atom => {
+            const occupancy = atom.occupancy * symmetryMatrices.length / atom.multiplicity;
+            atom.occupancy = Math.abs(occupancy - 1) < 1e-3 ? 1 : occupancy;
+        });
+        data.chemicalComponents = getChemicalComponents(data.atomPositions);
+        if (formulaUnitsZ > 0) data.formulaUnitsZ = formulaUnitsZ;
+    }
+    return data;
+}
+
+/**
+ * Work out the format of a structure file from its extension, falling back to its content.
+ *
+ * @param {string} fileName - Name of the file (only the extension is used; POSCAR/CONTCAR may have none).
+ * @param {string} text - File contents.
+ * @returns {string|null} - 'cif', 'poscar', 'xyz', 'pdb' or 'shelx', or null if not recognized.
+ */
+export function detectStructureFormat(fileName, text) {
+    const name = String(fileName || '').toLowerCase();
+    const extension = name.includes('.') ? name.split('.').pop() : '';
+    const byExtension = Object.keys(FORMAT_EXTENSIONS).find(format => FORMAT_EXTENSIONS[format].includes(extension));
+    if (byExtension) return byExtension;
+    if (/(^|\/)(poscar|contcar)/.test(name)) return 'poscar';
+
+    // Content: CIF data blocks, PDB records, SHELX instructions, an atom count line, or a POSCAR header
+    if (/^\s*data_/im.test(text) && /_cell_length_a/i.test(text)) return 'cif';
+    if (/^(CRYST1|ATOM  |HETATM)/m.test(text)) return 'pdb';
+    if (/^CELL\s/m.test(text) && /^(SFAC|LATT)\s/m.test(text)) return 'shelx';
+    const lines = text.split(/\r?\n/);
+    if (/^\s*\d+\s*$/.test(lines[0]) && /^\s*[A-Za-z]{1,2}\d*\s+-?\d/.test(lines[2] || '')) return 'xyz';
+    const isVector = (line) => /^\s*-?[\d.]+([eE][-+]?\d+)?\s+-?[\d.]+([eE][-+]?\d+)?\s+-?[\d.]+([eE][-+]?\d+)?\s*$/.test(line || '');
+    if (isNumeric((lines[1] || '').trim().split(/\s+/)[0]) && isVector(lines[2]) && isVector(lines[3]) && isVector(lines[4])) return 'poscar';
+    return null;
+}
+
+// Each reader takes the text and a report(severity, message, { line, tag }) for its diagnostics, and gives the data
+// or null
+const PARSERS = {
+    cif: readCifStructure,
+    poscar: parsePoscar,
+    xyz: parseXyz,
+    pdb: parsePdb,
+    shelx: parseShelx
+};
+
+/**
+ * One-line description of a parse diagnostic, e.g. "warning: line 42: _atom_site_fract_x: Atom O3 skipped: ...".
+ *
+ * @param {{severity: string, line: number|null, tag: string|null, message: string}} diagnostic - As in readStructureFile.
+ * @returns {string}
+ */
+export function formatDiagnostic({ severity, line, tag, message }) {
+    return `${severity}: ${line ? `line ${line}: ` : ''}${tag ? `${tag}: ` : ''}${message}`;
+}
+
+/**
+ * Read a structure file of any supported format, with the problems found on the way.
+ *
+ * @param {string} fileName - File name, used to recognize the format.
+ * @param {string} text - File contents.
+ * @returns {{data: object|null, diagnostics: Array<object>}} - Parsed structure (with a 'format' field added), or null
+ *   if it cannot be read, and the diagnostics { severity: 'error' | 'warning' | 'info', line, tag, message } as given by
+ *   parseCifInfo, for every format; a file that cannot be read always has at least one error.
+ */
+export function readStructureFile(fileName, text) {
+    const { diagnostics, report } = createDiagnosticCollector();
+    const format = detectStructureFormat(fileName, text);
+    if (!format) {
+        report('error', `Unrecognized structure file format: ${fileName}`);
+        return { data: null, diagnostics };
+    }
+    const data = PARSERS[format](text, report);
+    if (data) {
+        data.format = format;
+    } else if (!diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+        report('error', "No structure could be read from this file.");
+    }
+    return { data, diagnostics };
+}
+
+/**
+ * Read a structure file of any supported format into the data object of parseCifInfo, logging any diagnostics to the
+ * console.
+ *
+ * @param {string} fileName - File name, used to recognize the format.
+ * @param {string} text - File contents.
+ * @returns {object|null} - Parsed structure (with a 'format' field added), or null if it cannot be read.
+ */
+export function parseStructureFile(fileName, text) {
+    const { data, diagnostics } = readStructureFile(fileName, text);
+    diagnostics.forEach(diagnostic => {
+        if (diagnostic.severity === 'error') console.error(formatDiagnostic(diagnostic));
+        else if (diagnostic.severity === 'warning') console.warn(formatDiagnostic(diagnostic));
+    });
+    return data;
+}
@@ -0,0 +1,339 @@
+// structureView.js
+// The 3D structure view (Plotly scatter3d): atoms of an n x m x l block of unit cells, the cell edges as a wireframe,
+// the a, b, c axes drawn from the origin, bonds between the atoms shown and coordination polyhedra (mesh3d).
+import { findNeighbors, describeCoordination } from './bonds.js';
+import { getElementColor, getDisplayRadius } from './elementData.js';
+
+// Atoms this close (in fractional units) to a cell face are also drawn on the opposite face
+const BOUNDARY_TOLERANCE = 1e-3;
+export const MAX_SUPERCELL = 5; // largest number of cells drawn along each axis
+const MARKER_SIZE = 15; // pixels, for atoms drawn all the same size
+const MARKER_PIXELS_PER_ANGSTROM = 15; // marker diameter per Angstrom of radius when atoms are sized by element
+const MIN_MARKER_SIZE = 4;
+const AXIS_COLORS = ['rgba(214, 39, 40, 1.0)', 'rgba(44, 160, 44, 1.0)', 'rgba(31, 119, 180, 1.0)'];
+const AXIS_NAMES = ['a', 'b', 'c'];
+const POLYHEDRON_OPACITY = 0.35;
+const MAX_HOVER_NEIGHBORS = 12; // neighbours listed in an atom's hover label
+
+// Cartesian position of fractional coordinates [x, y, z] from the lattice vectors [a, b, c]
+function toCartesian(fractional, latticeVectors) {
+    return [0, 1, 2].map(k => fractional[0] * latticeVectors[0][k] + fractional[1] * latticeVectors[1][k] + fractional[2] * latticeVectors[2][k]);
+}
+
+// Neighbour lists only change with the structure and the bond cutoffs, not with the view direction
+const neighborCache = new WeakMap(); // atomPositions -> { key, neighbors }
+function getNeighbors(atomPositions, latticeVectors, bondCutoffs) {
+    const key = JSON.stringify(bondCutoffs || {});
+    const cached = neighborCache.get(atomPositions);
+    if (cached && cached.key === key) return cached.neighbors;
+    const neighbors = findNeighbors(atomPositions, latticeVectors, bondCutoffs);
+    neighborCache.set(atomPositions, { key, neighbors });
+    return neighbors;
+}
+
+// Cell counts along a, b, c: integers from 1 to MAX_SUPERCELL
+function getSupercell(supercell) {
+    return [0, 1, 2].map(i => {
+        const count = Math.round(Number(supercell && supercell[i]));
+        return Number.isFinite(count) ? Math.min(MAX_SUPERCELL, Math.max(1, count)) : 1;
+    });
+}
+
+// Fractional positions of one atom in every cell of the block. With boundary atoms, an atom on a face, edge or corner
+// of the block (coordinate 0) is repeated on the opposite face(s).
+function getAtomImages(atom, supercell, showBoundaryAtoms) {
+    const offsetsPerAxis = [atom.x, atom.y, atom.z].map((value, i) => {
+        const offsets = [];
+        for (let n = 0; n < supercell[i]; n++) offsets.push(n + value);
+        if (showBoundaryAtoms && value < BOUNDARY_TOLERANCE) offsets.push(supercell[i] + value);
+        return offsets;
+    });
+    const images = [];
+    offsetsPerAxis[0].forEach(x => offsetsPerAxis[1].forEach(y => offsetsPerAxis[2].forEach(z => images.push([x, y, z]))));
+    return images;
+}
+
+// Position key for matching the same site reached from different atoms
+function getPositionKey(fractional) {
+    return fractional.map(value => Math.round(value * 1000)).join(',');
+}
+
+function subtract(v1, v2) {
+    return [v1[0] - v2[0], v1[1] - v2[1], v1[2] - v2[2]];
+}
+
+function cross(v1, v2) {
+    return [v1[1] * v2[2] - v1[2] * v2[1], v1[2] * v2[0] - v1[0] * v2[2], v1[0] * v2[1] - v1[1] * v2[0]];
+}
+
+function dot(v1, v2) {
+    return v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
+}
+
+function normalize(v) {
+    const length = Math.sqrt(dot(v, v));
+    return length > 0 ? v.map(value => value / length) : v;
+}
+
+// Triangles of the convex hull of a few points (the vertices of one coordination polyhedron), as index triples.
+// Each face plane is found from a triple of points with all others on one side; faces with more than three
+// vertices (e.g. the squares of a cube) are split into a fan of triangles.
+function getConvexHullTriangles(points) {
+    const tolerance = 1e-3; // Angstrom
+    const planes = [];
+    const triangles = [];
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            for (let k = j + 1; k < points.length; k++) {
+                const normal = normalize(cross(subtract(points[j], points[i]), subtract(points[k], points[i])));
+                if (dot(normal, normal) < 0.5) continue; // collinear
+                const offset = dot(normal, points[i]);
+                const sides = points.map(point => dot(normal, point) - offset);
+                if (sides.some(side => side > tolerance) && sides.some(side => side < -tolerance)) continue;
+                if (planes.some(plane => Math.abs(Math.abs(dot(plane.normal, normal)) - 1) < 1e-6 && Math.abs(dot(plane.normal, points[i]) - plane.offset) < tolerance)) continue;
+                planes.push({ normal, offset });
+
+                // All vertices in this face, in order around their centroid
+                const face = sides.map((side, index) => (Math.abs(side) <= tolerance ? index : -1)).filter(index => index !== -1);
+                const centroid = [0, 1, 2].map(c => face.reduce((sum, index) => sum + points[index][c], 0) / face.length);
+                const u = normalize(subtract(points[face[0]], centroid));
+                const v = cross(normal, u);
+                face.sort((p, q) => {
+                    const angle = (index) => Math.atan2(dot(subtract(points[index], centroid), v), dot(subtract(points[index], centroid), u));
+                    return angle(p) - angle(q);
+                });
+                for (let n = 1; n + 1 < face.length; n++) triangles.push([face[0], face[n], face[n + 1]]);
+            }
+        }
+    }
+    return triangles;
+}
+
+// Edges of every cell in the block as one line trace (segments separated by nulls)
+function getCellEdgesTrace(latticeVectors, supercell) {
+    const x = [];
+    const y = [];
+    const z = [];
+    const addSegment = (start, end) => {
+        [toCartesian(start, latticeVectors), toCartesian(end, latticeVectors)].forEach(point => {
+            x.push(point[0]);
+            y.push(point[1]);
+            z.push(point[2]);
+        });
+        x.push(null);
+        y.push(null);
+        z.push(null);
+    };
+    // Lines along axis i through every lattice point of the two other axes
+    [0, 1, 2].forEach(i => {
+        const [j, k] = [0, 1, 2].filter(axis => axis !== i);
+        for (let p = 0; p <= supercell[j]; p++) {
+            for (let q = 0; q <= supercell[k]; q++) {
+                const start = [0, 0, 0];
+                start[j] = p;
+                start[k] = q;
+                const end = [...start];
+                end[i] = supercell[i];
+                addSegment(start, end);
+            }
+        }
+    });
+    return {
+        x, y, z,
+        mode: 'lines',
+        type: 'scatter3d',
+        name: 'Unit cell',
+        line: { color: 'rgba(90, 90, 90, 1.0)', width: 2 },
+        hoverinfo: 'skip'
+    };
+}
+
+// The lattice vectors a, b, c drawn from the origin, labelled at their tips
+function getAxisTraces(latticeVectors) {
+    return latticeVectors.map((vector, i) => ({
+        x: [0, vector[0]],
+        y: [0, vector[1]],
+        z: [0, vector[2]],
+        mode: 'lines+text',
+        type: 'scatter3d',
+        name: AXIS_NAMES[i],
+        text: ['', AXIS_NAMES[i]],
+        textposition: 'top center',
+        textfont: { size: 18, color: AXIS_COLORS[i] },
+        line: { color: AXIS_COLORS[i], width: 8 },
+        showlegend: false,
+        hoverinfo: 'skip'
+    }));
+}
+
+/**
+ * Draw the crystal structure into the 'structureCanvas' div.
+ *
+ * @param {Array<object>} atomPositions - Atoms of the unit cell with fractional x, y, z in [0, 1) and element label.
+ *   Each element present gets its own trace.
+ * @param {Array<number[]>} latticeVectors - Cartesian a, b, c from getDirectLatticeVectors.
+ * @param {object} options - { supercell: [n, m, l] (default [1, 1, 1]), showBoundaryAtoms (default true),
+ *   atomSize: 'atomic' (default) | 'ionic' | 'covalent' radius, or 'uniform',
+ *   elementColors: colours by element symbol, overriding the Jmol colours,
+ *   showBonds (default true), bondCutoffs: user cutoffs keyed by element pair (see parseBondCutoffs),
+ *   polyhedraElement: element at the centre of the polyhedra drawn (none if empty),
+ *   viewDirection: unit vector the camera looks along, title }
+ */
+export function plotCrystalStructure(atomPositions, latticeVectors, options = {}) {
+    const supercell = getSupercell(options.supercell);
+    const showBoundaryAtoms = options.showBoundaryAtoms !== false;
+    const viewDirection = options.viewDirection || [0, 0, 1];
+    const neighbors = getNeighbors(atomPositions, latticeVectors, options.bondCutoffs);
+    const elementColors = options.elementColors || {};
+    const getColor = (element) => elementColors[element] || getElementColor(element);
+
+    // Every image of every atom in the block; the hover label lists its neighbours and bond lengths
+    const atomCoordByElement = {};
+    const images = [];
+    atomPositions.forEach((atom, index) => {
+        if (!atomCoordByElement[atom.label]) {
+            atomCoordByElement[atom.label] = { x: [], y: [], z: [], text: [] };
+        }
+        const coords = atomCoordByElement[atom.label];
+        const coordination = describeCoordination(neighbors[index], atomPositions);
+        const neighborLines = neighbors[index].slice(0, MAX_HOVER_NEIGHBORS)
+            .map(({ index: other, distance }) => `${atomPositions[other].siteLabel || atomPositions[other].label}: ${distance.toFixed(3)} Å`);
+        if (neighbors[index].length > MAX_HOVER_NEIGHBORS) neighborLines.push(`... ${neighbors[index].length - MAX_HOVER_NEIGHBORS} more`);
+        getAtomImages(atom, supercell, showBoundaryAtoms).forEach(fractional => {
+            const [x, y, z] = toCartesian(fractional, latticeVectors);
+            coords.x.push(x);
+            coords.y.push(y);
+            coords.z.push(z);
+            coords.text.push([
+                `${atom.siteLabel || atom.label} (${fractional.map(value => value.toFixed(3)).join(', ')})`,
+                coordination.coordinationNumber > 0 ? `CN ${coordination.coordinationNumber}, ${coordination.geometry}` : 'No bonds',
+                ...neighborLines
+            ].join('<br>'));
+            images.push({ index, fractional });
+        });
+    });
+    const shown = new Set(images.map(({ fractional }) => getPositionKey(fractional)));
+
+    // Bonds between atoms that are both shown, each drawn once
+    const bondCoords = { x: [], y: [], z: [] };
+    if (options.showBonds !== false) {
+        images.forEach(({ index, fractional }) => {
+            const atom = atomPositions[index];
+            const shift = [fractional[0] - atom.x, fractional[1] - atom.y, fractional[2] - atom.z];
+            const startKey = getPositionKey(fractional);
+            neighbors[index].forEach(({ index: other, translation }) => {
+                const end = [atomPositions[other].x, atomPositions[other].y, atomPositions[other].z].map((value, i) => value + translation[i] + shift[i]);
+                const endKey = getPositionKey(end);
+                if (!shown.has(endKey) || endKey <= startKey) return;
+                [fractional, end].forEach(point => {
+                    const [x, y, z] = toCartesian(point, latticeVectors);
+                    bondCoords.x.push(x);
+                    bondCoords.y.push(y);
+                    bondCoords.z.push(z);
+                });
+                bondCoords.x.push(null);
+                bondCoords.y.push(null);
+                bondCoords.z.push(null);
+            });
+        });
+    }
+    const bondTraces = bondCoords.x.length > 0 ? [{
+        ...bondCoords,
+        mode: 'lines',
+        type: 'scatter3d',
+        name: 'Bonds',
+        line: { color: 'rgba(120, 120, 120, 1.0)', width: 5 },
+        hoverinfo: 'skip'
+    }] : [];
+
+    // Coordination polyhedra around each shown atom of the chosen element, all in one mesh
+    const polyhedraElement = options.polyhedraElement;
+    const mesh = { x: [], y: [], z: [], i: [], j: [], k: [] };
+    if (polyhedraElement) {
+        images.forEach(({ index, fractional }) => {
+            if (atomPositions[index].label !== polyhedraElement || neighbors[index].length < 4) return;
+            const centre = toCartesian(fractional, latticeVectors);
+            const vertices = neighbors[index].map(({ vector }) => centre.map((value, c) => value + vector[c]));
+            const first = mesh.x.length;
+            vertices.forEach(([x, y, z]) => {
+                mesh.x.push(x);
+                mesh.y.push(y);
+                mesh.z.push(z);
+            });
+            getConvexHullTriangles(vertices).forEach(([p, q, r]) => {
+                mesh.i.push(first + p);
+                mesh.j.push(first + q);
+                mesh.k.push(first + r);
+            });
+        });
+    }
+    const polyhedronTraces = mesh.i.length > 0 ? [{
+        ...mesh,
+        type: 'mesh3d',
+        name: `${polyhedraElement} polyhedra`,
+        color: getColor(polyhedraElement),
+        opacity: POLYHEDRON_OPACITY,
+        flatshading: true,
+        showlegend: true,
+        hoverinfo: 'skip'
+    }] : [];
+
+    // One trace per element present (in order of first appearance), coloured and sized by element
+    const atomTraces = Object.entries(atomCoordByElement).map(([element, coords]) => {
+        const size = options.atomSize === 'uniform'
+            ? MARKER_SIZE
+            : Math.max(MIN_MARKER_SIZE, getDisplayRadius(element, options.atomSize || 'atomic') * MARKER_PIXELS_PER_ANGSTROM);
+        return {
+            ...coords,
+            mode: 'markers',
+            marker: {
+                size,
+                color: getColor(element),
+                opacity: 1.0,
+                line: {
+                    color: 'rgba(0, 0, 0, 0.1)',
+                    width: 0.5
+                }
+            },
+            type: 'scatter3d',
+            name: element,
+            hoverinfo: 'text'
+        };
+    });
+
+    const plotlyLayout = {
+        title: {
+            text: options.title || ''
+        },
+        legend: {
+            font: {
+                size: 20
+            }
+        },
+        scene: {
+            // Orthographic projection, looking along the beam direction until the user rotates the view
+            camera: {
+                projection: {
+                    type: 'orthographic'
+                },
+                eye: {
+                    x: viewDirection[0] * 2,
+                    y: viewDirection[1] * 2,
+                    z: viewDirection[2] * 2
+                }
+            },
+            xaxis: { visible: false },
+            yaxis: { visible: false },
+            zaxis: { visible: false },
+            aspectmode: 'data' // ensures aspect ratio of orignal data is maintained
+        },
+        // Prevent Plotly from showing specific modes by default.
+        modebar: {
+            remove: ['zoom3d', 'pan3d', 'hoverClosest3d', 'hoverCompare3d']
+        }
+    };
+
+    const plotlyData = [getCellEdgesTrace(latticeVectors, supercell), ...getAxisTraces(latticeVectors), ...bondTraces, ...polyhedronTraces, ...atomTraces];
+    // Use Plotly.react to efficiently update the plot without re-creating it from scratch
+    Plotly.react('structureCanvas', plotlyData, plotlyLayout);
+}